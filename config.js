@@ -24,24 +24,56 @@ window.DevPulseConfig = {
   // GITHUB API CONFIGURATION
   // ====================================
   github: {
-    // GitHub REST API base URL
+    // Data provider: 'github', 'ghes' (GitHub Enterprise Server), 'gitea' or 'forgejo'
+    provider: 'github',
+    
+    // REST API base URL for the provider, e.g.
+    //   GitHub Enterprise Server: 'https://github.example.com/api/v3'
+    //   Gitea/Forgejo: 'https://gitea.example.com/api/v1'
     apiUrl: 'https://api.github.com',
     
+    // Web UI base URL for profile and repository links (null derives it from apiUrl)
+    webUrl: null,
+    
     // API request timeout (milliseconds)
     timeout: 30000,
     
     // Rate limiting (GitHub allows 60 requests/hour for unauthenticated requests)
     rateLimit: {
       maxRequests: 60,
+      authenticatedMaxRequests: 5000, // Budget when a personal access token is set
       windowMinutes: 60,
       warningThreshold: 10 // Show warning when remaining requests < this number
     },
+
+    // GraphQL API (requires a token, GitHub and GHES only) - used for real contribution calendars
+    graphql: {
+      enabled: true,
+      url: null // null derives it from apiUrl (GHES serves it at /api/graphql)
+    },
+
+    // Personal access token handling
+    auth: {
+      enabled: true,
+      // 'session' keeps the token for this tab only; 'local' lets users opt in to remembering it
+      defaultStorage: 'session',
+      storageKey: 'devpulse-auth-token'
+    },
     
     // Request retry configuration
     retry: {
       attempts: 3,
       delay: 1000, // Initial delay in ms
-      backoffFactor: 2 // Exponential backoff multiplier
+      backoffFactor: 2, // Exponential backoff multiplier
+      maxWait: 60000, // Longest Retry-After/reset wait handled inline; longer waits pause and auto-resume
+      secondaryRateLimitDelay: 60000 // Wait after a secondary rate limit without Retry-After
+    },
+    
+    // Link-header pagination for list endpoints
+    pagination: {
+      perPage: 100, // GitHub maximum
+      maxPages: 10, // Page cap for repositories (100 x 10 = 1000 repos)
+      maxEventPages: 3 // The events API only serves the latest 300 events
     },
     
     // Default demo username for initial load (set to null to disable auto-load)
@@ -50,8 +82,10 @@ window.DevPulseConfig = {
     // Cache configuration for API responses
     cache: {
       enabled: true,
-      duration: 300000, // 5 minutes in milliseconds
-      maxSize: 100 // Maximum number of cached responses
+      duration: 300000, // 5 minutes in milliseconds - fresh responses are served without a request
+      maxSize: 100, // Maximum number of cached responses kept in memory
+      persistent: true, // Keep responses in IndexedDB and revalidate them with ETag/Last-Modified
+      maxAge: 604800000 // 7 days - persisted responses older than this are dropped
     }
   },
 
@@ -231,7 +265,7 @@ window.DevPulseConfig = {
     visualizations: {
       enableChartAnimations: true,
       enableInteractiveCharts: true,
-      enableDataExport: false, // Future feature
+      enableDataExport: true, // Dashboard export menu (PDF, PNG, HTML)
       enableChartCustomization: false // Future feature
     },
     
@@ -239,7 +273,7 @@ window.DevPulseConfig = {
     interface: {
       enableThemeToggle: true,
       enableFullscreen: true,
-      enablePrintMode: false,
+      enablePrintMode: true, // Print stylesheet and the PDF export option
       enableShareButtons: false,
       enableBookmarks: false
     },
@@ -248,8 +282,8 @@ window.DevPulseConfig = {
     performance: {
       enableLazyLoading: true,
       enableImageOptimization: true,
-      enableServiceWorker: false, // PWA feature
-      enableOfflineMode: false
+      enableServiceWorker: true, // Precache the app shell and CDN bundles (sw.js)
+      enableOfflineMode: true // Serve stored API responses when the network is unreachable
     },
     
     // Accessibility features
@@ -274,11 +308,21 @@ window.DevPulseConfig = {
   // DATA DISPLAY CONFIGURATION
   // ====================================
   display: {
-    // Dashboard sections and their order
+    // Dashboard sections and their default order (users can rearrange, collapse and hide them)
     sections: {
-      order: ['stats', 'charts', 'repositories', 'activity'],
+      order: ['profile', 'ai', 'stats', 'charts', 'repositories', 'activity', 'history'],
       
       // Individual section settings
+      profile: {
+        enabled: true,
+        title: 'Profile'
+      },
+      
+      ai: {
+        enabled: true,
+        title: 'AI Insights'
+      },
+      
       stats: {
         enabled: true,
         title: 'Overview',
@@ -290,13 +334,16 @@ window.DevPulseConfig = {
         enabled: true,
         title: 'Analytics',
         layout: 'grid', // 'grid', 'stack'
-        showExportOptions: false
+        showExportOptions: false,
+        languageMode: 'repos', // Language chart weighting: 'repos' (primary language count) or 'bytes'
+        languageBytesRepoLimit: 30, // Repositories sampled for byte-level languages (one request each)
+        languageBytesRepoLimitAnonymous: 10 // Smaller sample without a token to protect the 60/hour budget
       },
       
       repositories: {
         enabled: true,
         title: 'Repositories',
-        itemsPerPage: 9,
+        itemsPerPage: 9, // Repository cards per page of the grid
         sortBy: 'updated', // 'updated', 'stars', 'name'
         showPrivateRepos: false
       },
@@ -305,7 +352,43 @@ window.DevPulseConfig = {
         enabled: true,
         title: 'Recent Activity',
         itemsToShow: 10,
+        searchResultsToShow: 50, // Matches listed while the timeline is searched
         showTimeAgo: true
+      },
+      
+      history: {
+        enabled: true,
+        title: 'History',
+        minInterval: 3600000, // 1 hour - loads closer together than this update the latest snapshot
+        maxSnapshots: 100, // Oldest snapshots per developer are dropped beyond this
+        rowsToShow: 10 // Snapshots listed under the chart
+      },
+      
+      watchlist: {
+        enabled: true,
+        maxUsers: 20,
+        refreshInterval: 900000, // 15 minutes between background checks
+        minRemainingRequests: 20, // Checks pause while fewer API requests than this are left
+        repoPages: 1, // Repository pages read per user for star milestones
+        starMilestones: [10, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 25000, 50000, 100000],
+        browserNotifications: true // Also raise system notifications once permission is granted
+      },
+      
+      organization: {
+        enabled: true,
+        title: 'Organization Insights',
+        membersToShow: 24,
+        activeReposToShow: 5,
+        topContributors: 10,
+        contributorRepoLimit: 15, // Repositories whose contributors are merged (one request each)
+        contributorRepoLimitAnonymous: 5 // Smaller sample without a token to protect the 60/hour budget
+      },
+      
+      compare: {
+        enabled: true,
+        title: 'Developer Comparison',
+        maxUsers: 3,
+        colors: ['#3b82f6', '#f59e0b', '#10b981'] // One series color per compared developer (hex)
       }
     },
 
@@ -371,15 +454,16 @@ window.DevPulseConfig = {
     
     // Network optimization
     network: {
-      enableRequestBatching: true,
+      enableRequestBatching: true, // Route API calls through the bounded priority queue
       enableResponseCompression: true,
-      enableRequestDeduplication: true
+      enableRequestDeduplication: true, // Share one response between identical in-flight requests
+      maxConcurrentRequests: 4
     },
     
     // Memory management
     memory: {
       enableGarbageCollection: true,
-      maxCacheSize: '50MB',
+      maxCacheSize: '50MB', // Budget for the persistent API response cache
       clearCacheOnNavigation: false
     }
   },
@@ -532,6 +616,18 @@ window.DevPulseConfig = {
       issues.push('github.rateLimit.maxRequests should not exceed 5000 for unauthenticated requests');
     }
     
+    if (!['github', 'ghes', 'gitea', 'forgejo'].includes(this.github.provider)) {
+      issues.push(`github.provider '${this.github.provider}' is not a supported data provider`);
+    }
+    
+    if (this.github.provider !== 'github' && this.github.apiUrl === 'https://api.github.com') {
+      issues.push(`github.apiUrl must point at your ${this.github.provider} server`);
+    }
+    
+    if (this.github.pagination.maxPages < 1) {
+      issues.push('github.pagination.maxPages must be at least 1');
+    }
+    
     // Check theme configuration
     const defaultTheme = this.get('ui.theme.default');
     if (!this.ui.theme.options.includes(defaultTheme)) {
@@ -5,6 +5,10 @@
 
 window.DevPulseAIUI = {
   
+  currentInsights: null, // Last generateInsights() output rendered
+  currentUsername: null,
+  exportMenuBound: false,
+  
   /**
    * Render AI insights section in the dashboard
    * @param {Object} insights - AI-generated insights
@@ -13,9 +17,17 @@ window.DevPulseAIUI = {
   renderAIInsights(insights, username) {
     console.log('🎨 Rendering AI insights UI...');
     
+    this.currentInsights = insights;
+    this.currentUsername = username;
+    
     const dashboard = document.getElementById('dashboard');
     if (!dashboard) return;
     
+    // Replace the section from a previous dashboard, keeping its collapsed state
+    const existingSection = document.getElementById('ai-insights');
+    const wasCollapsed = existingSection?.classList.contains('collapsed') || false;
+    existingSection?.remove();
+    
     // Create AI insights section
     const aiSection = this.createAISection(insights, username);
     
@@ -29,6 +41,10 @@ window.DevPulseAIUI = {
     
     // Initialize interactive elements
     this.initializeInteractiveElements();
+    this.setCollapsed(wasCollapsed);
+    
+    // Move the section to its place in the saved layout
+    window.DevPulseLayout?.apply();
     
     console.log('✅ AI insights UI rendered successfully');
   },
@@ -56,23 +72,36 @@ window.DevPulseAIUI = {
           <span class="ai-badge">🤖 AI</span>
         </h2>
         <div class="ai-controls">
-          <button class="ai-refresh-btn" title="Refresh AI Analysis">
+          <button class="ai-collapse-btn" title="Collapse AI Insights" aria-expanded="true" aria-controls="ai-insights-content">
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
-              <polyline points="23 4 23 10 17 10"/>
-              <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
+              <polyline points="18 15 12 9 6 15"/>
             </svg>
           </button>
-          <button class="ai-export-btn" title="Export AI Report">
+          <button class="ai-refresh-btn" title="Refresh AI Analysis">
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
-              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
-              <polyline points="7,10 12,15 17,10"/>
-              <line x1="12" y1="15" x2="12" y2="3"/>
+              <polyline points="23 4 23 10 17 10"/>
+              <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
             </svg>
           </button>
+          <div class="ai-export-container">
+            <button class="ai-export-btn" title="Export AI Report" aria-haspopup="true" aria-expanded="false">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                <polyline points="7,10 12,15 17,10"/>
+                <line x1="12" y1="15" x2="12" y2="3"/>
+              </svg>
+            </button>
+            <div class="export-menu ai-export-menu" role="menu" hidden>
+              <button type="button" role="menuitem" data-format="json">JSON</button>
+              <button type="button" role="menuitem" data-format="markdown">Markdown</button>
+              <button type="button" role="menuitem" data-format="html">HTML report</button>
+              <button type="button" role="menuitem" data-format="pdf">Print / PDF</button>
+            </div>
+          </div>
         </div>
       </div>
       
-      <div class="ai-insights-content">
+      <div class="ai-insights-content" id="ai-insights-content">
         
         <!-- Personality Profile -->
         <div class="ai-card personality-card">
@@ -87,7 +116,7 @@ window.DevPulseAIUI = {
             <p class="personality-description">${insights.personalityProfile.description}</p>
             
             <div class="personality-metrics">
-              ${this.renderPersonalityMetrics(insights.personalityProfile.scores)}
+              ${this.renderPersonalityMetrics(insights.personalityProfile.scores, insights.personalityProfile.evidence)}
             </div>
             
             <div class="personality-traits">
@@ -118,17 +147,20 @@ window.DevPulseAIUI = {
           </div>
           <div class="card-content">
             <div class="work-metrics">
-              <div class="metric">
+              <div class="metric has-evidence" tabindex="0">
                 <span class="metric-label">Peak Hours</span>
                 <span class="metric-value">${this.formatPeakHours(insights.workPatterns.peakHours)}</span>
+                ${this.renderEvidence(insights.workPatterns.evidence?.peakHours)}
               </div>
-              <div class="metric">
+              <div class="metric has-evidence" tabindex="0">
                 <span class="metric-label">Consistency</span>
                 <span class="metric-value">${insights.workPatterns.consistency.toFixed(1)}/10</span>
+                ${this.renderEvidence(insights.workPatterns.evidence?.consistency)}
               </div>
-              <div class="metric burnout-metric">
+              <div class="metric burnout-metric has-evidence" tabindex="0">
                 <span class="metric-label">Burnout Risk</span>
                 <span class="metric-value ${insights.workPatterns.burnoutRisk.level.toLowerCase()}">${insights.workPatterns.burnoutRisk.level}</span>
+                ${this.renderEvidence(insights.workPatterns.evidence?.burnoutRisk)}
               </div>
             </div>
             <div class="burnout-advice">
@@ -211,11 +243,12 @@ window.DevPulseAIUI = {
   },
 
   /**
-   * Render personality metrics as progress bars
+   * Render personality metrics as progress bars, each explaining its score on hover
    * @param {Object} scores - Personality scores
+   * @param {Object} evidence - Evidence per score, from DevPulseAI.analyzePersonalityProfile
    * @returns {string} HTML string
    */
-  renderPersonalityMetrics(scores) {
+  renderPersonalityMetrics(scores, evidence = {}) {
     const metrics = [
       { key: 'innovation', label: 'Innovation', icon: '🚀' },
       { key: 'collaboration', label: 'Collaboration', icon: '🤝' },
@@ -225,11 +258,11 @@ window.DevPulseAIUI = {
     ];
 
     return metrics.map(metric => {
-      const score = scores[metric.key] || 5;
+      const score = scores[metric.key] ?? 5;
       const percentage = (score / 10) * 100;
       
       return `
-        <div class="metric-bar">
+        <div class="metric-bar has-evidence" tabindex="0">
           <div class="metric-header">
             <span class="metric-icon">${metric.icon}</span>
             <span class="metric-name">${metric.label}</span>
@@ -238,11 +271,44 @@ window.DevPulseAIUI = {
           <div class="progress-bar">
             <div class="progress-fill" style="width: ${percentage}%" data-score="${score}"></div>
           </div>
+          ${this.renderEvidence(evidence?.[metric.key])}
         </div>
       `;
     }).join('');
   },
 
+  /**
+   * Render the breakdown behind a metric: factors, inputs, sample size and confidence
+   * @param {Object} evidence - Evidence from DevPulseAI.buildEvidence
+   * @returns {string} HTML string (empty without evidence)
+   */
+  renderEvidence(evidence) {
+    if (!evidence) return '';
+    
+    const escape = (value) => window.Utils.escapeHtml(String(value));
+    const factors = evidence.factors.map(item => `
+      <li>
+        <span class="evidence-label">${escape(item.label)}</span>
+        ${item.points !== null ? `<span class="evidence-points">${item.points < 0 ? '' : '+'}${item.points}/${item.max}</span>` : ''}
+        <span class="evidence-detail">${escape(item.detail)}</span>
+      </li>
+    `).join('');
+    const inputs = Object.entries(evidence.inputs)
+      .map(([label, value]) => `<span class="evidence-input">${escape(label)}: <strong>${escape(value)}</strong></span>`)
+      .join('');
+    
+    return `
+      <div class="metric-evidence" role="tooltip">
+        ${factors ? `<ul class="evidence-factors">${factors}</ul>` : ''}
+        ${inputs ? `<div class="evidence-inputs">${inputs}</div>` : ''}
+        ${evidence.note ? `<p class="evidence-note">${escape(evidence.note)}</p>` : ''}
+        <div class="evidence-confidence ${evidence.confidenceLevel.toLowerCase()}">
+          Based on ${evidence.sampleSize} ${escape(evidence.sampleUnit)} · ${evidence.confidenceLevel} confidence (${Math.round(evidence.confidence * 100)}%)
+        </div>
+      </div>
+    `;
+  },
+
   /**
    * Render a single recommendation
    * @param {Object} rec - Recommendation object
@@ -361,13 +427,64 @@ window.DevPulseAIUI = {
       });
     }
 
-    // AI export button
+    // AI export button and format menu
     const exportBtn = document.querySelector('.ai-export-btn');
     if (exportBtn) {
       exportBtn.addEventListener('click', () => {
-        this.exportAIReport();
+        this.toggleExportMenu();
       });
     }
+
+    const exportMenu = document.querySelector('.ai-export-menu');
+    if (exportMenu) {
+      exportMenu.addEventListener('click', (e) => {
+        const format = e.target.closest('[data-format]')?.dataset.format;
+        if (format) this.exportAIReport(format);
+      });
+    }
+
+    // Close the menu when clicking elsewhere (the section is re-rendered, the document is not)
+    if (!this.exportMenuBound) {
+      this.exportMenuBound = true;
+      document.addEventListener('click', (e) => {
+        if (!e.target.closest('.ai-export-container')) {
+          this.toggleExportMenu(false);
+        }
+      });
+    }
+
+    // AI collapse button
+    const collapseBtn = document.querySelector('.ai-collapse-btn');
+    if (collapseBtn) {
+      collapseBtn.addEventListener('click', () => {
+        const collapsed = !this.isCollapsed();
+        this.setCollapsed(collapsed);
+        window.DevPulseLayout?.setCollapsed('ai', collapsed);
+        window.DevPulse?.syncRoute('ai');
+      });
+    }
+  },
+
+  /**
+   * Check whether the AI insights section is collapsed
+   * @returns {boolean} Whether the section is collapsed
+   */
+  isCollapsed() {
+    return document.getElementById('ai-insights')?.classList.contains('collapsed') || false;
+  },
+
+  /**
+   * Collapse or expand the AI insights section
+   * @param {boolean} collapsed - Whether to collapse the section
+   */
+  setCollapsed(collapsed) {
+    const section = document.getElementById('ai-insights');
+    const button = section?.querySelector('.ai-collapse-btn');
+    if (!section || !button) return;
+
+    section.classList.toggle('collapsed', collapsed);
+    button.setAttribute('aria-expanded', String(!collapsed));
+    button.title = collapsed ? 'Expand AI Insights' : 'Collapse AI Insights';
   },
 
   /**
@@ -442,12 +559,7 @@ window.DevPulseAIUI = {
       if (window.DevPulse && window.DevPulse.currentUserData) {
         const insights = await window.DevPulseAI.generateInsights(window.DevPulse.currentUserData);
         
-        // Update the existing AI section
-        const existingSection = document.getElementById('ai-insights');
-        if (existingSection) {
-          existingSection.remove();
-        }
-        
+        // Replaces the existing AI section
         this.renderAIInsights(insights, window.DevPulse.currentUsername);
         
         // Show success toast
@@ -468,46 +580,303 @@ window.DevPulseAIUI = {
     }
   },
 
+  // ================================
+  // REPORT EXPORT
+  // ================================
+
   /**
-   * Export AI report
+   * Show or hide the export format menu
+   * @param {boolean} open - Whether to open the menu (toggles when omitted)
    */
-  exportAIReport() {
-    const insights = this.getCurrentInsights();
-    if (!insights) return;
+  toggleExportMenu(open) {
+    const menu = document.querySelector('.ai-export-menu');
+    const button = document.querySelector('.ai-export-btn');
+    if (!menu || !button) return;
 
-    const report = {
-      username: window.DevPulse?.currentUsername || 'unknown',
-      generatedAt: new Date().toISOString(),
-      insights: insights
-    };
+    const shouldOpen = open ?? menu.hidden;
+    menu.hidden = !shouldOpen;
+    button.setAttribute('aria-expanded', String(shouldOpen));
+  },
 
-    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `ai-insights-${report.username}-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-
-    if (window.DevPulse.showToast) {
-      window.DevPulse.showToast('AI report exported successfully!', 'success');
+  /**
+   * Export the AI report
+   * @param {string} format - 'json', 'markdown', 'html' or 'pdf' (opens the print dialog)
+   */
+  exportAIReport(format = 'json') {
+    this.toggleExportMenu(false);
+
+    const report = this.buildAIReport();
+    if (!report) {
+      window.DevPulseUI?.showToast('Generate AI insights before exporting a report', 'warning');
+      return;
+    }
+
+    const utils = window.DevPulseUtils;
+    const prefix = `ai-insights-${report.username}`;
+
+    try {
+      switch (format) {
+        case 'json': {
+          // Chart images only belong in the human-readable formats
+          const { charts, ...data } = report;
+          utils.downloadFile(
+            JSON.stringify(data, null, 2),
+            utils.getExportFilename(prefix, 'json'),
+            'application/json'
+          );
+          break;
+        }
+
+        case 'markdown':
+          utils.downloadFile(this.toMarkdown(report), utils.getExportFilename(prefix, 'md'), 'text/markdown');
+          break;
+
+        case 'html':
+          utils.downloadFile(this.toHTML(report), utils.getExportFilename(prefix, 'html'), 'text/html');
+          break;
+
+        case 'pdf':
+          this.printReport(report);
+          return;
+
+        default:
+          throw new Error(`Unsupported report format: ${format}`);
+      }
+
+      window.DevPulseUI?.showToast('AI report exported successfully!', 'success');
+    } catch (error) {
+      window.Utils.logError(error, 'exportAIReport', { format });
+      window.DevPulseUI?.showToast('Failed to export AI report', 'error');
     }
   },
 
   /**
-   * Get current insights from DOM
-   * @returns {Object} Current insights data
+   * Get the insights currently rendered
+   * @returns {Object|null} Output of DevPulseAI.generateInsights, or null before the first render
    */
   getCurrentInsights() {
-    // This would extract current insights from the DOM
-    // For now, return placeholder
+    return this.currentInsights;
+  },
+
+  /**
+   * Collect everything a report needs
+   * @returns {Object|null} { username, generatedAt, insights, charts }
+   */
+  buildAIReport() {
+    const insights = this.getCurrentInsights();
+    if (!insights) return null;
+
     return {
-      personalityProfile: { type: 'Extracted from DOM' },
-      workPatterns: {},
-      recommendations: [],
-      predictions: {}
+      username: this.currentUsername || 'unknown',
+      generatedAt: new Date().toISOString(),
+      insights,
+      charts: window.DevPulseCharts?.getChartImages() || []
     };
+  },
+
+  /**
+   * Describe the insights as report sections shared by the Markdown and HTML formats
+   * @param {Object} insights - AI insights
+   * @returns {Array} [{ title, paragraphs, table: { headers, rows }, lists: [{ title, items }] }]
+   */
+  getReportSections(insights) {
+    const { personalityProfile, workPatterns, recommendations = [], predictions, riskAnalysis } = insights;
+    const percent = (value) => `${Math.round((value || 0) * 100)}%`;
+    const score = (value) => `${Number(value || 0).toFixed(1)}/10`;
+    const basis = (evidence) => evidence ? `${evidence.confidenceLevel} (${evidence.sampleSize} ${evidence.sampleUnit})` : '';
+
+    return [
+      {
+        title: 'Developer Personality',
+        paragraphs: [personalityProfile.type, personalityProfile.description],
+        table: {
+          headers: ['Trait', 'Score', 'Confidence'],
+          rows: Object.entries(personalityProfile.scores).map(([trait, value]) => [
+            window.Utils.capitalize(trait),
+            score(value),
+            basis(personalityProfile.evidence?.[trait])
+          ])
+        },
+        lists: [
+          { title: 'Strengths', items: personalityProfile.strengths },
+          { title: 'Growth areas', items: personalityProfile.growthAreas }
+        ]
+      },
+      {
+        title: 'Work Patterns',
+        table: {
+          headers: ['Metric', 'Value'],
+          rows: [
+            ['Peak hours', this.formatPeakHours(workPatterns.peakHours)],
+            ['Working style', workPatterns.workingStyle],
+            ['Sessions', `${workPatterns.sessionLength?.average} (${workPatterns.sessionLength?.pattern})`],
+            ['Projects in recent activity', workPatterns.multitasking?.uniqueProjects ?? 0],
+            ['Consistency', score(workPatterns.consistency)],
+            ['Burnout risk', `${workPatterns.burnoutRisk.level}: ${workPatterns.burnoutRisk.advice}`]
+          ]
+        }
+      },
+      {
+        title: 'Recommendations',
+        table: {
+          headers: ['Type', 'Recommendation', 'Confidence'],
+          rows: recommendations.map(rec => [rec.type, `${rec.title}: ${rec.description}`, percent(rec.confidence)])
+        }
+      },
+      {
+        title: 'Predictions',
+        table: {
+          headers: ['Prediction', 'Outcome', 'Confidence'],
+          rows: [
+            ['Activity trend', [predictions.activityTrend.trend, predictions.activityTrend.description].filter(Boolean).join(': '), percent(predictions.activityTrend.confidence)],
+            ['Next technology', [predictions.nextTechnology.primary, ...(predictions.nextTechnology.alternatives || [])].join(', '), percent(predictions.nextTechnology.confidence)],
+            ['Collaboration', predictions.collaborationGrowth.trend, percent(predictions.collaborationGrowth.confidence)],
+            ['Skill development', `${predictions.skillDevelopment.learningVelocity} learning velocity, ${predictions.skillDevelopment.skillDiversification.toLowerCase()} skills`, percent(predictions.skillDevelopment.confidence)]
+          ]
+        }
+      },
+      {
+        title: 'Risk Analysis',
+        table: {
+          headers: ['Risk', 'Level', 'Advice', 'Confidence'],
+          rows: [
+            ['Burnout', riskAnalysis.burnoutRisk.level, riskAnalysis.burnoutRisk.advice, basis(riskAnalysis.evidence?.burnoutRisk)],
+            ['Skill stagnation', riskAnalysis.skillStagnation.level, riskAnalysis.skillStagnation.advice, basis(riskAnalysis.evidence?.skillStagnation)],
+            ['Collaboration isolation', riskAnalysis.collaborationIsolation.level, riskAnalysis.collaborationIsolation.advice, basis(riskAnalysis.evidence?.collaborationIsolation)]
+          ]
+        }
+      }
+    ];
+  },
+
+  /**
+   * Render a report as Markdown
+   * @param {Object} report - Report from buildAIReport
+   * @returns {string} Markdown document
+   */
+  toMarkdown(report) {
+    const cell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const lines = [
+      `# AI Insights Report: @${report.username}`,
+      '',
+      `Generated ${new Date(report.generatedAt).toLocaleString()} by DevPulse`,
+      ''
+    ];
+
+    this.getReportSections(report.insights).forEach(section => {
+      lines.push(`## ${section.title}`, '');
+
+      (section.paragraphs || []).forEach(paragraph => lines.push(paragraph, ''));
+
+      if (section.table) {
+        lines.push(
+          `| ${section.table.headers.map(cell).join(' | ')} |`,
+          `| ${section.table.headers.map(() => '---').join(' | ')} |`,
+          ...section.table.rows.map(row => `| ${row.map(cell).join(' | ')} |`),
+          ''
+        );
+      }
+
+      (section.lists || []).forEach(list => {
+        lines.push(`**${list.title}**`, '', ...list.items.map(item => `- ${item}`), '');
+      });
+    });
+
+    if (report.charts.length > 0) {
+      lines.push('## Charts', '');
+      report.charts.forEach(chart => lines.push(`![${chart.title}](${chart.image})`, ''));
+    }
+
+    return lines.join('\n');
+  },
+
+  /**
+   * Render a report as a standalone, print-ready HTML document
+   * @param {Object} report - Report from buildAIReport
+   * @returns {string} HTML document
+   */
+  toHTML(report) {
+    const escape = (value) => window.Utils.escapeHtml(String(value ?? ''));
+
+    const sections = this.getReportSections(report.insights).map(section => `
+      <section>
+        <h2>${escape(section.title)}</h2>
+        ${(section.paragraphs || []).map(paragraph => `<p>${escape(paragraph)}</p>`).join('')}
+        ${section.table ? `
+          <table>
+            <thead><tr>${section.table.headers.map(header => `<th>${escape(header)}</th>`).join('')}</tr></thead>
+            <tbody>
+              ${section.table.rows.map(row => `<tr>${row.map(value => `<td>${escape(value)}</td>`).join('')}</tr>`).join('')}
+            </tbody>
+          </table>
+        ` : ''}
+        ${(section.lists || []).map(list => `
+          <h3>${escape(list.title)}</h3>
+          <ul>${list.items.map(item => `<li>${escape(item)}</li>`).join('')}</ul>
+        `).join('')}
+      </section>
+    `).join('');
+
+    const charts = report.charts.length > 0 ? `
+      <section class="charts">
+        <h2>Charts</h2>
+        ${report.charts.map(chart => `
+          <figure>
+            <img src="${chart.image}" alt="${escape(chart.title)}">
+            <figcaption>${escape(chart.title)}</figcaption>
+          </figure>
+        `).join('')}
+      </section>
+    ` : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>AI Insights Report: @${escape(report.username)}</title>
+  <style>
+    @page { margin: 18mm; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; max-width: 860px; margin: 0 auto; padding: 24px; line-height: 1.5; }
+    h1 { margin-bottom: 4px; }
+    h2 { margin-top: 32px; padding-bottom: 4px; border-bottom: 2px solid #667eea; }
+    .meta { color: #6b7280; margin-top: 0; }
+    table { width: 100%; border-collapse: collapse; margin: 12px 0; }
+    th, td { padding: 6px 10px; border: 1px solid #e5e7eb; text-align: left; vertical-align: top; }
+    th { background: #f3f4f6; }
+    section { break-inside: avoid; }
+    figure { margin: 16px 0; break-inside: avoid; }
+    figure img { max-width: 100%; border: 1px solid #e5e7eb; border-radius: 6px; }
+    figcaption { color: #6b7280; font-size: 0.875rem; }
+  </style>
+</head>
+<body>
+  <h1>AI Insights Report: @${escape(report.username)}</h1>
+  <p class="meta">Generated ${escape(new Date(report.generatedAt).toLocaleString())} by DevPulse</p>
+  ${sections}
+  ${charts}
+</body>
+</html>`;
+  },
+
+  /**
+   * Open the HTML report in a new window and show the print dialog (save as PDF from there)
+   * @param {Object} report - Report from buildAIReport
+   */
+  printReport(report) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      window.DevPulseUI?.showToast('Allow pop-ups to print the report, or export it as HTML', 'warning');
+      return;
+    }
+
+    printWindow.document.open();
+    printWindow.document.write(this.toHTML(report));
+    printWindow.document.close();
+
+    // Give the chart images a moment to decode before printing
+    setTimeout(() => {
+      printWindow.focus();
+      printWindow.print();
+    }, 250);
   }
 };
@@ -34,24 +34,26 @@ window.DevPulseAI = {
   /**
    * Analyze developer personality based on GitHub activity
    * @param {Object} userData - User data
-   * @returns {Object} Personality profile
+   * @returns {Object} Personality profile, with the evidence behind every score
    */
   analyzePersonalityProfile(userData) {
     const events = userData.events || [];
     const repos = userData.repositories || [];
     
-    // Calculate personality metrics
-    const metrics = {
+    // Calculate personality metrics ({ score, evidence } each)
+    const results = {
       innovation: this.calculateInnovationScore(repos),
       collaboration: this.calculateCollaborationScore(events),
       consistency: this.calculateConsistencyScore(events),
       exploration: this.calculateExplorationScore(repos),
       leadership: this.calculateLeadershipScore(repos, events)
     };
+    const metrics = Object.fromEntries(Object.entries(results).map(([key, result]) => [key, result.score]));
     
     return {
       type: this.determinePersonalityType(metrics),
       scores: metrics,
+      evidence: Object.fromEntries(Object.entries(results).map(([key, result]) => [key, result.evidence])),
       description: this.generatePersonalityDescription(metrics),
       strengths: this.identifyStrengths(metrics),
       growthAreas: this.identifyGrowthAreas(metrics)
@@ -61,7 +63,7 @@ window.DevPulseAI = {
   /**
    * Analyze work patterns and habits
    * @param {Object} userData - User data
-   * @returns {Object} Work pattern analysis
+   * @returns {Object} Work pattern analysis, with the evidence behind every metric
    */
   analyzeWorkPatterns(userData) {
     const events = userData.events || [];
@@ -69,15 +71,27 @@ window.DevPulseAI = {
     // Analyze temporal patterns
     const hourlyDistribution = this.analyzeTimeDistribution(events);
     const weeklyPattern = this.analyzeWeeklyPattern(events);
-    const projectJuggling = this.analyzeProjectJuggling(events);
+    const workingStyle = this.determineWorkingStyle(hourlyDistribution, weeklyPattern);
+    const { evidence: sessionEvidence, ...sessionLength } = this.estimateSessionLength(events);
+    const { evidence: multitaskingEvidence, ...multitasking } = this.analyzeProjectJuggling(events);
+    const consistency = this.calculateWorkConsistency(weeklyPattern);
+    const { evidence: burnoutEvidence, ...burnoutRisk } = this.assessBurnoutRisk(events, weeklyPattern);
     
     return {
       peakHours: this.identifyPeakHours(hourlyDistribution),
-      workingStyle: this.determineWorkingStyle(hourlyDistribution, weeklyPattern),
-      sessionLength: this.estimateSessionLength(events),
-      multitasking: projectJuggling,
-      consistency: this.calculateWorkConsistency(weeklyPattern),
-      burnoutRisk: this.assessBurnoutRisk(events, weeklyPattern)
+      workingStyle: workingStyle.style,
+      sessionLength,
+      multitasking,
+      consistency: consistency.score,
+      burnoutRisk,
+      evidence: {
+        peakHours: this.explainPeakHours(hourlyDistribution),
+        workingStyle: workingStyle.evidence,
+        sessionLength: sessionEvidence,
+        multitasking: multitaskingEvidence,
+        consistency: consistency.evidence,
+        burnoutRisk: burnoutEvidence
+      }
     };
   },
 
@@ -162,13 +176,17 @@ window.DevPulseAI = {
   // CALCULATION METHODS
   // ================================
 
+  /**
+   * Score originality and appetite for new things
+   * @param {Array} repos - Repositories
+   * @returns {Object} { score, evidence }
+   */
   calculateInnovationScore(repos) {
-    if (!repos.length) return Math.random() * 3 + 4; // 4-7 range for no data
+    if (!repos.length) return this.neutralScore('repositories', 'No repositories to analyze, so the neutral midpoint is shown.');
     
     const uniqueLanguages = new Set(repos.map(r => r.language).filter(Boolean)).size;
     const originalRepos = repos.filter(r => !r.fork).length;
     const totalRepos = repos.length;
-    const forkRatio = 1 - (originalRepos / totalRepos);
     
     // Check for experimental/innovative keywords in descriptions
     const innovativeKeywords = ['experiment', 'prototype', 'poc', 'demo', 'innovative', 'cutting-edge', 'ai', 'ml', 'blockchain'];
@@ -185,17 +203,28 @@ window.DevPulseAI = {
     }).length;
     
     // Scoring algorithm
-    let score = 0;
-    score += Math.min(4, uniqueLanguages * 0.8); // Language diversity (max 4 points)
-    score += Math.min(3, (originalRepos / Math.max(totalRepos, 1)) * 4); // Originality (max 3 points)
-    score += Math.min(2, experimentalRepos * 0.5); // Experimental projects (max 2 points)
-    score += Math.min(1, (recentRepos / Math.max(totalRepos, 1)) * 2); // Recent activity (max 1 point)
+    const factors = [
+      this.factor('Language diversity', `${uniqueLanguages} languages × 0.8`, Math.min(4, uniqueLanguages * 0.8), 4),
+      this.factor('Originality', `${originalRepos} of ${totalRepos} repositories are not forks`, Math.min(3, (originalRepos / totalRepos) * 4), 3),
+      this.factor('Experimental projects', `${experimentalRepos} described as experiments, prototypes, AI/ML… × 0.5`, Math.min(2, experimentalRepos * 0.5), 2),
+      this.factor('Recent projects', `${recentRepos} of ${totalRepos} created in the last 6 months`, Math.min(1, (recentRepos / totalRepos) * 2), 1)
+    ];
     
-    return Math.min(10, Math.max(1, score));
+    return this.scoreFromFactors(factors, {
+      inputs: { Repositories: totalRepos, Languages: uniqueLanguages, 'Original repositories': originalRepos },
+      sampleSize: totalRepos,
+      sampleUnit: 'repositories',
+      fullConfidenceAt: 10
+    });
   },
 
+  /**
+   * Score how much of the activity involves other people
+   * @param {Array} events - Events
+   * @returns {Object} { score, evidence }
+   */
   calculateCollaborationScore(events) {
-    if (!events.length) return Math.random() * 3 + 3; // 3-6 range for no data
+    if (!events.length) return this.neutralScore('events', 'No recent events to analyze, so the neutral midpoint is shown.');
     
     const collaborativeEvents = events.filter(e => 
       e.type === 'PullRequestEvent' || 
@@ -204,28 +233,41 @@ window.DevPulseAI = {
       e.type === 'IssueCommentEvent'
     ).length;
     
-    const publicEvents = events.filter(e => e.public !== false).length;
     const orgEvents = events.filter(e => e.org).length;
     const watchEvents = events.filter(e => e.type === 'WatchEvent').length;
     const forkEvents = events.filter(e => e.type === 'ForkEvent').length;
+    const share = (count) => count / events.length;
     
-    let score = 0;
-    score += Math.min(4, (collaborativeEvents / Math.max(events.length, 1)) * 10); // Direct collaboration (max 4)
-    score += Math.min(2, (orgEvents / Math.max(events.length, 1)) * 8); // Organization activity (max 2)
-    score += Math.min(2, (watchEvents / Math.max(events.length, 1)) * 20); // Community engagement (max 2)
-    score += Math.min(2, (forkEvents / Math.max(events.length, 1)) * 15); // Fork activity (max 2)
+    const factors = [
+      this.factor('Direct collaboration', `${this.percent(share(collaborativeEvents))} pull requests, issues and reviews × 10`, Math.min(4, share(collaborativeEvents) * 10), 4),
+      this.factor('Organization activity', `${this.percent(share(orgEvents))} in organizations × 8`, Math.min(2, share(orgEvents) * 8), 2),
+      this.factor('Community engagement', `${this.percent(share(watchEvents))} stars given × 20`, Math.min(2, share(watchEvents) * 20), 2),
+      this.factor('Fork activity', `${this.percent(share(forkEvents))} forks × 15`, Math.min(2, share(forkEvents) * 15), 2)
+    ];
     
-    return Math.min(10, Math.max(1, score));
+    return this.scoreFromFactors(factors, {
+      inputs: { Events: events.length, 'Collaborative events': collaborativeEvents, 'Organization events': orgEvents },
+      sampleSize: events.length,
+      sampleUnit: 'events',
+      fullConfidenceAt: 100
+    });
   },
 
+  /**
+   * Score how evenly activity is spread over active days
+   * @param {Array} events - Events
+   * @returns {Object} { score, evidence }
+   */
   calculateConsistencyScore(events) {
-    if (events.length < 5) return Math.random() * 4 + 3; // 3-7 range for insufficient data
+    if (events.length < 5) return this.neutralScore('events', 'Fewer than 5 recent events, so the neutral midpoint is shown.', events.length);
     
     // Group events by day
     const dailyActivity = this.groupEventsByDay(events);
     const days = Object.keys(dailyActivity);
     
-    if (days.length < 7) return Math.random() * 3 + 4; // 4-7 range for < week data
+    if (days.length < 7) {
+      return this.neutralScore('active days', 'Activity on fewer than 7 days, so the neutral midpoint is shown.', days.length);
+    }
     
     // Calculate daily activity counts
     const activityCounts = Object.values(dailyActivity).map(day => day.length);
@@ -253,15 +295,27 @@ window.DevPulseAI = {
     const weekendMean = weekendActivity.length ? weekendActivity.reduce((a, b) => a + b) / weekendActivity.length : 0;
     const workLifeBalance = Math.abs(weekdayMean - weekendMean) / Math.max(weekdayMean, weekendMean, 1);
     
-    // Score calculation (lower variation = higher consistency)
-    let score = 10 - (coefficientOfVariation * 5); // Base score from variation
-    score += Math.min(2, (1 - workLifeBalance) * 2); // Work-life balance bonus
+    // Lower variation = higher consistency
+    const factors = [
+      this.factor('Steadiness', `10 − day-to-day variation ${this.round(coefficientOfVariation)} × 5`, 10 - (coefficientOfVariation * 5), 10),
+      this.factor('Weekday/weekend balance', `${this.round(weekdayMean)} vs ${this.round(weekendMean)} events per active day`, Math.min(2, (1 - workLifeBalance) * 2), 2)
+    ];
     
-    return Math.min(10, Math.max(1, score));
+    return this.scoreFromFactors(factors, {
+      inputs: { 'Active days': days.length, 'Events per active day': this.round(mean) },
+      sampleSize: days.length,
+      sampleUnit: 'active days',
+      fullConfidenceAt: 30
+    });
   },
 
+  /**
+   * Score the breadth of languages, domains and project types
+   * @param {Array} repos - Repositories
+   * @returns {Object} { score, evidence }
+   */
   calculateExplorationScore(repos) {
-    if (!repos.length) return Math.random() * 3 + 4; // 4-7 range for no data
+    if (!repos.length) return this.neutralScore('repositories', 'No repositories to analyze, so the neutral midpoint is shown.');
     
     const languages = repos.map(r => r.language).filter(Boolean);
     const uniqueLanguages = new Set(languages);
@@ -287,7 +341,7 @@ window.DevPulseAI = {
     
     // Check for trending/emerging technologies
     const emergingTech = ['Rust', 'Go', 'TypeScript', 'Dart', 'Julia', 'Zig', 'WebAssembly'];
-    const emergingCount = [...uniqueLanguages].filter(lang => emergingTech.includes(lang)).length;
+    const emergingLanguages = [...uniqueLanguages].filter(lang => emergingTech.includes(lang));
     
     // Project diversity (different types of projects)
     const projectTypes = new Set();
@@ -304,17 +358,32 @@ window.DevPulseAI = {
       if (desc.includes('ml') || desc.includes('ai')) projectTypes.add('ai');
     });
     
-    let score = 0;
-    score += Math.min(3, uniqueLanguages.size * 0.5); // Language diversity (max 3)
-    score += Math.min(3, categoriesUsed.size * 0.8); // Category diversity (max 3)
-    score += Math.min(2, emergingCount * 0.8); // Emerging tech adoption (max 2)
-    score += Math.min(2, projectTypes.size * 0.4); // Project type diversity (max 2)
+    const list = (items) => (items.length ? ` (${items.join(', ')})` : '');
+    const factors = [
+      this.factor('Language diversity', `${uniqueLanguages.size} languages × 0.5`, Math.min(3, uniqueLanguages.size * 0.5), 3),
+      this.factor('Domains', `${categoriesUsed.size} language families${list([...categoriesUsed])} × 0.8`, Math.min(3, categoriesUsed.size * 0.8), 3),
+      this.factor('Emerging technology', `${emergingLanguages.length} emerging languages${list(emergingLanguages)} × 0.8`, Math.min(2, emergingLanguages.length * 0.8), 2),
+      this.factor('Project types', `${projectTypes.size} kinds of project${list([...projectTypes])} × 0.4`, Math.min(2, projectTypes.size * 0.4), 2)
+    ];
     
-    return Math.min(10, Math.max(1, score));
+    return this.scoreFromFactors(factors, {
+      inputs: { Repositories: repos.length, Languages: [...uniqueLanguages].join(', ') || 'none' },
+      sampleSize: repos.length,
+      sampleUnit: 'repositories',
+      fullConfidenceAt: 10
+    });
   },
 
+  /**
+   * Score ownership, reach and guidance of others
+   * @param {Array} repos - Repositories
+   * @param {Array} events - Events
+   * @returns {Object} { score, evidence }
+   */
   calculateLeadershipScore(repos, events) {
-    if (!repos.length && !events.length) return Math.random() * 3 + 2; // 2-5 range for no data
+    if (!repos.length && !events.length) {
+      return this.neutralScore('repositories and events', 'No repositories or recent events to analyze, so the neutral midpoint is shown.');
+    }
     
     const ownedRepos = repos.filter(r => !r.fork).length;
     const totalRepos = repos.length || 1;
@@ -322,30 +391,32 @@ window.DevPulseAI = {
     
     // Repository quality indicators
     const starredRepos = repos.filter(r => (r.stargazers_count || 0) > 5).length;
-    const forkedRepos = repos.filter(r => (r.forks_count || 0) > 2).length;
-    const documentedRepos = repos.filter(r => r.description && r.description.length > 20).length;
     
     // Leadership activities in events
-    const createEvents = events.filter(e => e.type === 'CreateEvent').length;
-    const releaseEvents = events.filter(e => e.type === 'ReleaseEvent').length;
     const organizationEvents = events.filter(e => e.org).length;
     const mentorshipEvents = events.filter(e => 
       e.type === 'IssueCommentEvent' || 
       e.type === 'PullRequestReviewEvent'
     ).length;
+    const eventCount = Math.max(events.length, 1);
     
     // Repository impact
     const totalStars = repos.reduce((sum, repo) => sum + (repo.stargazers_count || 0), 0);
-    const totalForks = repos.reduce((sum, repo) => sum + (repo.forks_count || 0), 0);
     
-    let score = 0;
-    score += Math.min(2, ownershipRatio * 3); // Project ownership (max 2)
-    score += Math.min(2, (starredRepos / Math.max(totalRepos, 1)) * 4); // Quality repos (max 2)
-    score += Math.min(2, Math.log10(Math.max(totalStars, 1)) * 0.8); // Community impact (max 2)
-    score += Math.min(2, (organizationEvents / Math.max(events.length, 1)) * 10); // Org leadership (max 2)
-    score += Math.min(2, (mentorshipEvents / Math.max(events.length, 1)) * 8); // Mentorship (max 2)
+    const factors = [
+      this.factor('Project ownership', `${ownedRepos} of ${repos.length} repositories are their own × 3`, Math.min(2, ownershipRatio * 3), 2),
+      this.factor('Quality repositories', `${starredRepos} with more than 5 stars`, Math.min(2, (starredRepos / totalRepos) * 4), 2),
+      this.factor('Community impact', `log10(${totalStars} stars) × 0.8`, Math.min(2, Math.log10(Math.max(totalStars, 1)) * 0.8), 2),
+      this.factor('Organization leadership', `${this.percent(organizationEvents / eventCount)} of events in organizations × 10`, Math.min(2, (organizationEvents / eventCount) * 10), 2),
+      this.factor('Mentorship', `${this.percent(mentorshipEvents / eventCount)} comments and reviews × 8`, Math.min(2, (mentorshipEvents / eventCount) * 8), 2)
+    ];
     
-    return Math.min(10, Math.max(1, score));
+    return this.scoreFromFactors(factors, {
+      inputs: { Repositories: repos.length, Events: events.length, 'Total stars': totalStars },
+      sampleSize: repos.length + events.length,
+      sampleUnit: 'repositories and events',
+      fullConfidenceAt: 50
+    });
   },
 
   // ================================
@@ -384,16 +455,39 @@ window.DevPulseAI = {
     return peakHours;
   },
 
+  /**
+   * Explain how the peak hours were picked
+   * @param {Array} hourlyDistribution - Events per hour of day
+   * @returns {Object} Evidence
+   */
+  explainPeakHours(hourlyDistribution) {
+    const totalActivity = hourlyDistribution.reduce((a, b) => a + b, 0);
+    const maxActivity = Math.max(...hourlyDistribution);
+    
+    return this.buildEvidence({
+      inputs: { Events: totalActivity, 'Busiest hour': `${maxActivity} events` },
+      factors: [this.factor('Peak threshold', `Hours with at least 80% of the busiest hour's activity`)],
+      sampleSize: totalActivity,
+      sampleUnit: 'events',
+      fullConfidenceAt: 100,
+      note: totalActivity ? null : 'No recent events, so every hour counts as a peak.'
+    });
+  },
+
+  /**
+   * Name the working style from when the activity happens
+   * @param {Array} hourlyDist - Events per hour of day
+   * @param {Array} weeklyDist - Events per day of week
+   * @returns {Object} { style, evidence }
+   */
   determineWorkingStyle(hourlyDist, weeklyDist) {
     const totalActivity = hourlyDist.reduce((a, b) => a + b, 0);
-    if (totalActivity === 0) return 'Getting Started 🌱';
-    
-    // Find peak hours
-    const maxActivity = Math.max(...hourlyDist);
-    const peakHours = hourlyDist
-      .map((activity, hour) => ({ hour, activity }))
-      .filter(h => h.activity >= maxActivity * 0.7)
-      .map(h => h.hour);
+    if (totalActivity === 0) {
+      return {
+        style: 'Getting Started 🌱',
+        evidence: this.buildEvidence({ sampleUnit: 'events', note: 'No recent events to place in the day yet.' })
+      };
+    }
     
     // Analyze time patterns
     const morningActivity = hourlyDist.slice(6, 12).reduce((a, b) => a + b, 0); // 6 AM - 12 PM
@@ -410,22 +504,43 @@ window.DevPulseAI = {
     const weekdayVariance = this.calculateVariance(weeklyDist.slice(1, 6));
     const isConsistent = weekdayVariance < 2;
     
-    // Determine working style
-    if (nightActivity > totalActivity * 0.4) {
-      return isConsistent ? 'Consistent Night Owl 🦉' : 'Irregular Night Coder 🌙';
-    } else if (morningActivity > totalActivity * 0.4) {
-      return isConsistent ? 'Early Bird Developer 🐦' : 'Morning Burst Coder ☀️';
-    } else if (weekendRatio > 0.4) {
-      return eveningActivity > afternoonActivity ? 'Weekend Evening Warrior 💪' : 'Weekend Day Hacker 🎯';
-    } else if (eveningActivity > totalActivity * 0.4) {
-      return isConsistent ? 'After-Hours Developer 🌆' : 'Evening Sprint Coder 🏃';
-    } else if (afternoonActivity > totalActivity * 0.4) {
-      return isConsistent ? 'Afternoon Focused 📈' : 'Midday Momentum 🔥';
-    } else if (isConsistent) {
-      return 'Steady All-Day Contributor 🔄';
-    } else {
-      return 'Flexible Schedule Coder 🎨';
-    }
+    // Determine working style: the first rule that holds wins
+    const share = (activity) => activity / totalActivity;
+    const rules = [
+      { hit: share(nightActivity) > 0.4, label: 'Night (11 PM – 6 AM)', detail: `${this.percent(share(nightActivity))} of events, over 40%`,
+        style: isConsistent ? 'Consistent Night Owl 🦉' : 'Irregular Night Coder 🌙' },
+      { hit: share(morningActivity) > 0.4, label: 'Morning (6 AM – 12 PM)', detail: `${this.percent(share(morningActivity))} of events, over 40%`,
+        style: isConsistent ? 'Early Bird Developer 🐦' : 'Morning Burst Coder ☀️' },
+      { hit: weekendRatio > 0.4, label: 'Weekends', detail: `${this.percent(weekendRatio)} of events, over 40%`,
+        style: eveningActivity > afternoonActivity ? 'Weekend Evening Warrior 💪' : 'Weekend Day Hacker 🎯' },
+      { hit: share(eveningActivity) > 0.4, label: 'Evening (6 PM – 11 PM)', detail: `${this.percent(share(eveningActivity))} of events, over 40%`,
+        style: isConsistent ? 'After-Hours Developer 🌆' : 'Evening Sprint Coder 🏃' },
+      { hit: share(afternoonActivity) > 0.4, label: 'Afternoon (12 PM – 6 PM)', detail: `${this.percent(share(afternoonActivity))} of events, over 40%`,
+        style: isConsistent ? 'Afternoon Focused 📈' : 'Midday Momentum 🔥' },
+      { hit: true, label: 'No dominant time of day', detail: 'No window holds over 40% of events',
+        style: isConsistent ? 'Steady All-Day Contributor 🔄' : 'Flexible Schedule Coder 🎨' }
+    ];
+    const rule = rules.find(candidate => candidate.hit);
+    
+    return {
+      style: rule.style,
+      evidence: this.buildEvidence({
+        inputs: {
+          Morning: this.percent(share(morningActivity)),
+          Afternoon: this.percent(share(afternoonActivity)),
+          Evening: this.percent(share(eveningActivity)),
+          Night: this.percent(share(nightActivity)),
+          Weekends: this.percent(weekendRatio)
+        },
+        factors: [
+          this.factor(rule.label, rule.detail),
+          this.factor('Weekday rhythm', `Variance ${this.round(weekdayVariance)} between weekdays, ${isConsistent ? 'under 2 (consistent)' : 'not under 2 (irregular)'}`)
+        ],
+        sampleSize: totalActivity,
+        sampleUnit: 'events',
+        fullConfidenceAt: 100
+      })
+    };
   },
 
   calculateVariance(array) {
@@ -434,18 +549,33 @@ window.DevPulseAI = {
     return array.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / array.length;
   },
 
+  /**
+   * Score burnout risk from intensity, weekend, late-night and clustered work
+   * @param {Array} events - Events, newest first
+   * @param {Array} weeklyPattern - Events per day of week
+   * @returns {Object} { level, advice, score, recommendations, evidence }
+   */
   assessBurnoutRisk(events, weeklyPattern) {
     if (events.length < 20) {
       return { 
         level: 'Low', 
         advice: 'Build consistent coding habits gradually',
-        score: Math.random() * 3 + 1 // 1-4 score
+        score: 0,
+        evidence: this.buildEvidence({
+          inputs: { Events: events.length },
+          sampleSize: events.length,
+          sampleUnit: 'events',
+          fullConfidenceAt: 100,
+          note: 'Fewer than 20 recent events, too few to judge work intensity.'
+        })
       };
     }
     
-    // Analyze recent activity intensity
+    // Analyze recent activity intensity: events per day over the span they cover
     const recentEvents = events.slice(0, Math.min(50, events.length));
-    const intensity = recentEvents.length / Math.min(30, events.length); // Events per day (last 30 events)
+    const timestamps = recentEvents.map(e => new Date(e.created_at).getTime()).filter(Number.isFinite);
+    const spanDays = timestamps.length ? Math.max(1, (Math.max(...timestamps) - Math.min(...timestamps)) / (1000 * 60 * 60 * 24)) : 1;
+    const intensity = recentEvents.length / spanDays;
     
     // Weekend work analysis
     const totalWeekly = weeklyPattern.reduce((a, b) => a + b, 0);
@@ -463,25 +593,14 @@ window.DevPulseAI = {
     const clusteringScore = heavyDays / Math.max(Object.keys(dailyGroups).length, 1);
     
     // Calculate risk factors
-    let riskScore = 0;
-    
-    // High intensity factor
-    if (intensity > 3) riskScore += 3;
-    else if (intensity > 2) riskScore += 2;
-    else if (intensity > 1.5) riskScore += 1;
-    
-    // Weekend work factor
-    if (weekendWork > 0.4) riskScore += 3;
-    else if (weekendWork > 0.3) riskScore += 2;
-    else if (weekendWork > 0.2) riskScore += 1;
-    
-    // Late night work factor
-    if (lateNightWork > 0.3) riskScore += 2;
-    else if (lateNightWork > 0.2) riskScore += 1;
-    
-    // Activity clustering factor
-    if (clusteringScore > 0.5) riskScore += 2;
-    else if (clusteringScore > 0.3) riskScore += 1;
+    const percent = (value) => this.percent(value);
+    const factors = [
+      this.tieredFactor('High intensity', intensity, [[3, 3], [2, 2], [1.5, 1]], value => `${this.round(value, 1)} events/day`),
+      this.tieredFactor('Weekend work', weekendWork, [[0.4, 3], [0.3, 2], [0.2, 1]], percent),
+      this.tieredFactor('Late-night work (10 PM – 6 AM)', lateNightWork, [[0.3, 2], [0.2, 1]], percent),
+      this.tieredFactor('Heavy days (over 5 events)', clusteringScore, [[0.5, 2], [0.3, 1]], percent)
+    ];
+    const riskScore = factors.reduce((sum, item) => sum + item.points, 0);
     
     // Determine risk level and advice
     let level, advice, recommendations;
@@ -526,7 +645,14 @@ window.DevPulseAI = {
       level, 
       advice, 
       score: riskScore,
-      recommendations: recommendations.slice(0, 2) // Top 2 recommendations
+      recommendations: recommendations.slice(0, 2), // Top 2 recommendations
+      evidence: this.buildEvidence({
+        inputs: { 'Recent events': recentEvents.length, 'Days covered': this.round(spanDays, 1), 'Risk points': `${riskScore}/10 (4 = Medium, 7 = High)` },
+        factors,
+        sampleSize: events.length,
+        sampleUnit: 'events',
+        fullConfidenceAt: 100
+      })
     };
   },
 
@@ -1227,6 +1353,101 @@ window.DevPulseAI = {
     };
   },
 
+  // ================================
+  // EVIDENCE HELPERS
+  // ================================
+
+  /**
+   * Describe how a metric was reached
+   * @param {Object} options - Evidence parts
+   * @param {Object} options.inputs - Input values shown to the user, by label
+   * @param {Array} options.factors - Factors from factor() or tieredFactor()
+   * @param {number} options.sampleSize - Number of items the metric was computed from
+   * @param {string} options.sampleUnit - What the sample counts (events, repositories…)
+   * @param {number} options.fullConfidenceAt - Sample size at which confidence reaches 100%
+   * @param {string|null} options.note - Caveat, e.g. why a neutral value was used
+   * @returns {Object} Evidence
+   */
+  buildEvidence({ inputs = {}, factors = [], sampleSize = 0, sampleUnit = 'events', fullConfidenceAt = 30, note = null } = {}) {
+    const confidence = this.round(Math.min(1, sampleSize / fullConfidenceAt));
+    
+    return {
+      inputs,
+      factors,
+      sampleSize,
+      sampleUnit,
+      confidence,
+      confidenceLevel: confidence >= 0.75 ? 'High' : confidence >= 0.4 ? 'Medium' : 'Low',
+      note
+    };
+  },
+
+  /**
+   * One contribution to a metric
+   * @param {string} label - What the factor measures
+   * @param {string} detail - The value and the rule applied to it
+   * @param {number|null} points - Points added to the score (null for rules that only pick a category)
+   * @param {number|null} max - Most points the factor can add
+   * @returns {Object} Factor
+   */
+  factor(label, detail, points = null, max = null) {
+    return { label, detail, points: points === null ? null : this.round(points), max };
+  },
+
+  /**
+   * Factor that scores the first threshold a value is over
+   * @param {string} label - What the factor measures
+   * @param {number} value - Measured value
+   * @param {Array} tiers - [threshold, points] pairs, highest threshold first
+   * @param {Function} format - Formats the value and thresholds for display
+   * @returns {Object} Factor
+   */
+  tieredFactor(label, value, tiers, format) {
+    const tier = tiers.find(([threshold]) => value > threshold);
+    const lowest = tiers[tiers.length - 1][0];
+    const detail = tier ? `${format(value)}, over ${format(tier[0])}` : `${format(value)}, not over ${format(lowest)}`;
+    
+    return this.factor(label, detail, tier ? tier[1] : 0, tiers[0][1]);
+  },
+
+  /**
+   * Add up factor points into a 1-10 score
+   * @param {Array} factors - Factors with points
+   * @param {Object} options - buildEvidence options other than factors
+   * @returns {Object} { score, evidence }
+   */
+  scoreFromFactors(factors, options) {
+    const total = factors.reduce((sum, item) => sum + (item.points || 0), 0);
+    
+    return {
+      score: Math.min(10, Math.max(1, total)),
+      evidence: this.buildEvidence({ ...options, factors })
+    };
+  },
+
+  /**
+   * Neutral 5/10 score for when there is too little data to judge
+   * @param {string} sampleUnit - What the sample counts
+   * @param {string} note - Why the neutral score was used
+   * @param {number} sampleSize - Number of items that were available
+   * @returns {Object} { score, evidence }
+   */
+  neutralScore(sampleUnit, note, sampleSize = 0) {
+    return {
+      score: 5,
+      evidence: { ...this.buildEvidence({ sampleSize, sampleUnit, note }), confidence: 0, confidenceLevel: 'Low' }
+    };
+  },
+
+  round(value, digits = 2) {
+    const scale = Math.pow(10, digits);
+    return Math.round(value * scale) / scale;
+  },
+
+  percent(ratio) {
+    return `${Math.round(ratio * 100)}%`;
+  },
+
   // ================================
   // MISSING ANALYSIS METHODS
   // ================================
@@ -1242,16 +1463,37 @@ window.DevPulseAI = {
     
     const uniqueRepos = Object.keys(repoActivity).length;
     const totalEvents = events.length || 1;
+    const multitaskingScore = Math.min(10, uniqueRepos / 5 * 10);
     
     return {
       uniqueProjects: uniqueRepos,
       averageEventsPerProject: totalEvents / uniqueRepos,
-      multitaskingScore: Math.min(10, uniqueRepos / 5 * 10)
+      multitaskingScore,
+      evidence: this.buildEvidence({
+        inputs: { Events: events.length, Projects: uniqueRepos },
+        factors: [this.factor('Projects touched', `${uniqueRepos} repositories ÷ 5 × 10`, multitaskingScore, 10)],
+        sampleSize: events.length,
+        sampleUnit: 'events',
+        fullConfidenceAt: 100
+      })
     };
   },
 
   estimateSessionLength(events) {
-    if (events.length < 2) return { average: 'Unknown', pattern: 'Insufficient data' };
+    const explain = (note, gaps = [], averageGap = null) => this.buildEvidence({
+      inputs: averageGap === null ? { Events: events.length } : { Events: events.length, 'Average gap': `${Math.round(averageGap)} min` },
+      factors: averageGap === null ? [] : [
+        this.factor('Gap between events', `${Math.round(averageGap)} min on average; under 30 is short bursts, under 120 focused sessions`)
+      ],
+      sampleSize: gaps.length,
+      sampleUnit: 'gaps under 4 hours',
+      fullConfidenceAt: 50,
+      note
+    });
+    
+    if (events.length < 2) {
+      return { average: 'Unknown', pattern: 'Insufficient data', evidence: explain('Fewer than 2 recent events.') };
+    }
     
     // Group events by day and analyze gaps
     const dailyEvents = this.groupEventsByDay(events);
@@ -1270,25 +1512,45 @@ window.DevPulseAI = {
       }
     });
     
-    if (sessionLengths.length === 0) return { average: '1-2 hours', pattern: 'Focused sessions' };
+    if (sessionLengths.length === 0) {
+      return {
+        average: '1-2 hours',
+        pattern: 'Focused sessions',
+        evidence: explain('No two events fall within 4 hours on the same day, so focused sessions are assumed.')
+      };
+    }
     
     const averageGap = sessionLengths.reduce((a, b) => a + b, 0) / sessionLengths.length;
+    const evidence = explain(null, sessionLengths, averageGap);
     
-    if (averageGap < 30) return { average: 'Short bursts', pattern: 'Frequent check-ins' };
-    if (averageGap < 120) return { average: '1-2 hours', pattern: 'Focused sessions' };
-    return { average: '2+ hours', pattern: 'Deep work sessions' };
+    if (averageGap < 30) return { average: 'Short bursts', pattern: 'Frequent check-ins', evidence };
+    if (averageGap < 120) return { average: '1-2 hours', pattern: 'Focused sessions', evidence };
+    return { average: '2+ hours', pattern: 'Deep work sessions', evidence };
   },
 
   calculateWorkConsistency(weeklyPattern) {
     const totalActivity = weeklyPattern.reduce((a, b) => a + b, 0);
-    if (totalActivity === 0) return 5;
+    if (totalActivity === 0) return this.neutralScore('events', 'No recent events, so the neutral midpoint is shown.');
     
     const mean = totalActivity / 7;
     const variance = weeklyPattern.reduce((sum, day) => sum + Math.pow(day - mean, 2), 0) / 7;
     const stdDev = Math.sqrt(variance);
+    const variation = stdDev / mean;
     
     // Lower standard deviation = higher consistency
-    return Math.max(0, Math.min(10, 10 - (stdDev / mean) * 3));
+    const score = Math.max(0, Math.min(10, 10 - variation * 3));
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    
+    return {
+      score,
+      evidence: this.buildEvidence({
+        inputs: Object.fromEntries(weeklyPattern.map((count, day) => [dayNames[day], count])),
+        factors: [this.factor('Spread over the week', `10 − day-to-day variation ${this.round(variation)} × 3`, score, 10)],
+        sampleSize: totalActivity,
+        sampleUnit: 'events',
+        fullConfidenceAt: 100
+      })
+    };
   },
 
   analyzeLanguagePreferences(repos) {
@@ -1469,10 +1731,19 @@ window.DevPulseAI = {
     const events = userData.events || [];
     const repos = userData.repositories || [];
     
+    const { evidence: burnoutEvidence, ...burnoutRisk } = this.assessBurnoutRisk(events, this.analyzeWeeklyPattern(events));
+    const { evidence: stagnationEvidence, ...skillStagnation } = this.assessSkillStagnation(repos);
+    const { evidence: isolationEvidence, ...collaborationIsolation } = this.assessCollaborationIsolation(events);
+    
     return {
-      burnoutRisk: this.assessBurnoutRisk(events, this.analyzeWeeklyPattern(events)),
-      skillStagnation: this.assessSkillStagnation(repos),
-      collaborationIsolation: this.assessCollaborationIsolation(events)
+      burnoutRisk,
+      skillStagnation,
+      collaborationIsolation,
+      evidence: {
+        burnoutRisk: burnoutEvidence,
+        skillStagnation: stagnationEvidence,
+        collaborationIsolation: isolationEvidence
+      }
     };
   },
 
@@ -1480,11 +1751,23 @@ window.DevPulseAI = {
     const languages = repos.map(r => r.language).filter(Boolean);
     const uniqueLanguages = new Set(languages).size;
     const recentLanguages = new Set(repos.slice(0, 5).map(r => r.language).filter(Boolean)).size;
+    const stagnating = recentLanguages < uniqueLanguages * 0.3;
+    
+    const evidence = this.buildEvidence({
+      inputs: { Languages: uniqueLanguages, 'Languages in the first 5 repositories': recentLanguages },
+      factors: [
+        this.factor('Recent variety', `${recentLanguages} of ${uniqueLanguages} languages, ${stagnating ? 'under' : 'at least'} 30%`)
+      ],
+      sampleSize: repos.length,
+      sampleUnit: 'repositories',
+      fullConfidenceAt: 10,
+      note: repos.length ? null : 'No repositories to analyze.'
+    });
     
-    if (recentLanguages < uniqueLanguages * 0.3) {
-      return { level: 'Medium', advice: 'Consider exploring new technologies to maintain growth' };
+    if (stagnating) {
+      return { level: 'Medium', advice: 'Consider exploring new technologies to maintain growth', evidence };
     } else {
-      return { level: 'Low', advice: 'Good variety in technology exploration' };
+      return { level: 'Low', advice: 'Good variety in technology exploration', evidence };
     }
   },
 
@@ -1496,13 +1779,23 @@ window.DevPulseAI = {
     ).length;
     
     const collaborationRatio = collaborativeEvents / (events.length || 1);
+    const evidence = this.buildEvidence({
+      inputs: { Events: events.length, 'Pull requests, issues and reviews': collaborativeEvents },
+      factors: [
+        this.factor('Collaborative share', `${this.percent(collaborationRatio)} of events; under 10% is High, under 20% Medium`)
+      ],
+      sampleSize: events.length,
+      sampleUnit: 'events',
+      fullConfidenceAt: 100,
+      note: events.length ? null : 'No recent events to analyze.'
+    });
     
     if (collaborationRatio < 0.1) {
-      return { level: 'High', advice: 'Consider engaging more with the GitHub community' };
+      return { level: 'High', advice: 'Consider engaging more with the GitHub community', evidence };
     } else if (collaborationRatio < 0.2) {
-      return { level: 'Medium', advice: 'Good collaboration, consider expanding your network' };
+      return { level: 'Medium', advice: 'Good collaboration, consider expanding your network', evidence };
     } else {
-      return { level: 'Low', advice: 'Excellent community engagement' };
+      return { level: 'Low', advice: 'Excellent community engagement', evidence };
     }
   }
 };
@@ -1,8 +1,126 @@
 /**
  * DevPulse v3.0 - GitHub API Module
- * Handles all GitHub REST API interactions without authentication
+ * Handles all GitHub REST API interactions, anonymously or with a personal access token
  */
 
+/**
+ * Error raised for failed GitHub API requests.
+ * Carries the HTTP status, rate limit headers and when the request may be retried.
+ */
+class GitHubApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {number|null} details.status - HTTP status (null for errors raised before sending)
+   * @param {string} details.statusText - HTTP status text
+   * @param {string} details.url - Request URL
+   * @param {Object} details.headers - Relevant response headers (lower-case names)
+   * @param {Object} details.rateLimit - { limit, remaining, reset } at the time of the error
+   * @param {number|null} details.retryAfter - Retry-After in seconds
+   * @param {boolean} details.rateLimited - Primary rate limit exhausted
+   * @param {boolean} details.secondary - Secondary (abuse) rate limit
+   * @param {number|null} details.retryAt - Timestamp (ms) after which a retry may succeed
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'GitHubApiError';
+    this.status = details.status ?? null;
+    this.statusText = details.statusText || '';
+    this.url = details.url || null;
+    this.headers = details.headers || {};
+    this.rateLimit = details.rateLimit || null;
+    this.retryAfter = details.retryAfter ?? null;
+    this.rateLimited = !!details.rateLimited;
+    this.secondary = !!details.secondary;
+    this.retryAt = details.retryAt ?? null;
+  }
+
+  /**
+   * Build an error from a failed fetch response
+   * @param {Response} response - Fetch response
+   * @param {string} url - Request URL
+   * @returns {Promise<GitHubApiError>} Error instance
+   */
+  static async fromResponse(response, url) {
+    const headers = {};
+    ['retry-after', 'x-ratelimit-limit', 'x-ratelimit-remaining', 'x-ratelimit-reset',
+      'x-ratelimit-used', 'x-ratelimit-resource'].forEach(name => {
+      const value = response.headers.get(name);
+      if (value !== null) headers[name] = value;
+    });
+    
+    let body = {};
+    try {
+      body = await response.json();
+    } catch (error) {
+      // Non-JSON error bodies carry nothing we need
+    }
+    
+    const rateLimit = headers['x-ratelimit-remaining'] !== undefined ? {
+      limit: parseInt(headers['x-ratelimit-limit'], 10),
+      remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+      reset: parseInt(headers['x-ratelimit-reset'], 10)
+    } : null;
+    const retryAfter = headers['retry-after'] !== undefined ? parseInt(headers['retry-after'], 10) : null;
+    const limitStatus = response.status === 403 || response.status === 429;
+    
+    const rateLimited = limitStatus && rateLimit?.remaining === 0;
+    const secondary = limitStatus && !rateLimited &&
+      (retryAfter !== null || response.status === 429 || /secondary rate limit|abuse/i.test(body.message || ''));
+    
+    let retryAt = null;
+    if (retryAfter !== null) {
+      retryAt = Date.now() + retryAfter * 1000;
+    } else if (rateLimited && rateLimit.reset) {
+      retryAt = rateLimit.reset * 1000 + 1000;
+    } else if (secondary) {
+      retryAt = Date.now() + window.DevPulseConfig.get('github.retry.secondaryRateLimitDelay', 60000);
+    }
+    
+    let message = `GitHub API error: ${response.status} ${response.statusText}`;
+    if (rateLimited) message = `GitHub API error: ${response.status} rate limit exceeded`;
+    if (secondary) message = `GitHub API error: ${response.status} secondary rate limit exceeded`;
+    
+    return new GitHubApiError(message, {
+      status: response.status,
+      statusText: response.statusText,
+      url,
+      headers,
+      rateLimit,
+      retryAfter,
+      rateLimited,
+      secondary,
+      retryAt
+    });
+  }
+
+  /**
+   * Whether the request failed because of a primary or secondary rate limit
+   * @returns {boolean}
+   */
+  get isRateLimited() {
+    return this.rateLimited || this.secondary;
+  }
+
+  /**
+   * Whether retrying the same request can succeed
+   * @returns {boolean}
+   */
+  get isRetryable() {
+    return this.isRateLimited || this.status === null || this.status >= 500;
+  }
+
+  /**
+   * Milliseconds until the request may be retried
+   * @returns {number|null} Delay, or null when the error gives no hint
+   */
+  getRetryDelay() {
+    return this.retryAt ? Math.max(0, this.retryAt - Date.now()) : null;
+  }
+}
+
+window.GitHubApiError = GitHubApiError;
+
 window.DevPulseAPI = {
   
   // ================================
@@ -11,9 +129,20 @@ window.DevPulseAPI = {
   
   config: null,
   cache: new Map(),
+  persistentIndex: new Map(), // key => { size, lastAccess } for persisted responses
+  persistentIndexReady: null,
+  inFlightRequests: new Map(), // cache key => pending request promise
+  requestQueue: [],
+  activeRequests: 0,
+  queueSequence: 0,
+  priorityRanks: { high: 0, normal: 1, low: 2 },
   requestCount: 0,
   rateLimitRemaining: 60,
+  rateLimitLimit: 60,
   rateLimitReset: null,
+  retryBlockedUntil: null,
+  authToken: null,
+  offlineDataTimestamp: null, // Oldest cached response served because the network was unreachable
 
   /**
    * Initialize the API module
@@ -21,7 +150,26 @@ window.DevPulseAPI = {
   init() {
     this.config = window.DevPulseConfig;
     this.setupRequestInterceptor();
-    console.log('🔗 DevPulse API initialized');
+    this.loadStoredToken();
+    this.resetRateLimitBudget();
+    this.persistentIndexReady = this.loadPersistentCacheIndex();
+    console.log(`🔗 DevPulse API initialized (${this.getProvider().name}, ${this.getRateLimitMode()} mode)`);
+  },
+
+  /**
+   * Get the configured data provider (GitHub, GitHub Enterprise Server, Gitea/Forgejo)
+   * @returns {Object} Provider definition from DevPulseProviders
+   */
+  getProvider() {
+    return window.DevPulseProviders.getActive();
+  },
+
+  /**
+   * Get resolved URLs for the configured data provider
+   * @returns {Object} { type, apiUrl, webUrl, graphqlUrl }
+   */
+  getProviderSettings() {
+    return window.DevPulseProviders.resolveSettings(this.config);
   },
 
   /**
@@ -47,32 +195,88 @@ window.DevPulseAPI = {
    * Make authenticated request to GitHub API
    * @param {string} endpoint - API endpoint
    * @param {Object} options - Request options
+   * @param {string} options.priority - Queue priority: 'high', 'normal' or 'low'
+   * @param {boolean} options.withLinks - Resolve to { data, links } for pagination
    * @returns {Promise} API response
    */
   async makeRequest(endpoint, options = {}) {
-    const config = this.config;
-    const apiUrl = config.get('github.apiUrl', 'https://api.github.com');
-    const timeout = config.get('github.timeout', 30000);
-    
+    const { apiUrl } = this.getProviderSettings();
     const url = endpoint.startsWith('http') ? endpoint : `${apiUrl}${endpoint}`;
     
-    // Check cache first
-    const cacheKey = `${url}_${JSON.stringify(options)}`;
-    if (this.shouldUseCache(cacheKey)) {
-      return this.getFromCache(cacheKey);
+    // Priority only affects scheduling, so it is not part of the request identity
+    const { priority = 'normal', ...requestOptions } = options;
+    const cacheKey = `${url}_${JSON.stringify(requestOptions)}`;
+    
+    // Coalesce identical in-flight requests
+    const deduplicate = this.config.get('performance.network.enableRequestDeduplication', true);
+    if (deduplicate && this.inFlightRequests.has(cacheKey)) {
+      return this.inFlightRequests.get(cacheKey);
     }
+    
+    const request = (async () => {
+      // Check cache first (memory, then the persistent store)
+      const cached = await this.getCacheEntry(cacheKey);
+      if (cached && this.isCacheEntryFresh(cached)) {
+        return cached.data;
+      }
+      
+      // Don't wait for a request that cannot succeed
+      if (cached && this.isOffline() && this.isOfflineModeEnabled()) {
+        return this.serveOffline(cached, url);
+      }
+      
+      return this.scheduleRequest(
+        () => this.fetchFromNetwork(url, cacheKey, requestOptions, cached),
+        priority
+      );
+    })();
+    
+    if (deduplicate) {
+      this.inFlightRequests.set(cacheKey, request);
+      request.then(
+        () => this.inFlightRequests.delete(cacheKey),
+        () => this.inFlightRequests.delete(cacheKey)
+      );
+    }
+    
+    return request;
+  },
+
+  /**
+   * Perform the network request for makeRequest
+   * @param {string} url - Full request URL
+   * @param {string} cacheKey - Cache key
+   * @param {Object} options - Request options
+   * @param {Object|null} cached - Stale cache entry used for revalidation
+   * @returns {Promise} API response
+   */
+  async fetchFromNetwork(url, cacheKey, options, cached) {
+    const timeout = this.config.get('github.timeout', 30000);
+    
+    // withLinks: resolve to { data, links } so callers can follow the Link header
+    const { withLinks = false, ...fetchOptions } = options;
 
-    // Check rate limits
-    await this.checkRateLimit();
+    // Check rate limits - serve stale data rather than failing when the budget is spent
+    try {
+      await this.checkRateLimit();
+    } catch (error) {
+      if (cached) {
+        console.warn('⚠️ Rate limit reached, serving stale cached response for', url);
+        return cached.data;
+      }
+      throw error;
+    }
 
+    const method = (fetchOptions.method || 'GET').toUpperCase();
     const requestOptions = {
       method: 'GET',
+      ...fetchOptions,
       headers: {
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'DevPulse-Analytics/3.0',
-        ...options.headers
-      },
-      ...options
+        ...this.getProvider().defaultHeaders(),
+        ...this.getAuthHeaders(),
+        ...(method === 'GET' ? this.getConditionalHeaders(cached) : {}),
+        ...fetchOptions.headers
+      }
     };
 
     try {
@@ -87,27 +291,175 @@ window.DevPulseAPI = {
       // Update rate limit info
       this.updateRateLimit(response);
 
+      // Not modified - reuse the stored body (304s do not count against the rate limit)
+      if (response.status === 304 && cached) {
+        this.setCache(cacheKey, cached.data, cached);
+        return cached.data;
+      }
+
       if (!response.ok) {
-        throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+        if (response.status === 401 && this.authToken) {
+          this.handleRejectedToken();
+        }
+        
+        const apiError = await GitHubApiError.fromResponse(response, url);
+        
+        if (apiError.isRateLimited) {
+          this.blockRequestsUntil(apiError);
+          
+          // A stale copy beats an error while we wait for the window to reset
+          if (cached) {
+            console.warn('⚠️ Rate limited, serving stale cached response for', url);
+            return cached.data;
+          }
+        }
+        
+        throw apiError;
       }
 
-      const data = await response.json();
+      // 204 No Content (e.g. contributors of an empty repository) has no body to parse
+      const body = response.status === 204 ? null : await response.json();
+      const data = withLinks
+        ? { data: body, links: this.parseLinkHeader(response.headers.get('Link')) }
+        : body;
       
-      // Cache the response
-      this.setCache(cacheKey, data);
+      // 202 Accepted means GitHub is still computing the statistics - don't cache the placeholder
+      if (response.status === 202) {
+        return data;
+      }
+      
+      // Cache the response along with its validators
+      this.setCache(cacheKey, data, {
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified')
+      });
       
       return data;
       
     } catch (error) {
       if (error.name === 'AbortError') {
-        throw new Error('Request timeout');
+        throw new GitHubApiError('Request timeout', { url });
+      }
+      if (error instanceof TypeError) {
+        // fetch rejects with a TypeError when the network is unreachable
+        if (cached && this.isOfflineModeEnabled()) {
+          return this.serveOffline(cached, url);
+        }
+        throw new GitHubApiError(`Network error: ${error.message}`, { url });
       }
       throw error;
     }
   },
 
+  // ================================
+  // OFFLINE MODE
+  // ================================
+  
+  /**
+   * Check whether stored responses may stand in for an unreachable network
+   * @returns {boolean} Whether offline mode is enabled
+   */
+  isOfflineModeEnabled() {
+    return this.config.get('features.performance.enableOfflineMode', true);
+  },
+
+  /**
+   * Check whether the browser reports no network connection
+   * @returns {boolean} Whether the browser is offline
+   */
+  isOffline() {
+    return navigator.onLine === false;
+  },
+
+  /**
+   * Answer a request from the cache because the network is unreachable
+   * @param {Object} cached - Cache entry
+   * @param {string} url - Request URL
+   * @returns {*} Cached data
+   */
+  serveOffline(cached, url) {
+    console.warn('📴 Offline, serving cached response for', url);
+    
+    if (!this.offlineDataTimestamp || cached.timestamp < this.offlineDataTimestamp) {
+      this.offlineDataTimestamp = cached.timestamp;
+    }
+    
+    return cached.data;
+  },
+
+  /**
+   * Forget which cached responses were served offline (call before loading a new dashboard)
+   */
+  resetOfflineState() {
+    this.offlineDataTimestamp = null;
+  },
+
+  // ================================
+  // REQUEST QUEUE
+  // ================================
+  
+  /**
+   * Run a request task through the bounded priority queue
+   * @param {Function} task - Async function performing the request
+   * @param {string} priority - 'high', 'normal' or 'low'
+   * @returns {Promise} Task result
+   */
+  scheduleRequest(task, priority = 'normal') {
+    if (!this.config.get('performance.network.enableRequestBatching', true)) {
+      return task();
+    }
+    
+    return new Promise((resolve, reject) => {
+      this.requestQueue.push({
+        task,
+        resolve,
+        reject,
+        rank: this.priorityRanks[priority] ?? this.priorityRanks.normal,
+        order: this.queueSequence++
+      });
+      
+      // Highest priority first, then first come first served
+      this.requestQueue.sort((a, b) => a.rank - b.rank || a.order - b.order);
+      this.processRequestQueue();
+    });
+  },
+
+  /**
+   * Start queued requests while there are free slots
+   */
+  processRequestQueue() {
+    const maxConcurrent = this.config.get('performance.network.maxConcurrentRequests', 4);
+    
+    while (this.activeRequests < maxConcurrent && this.requestQueue.length > 0) {
+      const { task, resolve, reject } = this.requestQueue.shift();
+      this.activeRequests++;
+      
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.activeRequests--;
+          this.processRequestQueue();
+        });
+    }
+  },
+
   /**
-   * Make request with retry logic
+   * Get request queue status
+   * @returns {Object} { active, queued, inFlight }
+   */
+  getQueueStatus() {
+    return {
+      active: this.activeRequests,
+      queued: this.requestQueue.length,
+      inFlight: this.inFlightRequests.size
+    };
+  },
+
+  /**
+   * Make request with retry logic.
+   * Rate limited requests wait for Retry-After or the reset time when that is short enough;
+   * other retryable failures back off exponentially.
    * @param {string} endpoint - API endpoint
    * @param {Object} options - Request options
    * @returns {Promise} API response
@@ -115,6 +467,7 @@ window.DevPulseAPI = {
   async makeRequestWithRetry(endpoint, options = {}) {
     const config = this.config;
     const retryConfig = config.get('github.retry', { attempts: 3, delay: 1000, backoffFactor: 2 });
+    const maxWait = config.get('github.retry.maxWait', 60000);
     
     let lastError;
     
@@ -124,22 +477,127 @@ window.DevPulseAPI = {
       } catch (error) {
         lastError = error;
         
-        // Don't retry on 4xx errors (except 429 - rate limit)
-        if (error.message.includes('GitHub API error: 4') && !error.message.includes('429')) {
+        // Don't retry client errors (404, 422, bad credentials...)
+        if (error instanceof GitHubApiError && !error.isRetryable) {
           throw error;
         }
         
+        if (attempt >= retryConfig.attempts - 1) break;
+        
         // Wait before retry
-        if (attempt < retryConfig.attempts - 1) {
-          const delay = retryConfig.delay * Math.pow(retryConfig.backoffFactor, attempt);
-          await this.sleep(delay);
+        const rateLimitDelay = error instanceof GitHubApiError && error.isRateLimited
+          ? error.getRetryDelay()
+          : null;
+        const delay = rateLimitDelay ?? retryConfig.delay * Math.pow(retryConfig.backoffFactor, attempt);
+        
+        // Too long to hold the request open - let the caller pause and resume
+        if (delay > maxWait) {
+          throw error;
+        }
+        
+        if (rateLimitDelay !== null) {
+          window.DevPulseUI?.showRateLimitCountdown?.(Date.now() + delay, {
+            message: 'GitHub asked us to slow down. Retrying'
+          });
         }
+        
+        await this.sleep(delay);
       }
     }
     
     throw lastError;
   },
 
+  /**
+   * Wrap an error with context while keeping GitHubApiError details intact
+   * @param {Error} error - Original error
+   * @param {string} context - Context prefix
+   * @returns {Error} Error to throw
+   */
+  wrapError(error, context) {
+    if (error instanceof GitHubApiError) {
+      error.message = `${context}: ${error.message}`;
+      return error;
+    }
+    return new Error(`${context}: ${error.message}`);
+  },
+
+  // ================================
+  // PAGINATION
+  // ================================
+  
+  /**
+   * Parse a GitHub Link header into a map of rel => URL
+   * @param {string|null} header - Link header value
+   * @returns {Object} Links keyed by rel (next, prev, first, last)
+   */
+  parseLinkHeader(header) {
+    const links = {};
+    if (!header) return links;
+    
+    header.split(',').forEach(part => {
+      const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+      if (match) {
+        links[match[2]] = match[1];
+      }
+    });
+    
+    return links;
+  },
+
+  /**
+   * Get the page number from a paginated GitHub URL
+   * @param {string} url - Page URL
+   * @returns {number|null} Page number
+   */
+  getPageNumber(url) {
+    if (!url) return null;
+    const page = new URL(url).searchParams.get('page');
+    return page ? parseInt(page, 10) : null;
+  },
+
+  /**
+   * Fetch every page of a list endpoint by following the Link header
+   * @param {string} endpoint - First page endpoint
+   * @param {Object} options - Pagination options
+   * @param {number} options.maxPages - Stop after this many pages
+   * @param {Function} options.onProgress - Called after each page with progress info
+   * @param {string} options.priority - Queue priority for each page request
+   * @returns {Promise<Object>} { items, pages, totalPages, truncated }
+   */
+  async fetchAllPages(endpoint, { maxPages = 10, onProgress, priority = 'normal' } = {}) {
+    const items = [];
+    let nextUrl = endpoint;
+    let pages = 0;
+    let totalPages = 1;
+    
+    while (nextUrl && pages < maxPages) {
+      const { data, links } = await this.makeRequestWithRetry(nextUrl, { withLinks: true, priority });
+      
+      items.push(...data);
+      pages++;
+      nextUrl = links.next || null;
+      totalPages = this.getPageNumber(links.last) || pages;
+      
+      if (onProgress) {
+        onProgress({
+          page: pages,
+          totalPages: Math.min(totalPages, maxPages),
+          loaded: items.length,
+          truncated: !!nextUrl && pages >= maxPages,
+          done: !nextUrl || pages >= maxPages
+        });
+      }
+    }
+    
+    return {
+      items,
+      pages,
+      totalPages,
+      truncated: !!nextUrl
+    };
+  },
+
   // ================================
   // USER DATA METHODS
   // ================================
@@ -176,36 +634,21 @@ window.DevPulseAPI = {
     }
     
     try {
-      const user = await this.makeRequestWithRetry(`/users/${username}`);
+      // The profile renders first, so it jumps the request queue
+      const provider = this.getProvider();
+      const user = await this.makeRequestWithRetry(provider.endpoints.profile(username), { priority: 'high' });
       
-      return {
-        login: user.login,
-        name: user.name || user.login,
-        bio: user.bio,
-        company: user.company,
-        location: user.location,
-        email: user.email,
-        blog: user.blog,
-        twitter: user.twitter_username,
-        avatar_url: user.avatar_url,
-        followers: user.followers,
-        following: user.following,
-        public_repos: user.public_repos,
-        public_gists: user.public_gists,
-        created_at: user.created_at,
-        updated_at: user.updated_at,
-        profile_url: user.html_url
-      };
+      return provider.normalizeProfile(user, this.getProviderSettings());
     } catch (error) {
       window.Utils.logError(error, 'getUserProfile', { username });
-      throw new Error(`Failed to fetch user profile: ${error.message}`);
+      throw this.wrapError(error, 'Failed to fetch user profile');
     }
   },
 
   /**
-   * Get user repositories
+   * Get user repositories, following pagination up to the configured page cap
    * @param {string} username - GitHub username
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options (sort, direction, per_page, type, maxPages, onProgress, priority)
    * @returns {Promise<Array>} Repository list
    */
   async getUserRepositories(username, options = {}) {
@@ -375,57 +818,46 @@ window.DevPulseAPI = {
       const {
         sort = 'updated',
         direction = 'desc',
-        per_page = 100,
-        type = 'owner'
+        per_page = this.config.get('github.pagination.perPage', 100),
+        type = 'owner',
+        maxPages = this.config.get('github.pagination.maxPages', 10),
+        onProgress,
+        priority
       } = options;
 
-      const repos = await this.makeRequestWithRetry(
-        `/users/${username}/repos?sort=${sort}&direction=${direction}&per_page=${per_page}&type=${type}`
+      const provider = this.getProvider();
+      const { items: repos } = await this.fetchAllPages(
+        provider.endpoints.repositories(username, {
+          sort,
+          direction,
+          type,
+          perPage: Math.min(per_page, provider.maxPerPage)
+        }),
+        { maxPages, onProgress, priority }
       );
 
-      return repos.map(repo => ({
-        id: repo.id,
-        name: repo.name,
-        full_name: repo.full_name,
-        description: repo.description,
-        html_url: repo.html_url, // Keep original property name
-        url: repo.html_url, // Keep both for compatibility
-        homepage: repo.homepage,
-        language: repo.language,
-        stargazers_count: repo.stargazers_count,
-        watchers_count: repo.watchers_count,
-        forks_count: repo.forks_count,
-        open_issues_count: repo.open_issues_count,
-        size: repo.size,
-        default_branch: repo.default_branch,
-        topics: repo.topics || [],
-        visibility: repo.visibility,
-        private: repo.private,
-        fork: repo.fork,
-        archived: repo.archived,
-        disabled: repo.disabled,
-        pushed_at: repo.pushed_at,
-        created_at: repo.created_at,
-        updated_at: repo.updated_at,
-        license: repo.license ? {
-          key: repo.license.key,
-          name: repo.license.name,
-          spdx_id: repo.license.spdx_id
-        } : null
-      }));
+      const normalized = repos.map(repo => provider.normalizeRepository(repo));
+      return provider.sortRepositories ? provider.sortRepositories(normalized, { sort, direction }) : normalized;
     } catch (error) {
       window.Utils.logError(error, 'getUserRepositories', { username, options });
-      throw new Error(`Failed to fetch repositories: ${error.message}`);
+      throw this.wrapError(error, 'Failed to fetch repositories');
     }
   },
 
   /**
-   * Get user events (activity)
+   * Get user events (activity), following pagination up to the configured page cap
    * @param {string} username - GitHub username
-   * @param {number} per_page - Items per page
+   * @param {Object|number} options - Query options (per_page, maxPages, onProgress, priority), or a page size
    * @returns {Promise<Array>} Events list
    */
-  async getUserEvents(username, per_page = 30) {
+  async getUserEvents(username, options = {}) {
+    const {
+      per_page = this.config.get('github.pagination.perPage', 100),
+      maxPages = this.config.get('github.pagination.maxEventPages', 3),
+      onProgress,
+      priority
+    } = typeof options === 'number' ? { per_page: options } : options;
+    
     // Return mock data if in test mode
     if (this.isMockMode()) {
       console.log('🧪 Returning mock events data for:', username);
@@ -458,114 +890,355 @@ window.DevPulseAPI = {
     }
     
     try {
-      const events = await this.makeRequestWithRetry(
-        `/users/${username}/events/public?per_page=${per_page}`
+      const provider = this.getProvider();
+      const settings = this.getProviderSettings();
+      const { items: events } = await this.fetchAllPages(
+        provider.endpoints.events(username, { perPage: Math.min(per_page, provider.maxPerPage) }),
+        { maxPages, onProgress, priority }
       );
 
-      return events.map(event => ({
-        id: event.id,
-        type: event.type,
-        actor: {
-          login: event.actor.login,
-          avatar_url: event.actor.avatar_url
-        },
-        repo: {
-          name: event.repo.name,
-          url: `https://github.com/${event.repo.name}`
-        },
-        payload: this.parseEventPayload(event),
-        created_at: event.created_at
-      }));
+      return events.map(event => provider.normalizeEvent(event, settings));
     } catch (error) {
       window.Utils.logError(error, 'getUserEvents', { username, per_page });
-      throw new Error(`Failed to fetch user events: ${error.message}`);
+      throw this.wrapError(error, 'Failed to fetch user events');
     }
   },
 
   // ================================
-  // STATISTICS METHODS
+  // ORGANIZATION METHODS
   // ================================
   
   /**
-   * Get repository languages for all user repos
-   * @param {string} username - GitHub username
-   * @returns {Promise<Object>} Language statistics
+   * Get organization profile
+   * @param {string} org - Organization login
+   * @returns {Promise<Object>} Organization profile (same shape as getUserProfile, with type 'Organization')
    */
-  async getLanguageStats(username) {
+  async getOrganization(org) {
+    if (this.isMockMode()) {
+      console.log('🧪 Returning mock organization data for:', org);
+      const profile = await this.getUserProfile(org);
+      return { ...profile, type: 'Organization', following: 0 };
+    }
+    
     try {
-      const repos = await this.getUserRepositories(username, { per_page: 100 });
-      const languageStats = {};
+      const provider = this.getProvider();
+      const data = await this.makeRequestWithRetry(provider.endpoints.organization(org), { priority: 'high' });
       
-      // Use Promise.allSettled to handle partial failures
-      const languagePromises = repos
-        .filter(repo => !repo.fork && repo.language) // Exclude forks and repos without language
-        .slice(0, 20) // Limit to avoid rate limits
-        .map(async repo => {
-          try {
-            const languages = await this.makeRequestWithRetry(`/repos/${repo.full_name}/languages`);
-            return { repo: repo.name, languages };
-          } catch (error) {
-            console.warn(`Failed to fetch languages for ${repo.name}:`, error);
-            return null;
-          }
-        });
+      return provider.normalizeOrganization(data, this.getProviderSettings());
+    } catch (error) {
+      window.Utils.logError(error, 'getOrganization', { org });
+      throw this.wrapError(error, 'Failed to fetch organization');
+    }
+  },
 
-      const results = await Promise.allSettled(languagePromises);
+  /**
+   * Get public organization repositories, following pagination up to the configured page cap
+   * @param {string} org - Organization login
+   * @param {Object} options - Query options (sort, direction, maxPages, onProgress)
+   * @returns {Promise<Array>} Repository list
+   */
+  async getOrganizationRepositories(org, options = {}) {
+    if (this.isMockMode()) {
+      return this.getUserRepositories(org, options);
+    }
+    
+    try {
+      const {
+        sort = 'pushed',
+        direction = 'desc',
+        maxPages = this.config.get('github.pagination.maxPages', 10),
+        onProgress
+      } = options;
       
-      // Aggregate language data
-      results.forEach(result => {
-        if (result.status === 'fulfilled' && result.value) {
-          const { languages } = result.value;
-          Object.entries(languages).forEach(([lang, bytes]) => {
-            languageStats[lang] = (languageStats[lang] || 0) + bytes;
-          });
-        }
-      });
-
-      // Convert to percentages
-      const totalBytes = Object.values(languageStats).reduce((sum, bytes) => sum + bytes, 0);
-      const languagePercentages = {};
+      const provider = this.getProvider();
+      const { items: repos } = await this.fetchAllPages(
+        provider.endpoints.orgRepositories(org, {
+          sort,
+          direction,
+          perPage: Math.min(this.config.get('github.pagination.perPage', 100), provider.maxPerPage)
+        }),
+        { maxPages, onProgress }
+      );
       
-      Object.entries(languageStats).forEach(([lang, bytes]) => {
-        languagePercentages[lang] = {
-          bytes,
-          percentage: ((bytes / totalBytes) * 100).toFixed(2)
-        };
-      });
-
-      return languagePercentages;
+      const normalized = repos.map(repo => provider.normalizeRepository(repo));
+      return provider.sortRepositories ? provider.sortRepositories(normalized, { sort, direction }) : normalized;
     } catch (error) {
-      window.Utils.logError(error, 'getLanguageStats', { username });
-      throw new Error(`Failed to fetch language statistics: ${error.message}`);
+      window.Utils.logError(error, 'getOrganizationRepositories', { org, options });
+      throw this.wrapError(error, 'Failed to fetch organization repositories');
     }
   },
 
   /**
-   * Get contribution data (simplified version without private repos)
-   * @param {string} username - GitHub username
-   * @returns {Promise<Object>} Contribution statistics
+   * Get public organization members
+   * @param {string} org - Organization login
+   * @param {Object} options - Query options (maxPages, onProgress)
+   * @returns {Promise<Array>} Members ({ login, avatar_url, profile_url })
    */
-  async getContributionStats(username) {
+  async getOrganizationMembers(org, { maxPages = this.config.get('github.pagination.maxPages', 10), onProgress } = {}) {
+    if (this.isMockMode()) {
+      return ['octocat', 'torvalds', 'gaearon', 'sindresorhus'].map(login => ({
+        login,
+        avatar_url: `https://avatars.githubusercontent.com/${login}?v=4`,
+        profile_url: `https://github.com/${login}`,
+        contributions: 0
+      }));
+    }
+    
     try {
-      // Get recent activity to estimate contributions
-      const events = await this.getUserEvents(username, 100);
-      const repos = await this.getUserRepositories(username, { per_page: 50 });
+      const provider = this.getProvider();
+      const settings = this.getProviderSettings();
+      const { items: members } = await this.fetchAllPages(
+        provider.endpoints.orgMembers(org, {
+          perPage: Math.min(this.config.get('github.pagination.perPage', 100), provider.maxPerPage)
+        }),
+        { maxPages, onProgress }
+      );
       
-      // Count different types of contributions
-      const pushEvents = events.filter(e => e.type === 'PushEvent');
-      const prEvents = events.filter(e => e.type === 'PullRequestEvent');
-      const issueEvents = events.filter(e => e.type === 'IssuesEvent');
-      const createEvents = events.filter(e => e.type === 'CreateEvent');
+      return members.map(member => provider.normalizeMember(member, settings));
+    } catch (error) {
+      window.Utils.logError(error, 'getOrganizationMembers', { org });
+      throw this.wrapError(error, 'Failed to fetch organization members');
+    }
+  },
 
-      // Calculate contributions by day (last 365 days)
-      const contributionMap = new Map();
-      const oneYearAgo = new Date();
-      oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
+  /**
+   * Get recent public organization events
+   * @param {string} org - Organization login
+   * @param {Object} options - Query options (maxPages, onProgress)
+   * @returns {Promise<Array>} Events list (same shape as getUserEvents)
+   */
+  async getOrganizationEvents(org, { maxPages = this.config.get('github.pagination.maxEventPages', 3), onProgress } = {}) {
+    if (this.isMockMode()) {
+      return this.getUserEvents(org);
+    }
+    
+    try {
+      const provider = this.getProvider();
+      const settings = this.getProviderSettings();
+      const { items: events } = await this.fetchAllPages(
+        provider.endpoints.orgEvents(org, {
+          perPage: Math.min(this.config.get('github.pagination.perPage', 100), provider.maxPerPage)
+        }),
+        { maxPages, onProgress }
+      );
+      
+      return events.map(event => provider.normalizeEvent(event, settings));
+    } catch (error) {
+      window.Utils.logError(error, 'getOrganizationEvents', { org });
+      throw this.wrapError(error, 'Failed to fetch organization events');
+    }
+  },
 
-      // Process push events
-      pushEvents.forEach(event => {
-        const date = new Date(event.created_at).toISOString().split('T')[0];
-        const dateObj = new Date(date);
+  /**
+   * Merge contributor lists across repositories into a ranked list.
+   * Requests run at low priority, one per repository.
+   * @param {Array} repositories - Repositories (as returned by getOrganizationRepositories)
+   * @param {Object} options - Options
+   * @param {number} options.limit - Maximum repositories to sample (most recently pushed first)
+   * @param {Function} options.onProgress - Called as each repository resolves
+   * @returns {Promise<Object>} { contributors, sampled, total, supported }
+   */
+  async getTopContributors(repositories, { limit = 10, onProgress } = {}) {
+    const provider = this.getProvider();
+    const candidates = repositories
+      .filter(repo => !repo.fork && !repo.archived)
+      .sort((a, b) => new Date(b.pushed_at) - new Date(a.pushed_at));
+    
+    if (!provider.endpoints.contributors) {
+      return { contributors: [], sampled: 0, total: candidates.length, supported: false };
+    }
+    
+    const sample = candidates.slice(0, limit);
+    const totals = new Map();
+    let completed = 0;
+    
+    await Promise.allSettled(sample.map(async repo => {
+      try {
+        const contributors = this.isMockMode()
+          ? await this.getOrganizationMembers(repo.full_name)
+          : await this.makeRequestWithRetry(
+              provider.endpoints.contributors(repo.full_name, { perPage: 30 }),
+              { priority: 'low' }
+            );
+        
+        // Empty repositories answer 204 with no body
+        (Array.isArray(contributors) ? contributors : []).forEach(raw => {
+          const contributor = provider.normalizeMember(raw, this.getProviderSettings());
+          if (!contributor.login || /\[bot\]$/.test(contributor.login)) return;
+          
+          const entry = totals.get(contributor.login) || { ...contributor, contributions: 0, repositories: 0 };
+          entry.contributions += contributor.contributions || 1;
+          entry.repositories++;
+          totals.set(contributor.login, entry);
+        });
+      } catch (error) {
+        console.warn(`Failed to fetch contributors for ${repo.name}:`, error);
+      } finally {
+        completed++;
+        if (onProgress) {
+          onProgress({ completed, total: sample.length });
+        }
+      }
+    }));
+    
+    return {
+      contributors: Array.from(totals.values()).sort((a, b) => b.contributions - a.contributions),
+      sampled: sample.length,
+      total: candidates.length,
+      supported: true
+    };
+  },
+
+  // ================================
+  // STATISTICS METHODS
+  // ================================
+  
+  /**
+   * Get repository languages for all user repos
+   * @param {string} username - GitHub username
+   * @returns {Promise<Object>} Language statistics
+   */
+  async getLanguageStats(username) {
+    try {
+      const repos = await this.getUserRepositories(username, { per_page: 100 });
+      const { languages } = await this.getRepositoryLanguages(repos, { limit: 20 });
+      
+      // Convert to percentages
+      const totalBytes = languages.reduce((sum, lang) => sum + lang.size, 0);
+      const languagePercentages = {};
+      
+      languages.forEach(({ name, size }) => {
+        languagePercentages[name] = {
+          bytes: size,
+          percentage: ((size / totalBytes) * 100).toFixed(2)
+        };
+      });
+
+      return languagePercentages;
+    } catch (error) {
+      window.Utils.logError(error, 'getLanguageStats', { username });
+      throw this.wrapError(error, 'Failed to fetch language statistics');
+    }
+  },
+
+  /**
+   * Fetch byte-level language breakdowns for a set of repositories.
+   * Requests run at low priority so they never hold up the rest of the dashboard.
+   * @param {Array} repositories - Repositories (as returned by getUserRepositories)
+   * @param {Object} options - Options
+   * @param {number} options.limit - Maximum repositories to sample (largest first)
+   * @param {Function} options.onProgress - Called as each repository resolves with partial totals
+   * @returns {Promise<Object>} { languages, byRepository, sampled, total }
+   */
+  async getRepositoryLanguages(repositories, { limit = 20, onProgress } = {}) {
+    // Exclude forks and repos without code; the largest repos carry most of the bytes
+    const candidates = repositories
+      .filter(repo => !repo.fork && repo.language)
+      .sort((a, b) => (b.size || 0) - (a.size || 0));
+    const sample = candidates.slice(0, limit);
+    
+    const totals = new Map();
+    const byRepository = {};
+    let completed = 0;
+    
+    const buildLanguages = () => Array.from(totals.entries())
+      .map(([name, size]) => ({ name, size }))
+      .sort((a, b) => b.size - a.size);
+    
+    // Use Promise.allSettled to handle partial failures
+    await Promise.allSettled(sample.map(async repo => {
+      try {
+        const languages = await this.getRepositoryLanguageBreakdown(repo.full_name);
+        
+        byRepository[repo.full_name] = languages;
+        Object.entries(languages).forEach(([lang, bytes]) => {
+          totals.set(lang, (totals.get(lang) || 0) + bytes);
+        });
+      } catch (error) {
+        console.warn(`Failed to fetch languages for ${repo.name}:`, error);
+      } finally {
+        completed++;
+        if (onProgress) {
+          onProgress({ completed, total: sample.length, languages: buildLanguages() });
+        }
+      }
+    }));
+    
+    return {
+      languages: buildLanguages(),
+      byRepository,
+      sampled: sample.length,
+      total: candidates.length
+    };
+  },
+
+  /**
+   * Fetch the byte-level language breakdown of a single repository
+   * @param {string} fullName - 'owner/repo'
+   * @returns {Promise<Object>} Bytes by language ({ JavaScript: 12345, ... })
+   */
+  async getRepositoryLanguageBreakdown(fullName) {
+    const provider = this.getProvider();
+    const languages = await this.makeRequestWithRetry(
+      provider.endpoints.languages(fullName),
+      { priority: 'low' }
+    );
+    return provider.normalizeLanguages(languages);
+  },
+
+  /**
+   * Fetch weekly commit totals for the last year of a repository
+   * @param {string} fullName - 'owner/repo'
+   * @param {Object} options - Options
+   * @param {number} options.attempts - Polls while GitHub computes the statistics (202 Accepted)
+   * @returns {Promise<Array|null>} 52 weekly commit counts (oldest first), or null when unavailable
+   */
+  async getCommitActivity(fullName, { attempts = 3 } = {}) {
+    const endpoint = this.getProvider().endpoints.commitActivity;
+    if (!endpoint) return null;
+    
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const weeks = await this.makeRequestWithRetry(endpoint(fullName), { priority: 'low' });
+      
+      if (Array.isArray(weeks)) {
+        return weeks.map(week => week.total);
+      }
+      
+      // Statistics are computed in the background on first request
+      if (attempt < attempts) {
+        await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+      }
+    }
+    
+    return null;
+  },
+
+  /**
+   * Get contribution data (simplified version without private repos)
+   * @param {string} username - GitHub username
+   * @returns {Promise<Object>} Contribution statistics
+   */
+  async getContributionStats(username) {
+    try {
+      // Get recent activity to estimate contributions
+      const events = await this.getUserEvents(username, 100);
+      const repos = await this.getUserRepositories(username, { per_page: 50 });
+      
+      // Count different types of contributions
+      const pushEvents = events.filter(e => e.type === 'PushEvent');
+      const prEvents = events.filter(e => e.type === 'PullRequestEvent');
+      const issueEvents = events.filter(e => e.type === 'IssuesEvent');
+      const createEvents = events.filter(e => e.type === 'CreateEvent');
+
+      // Calculate contributions by day (last 365 days)
+      const contributionMap = new Map();
+      const oneYearAgo = new Date();
+      oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
+
+      // Process push events
+      pushEvents.forEach(event => {
+        const date = new Date(event.created_at).toISOString().split('T')[0];
+        const dateObj = new Date(date);
         
         if (dateObj >= oneYearAgo) {
           const commits = event.payload?.commits?.length || 1;
@@ -588,7 +1261,7 @@ window.DevPulseAPI = {
       };
     } catch (error) {
       window.Utils.logError(error, 'getContributionStats', { username });
-      throw new Error(`Failed to fetch contribution statistics: ${error.message}`);
+      throw this.wrapError(error, 'Failed to fetch contribution statistics');
     }
   },
 
@@ -685,51 +1358,7 @@ window.DevPulseAPI = {
    * @returns {Object} Parsed payload
    */
   parseEventPayload(event) {
-    const { type, payload } = event;
-    
-    switch (type) {
-      case 'PushEvent':
-        return {
-          commits: payload.commits?.length || 0,
-          ref: payload.ref,
-          head: payload.head
-        };
-      
-      case 'PullRequestEvent':
-        return {
-          action: payload.action,
-          number: payload.number,
-          title: payload.pull_request?.title,
-          merged: payload.pull_request?.merged
-        };
-      
-      case 'IssuesEvent':
-        return {
-          action: payload.action,
-          number: payload.issue?.number,
-          title: payload.issue?.title
-        };
-      
-      case 'CreateEvent':
-        return {
-          ref_type: payload.ref_type,
-          ref: payload.ref,
-          master_branch: payload.master_branch
-        };
-      
-      case 'WatchEvent':
-        return {
-          action: payload.action
-        };
-      
-      case 'ForkEvent':
-        return {
-          forkee: payload.forkee?.full_name
-        };
-      
-      default:
-        return payload || {};
-    }
+    return window.DevPulseProviders.get('github').parseEventPayload(event);
   },
 
   /**
@@ -855,10 +1484,334 @@ window.DevPulseAPI = {
     return (totalContributions / totalDays).toFixed(1);
   },
 
+  // ================================
+  // GRAPHQL DATA SOURCE
+  // ================================
+  
+  /**
+   * Check whether the GraphQL provider can be used (it requires a token)
+   * @returns {boolean} Whether GraphQL is available
+   */
+  canUseGraphQL() {
+    return !!this.authToken &&
+      this.getProvider().supportsGraphQL &&
+      this.config.get('github.graphql.enabled', true);
+  },
+
+  /**
+   * Run a GraphQL query against the GitHub API
+   * @param {string} query - GraphQL query
+   * @param {Object} variables - Query variables
+   * @returns {Promise<Object>} Query data
+   */
+  async makeGraphQLRequest(query, variables = {}) {
+    if (!this.canUseGraphQL()) {
+      throw new Error('GraphQL requires a GitHub API token');
+    }
+    
+    const url = this.getProviderSettings().graphqlUrl;
+    const result = await this.makeRequestWithRetry(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query, variables })
+    });
+    
+    // GraphQL reports query errors with a 200 status
+    if (result.errors?.length) {
+      const notFound = result.errors.some(error => error.type === 'NOT_FOUND');
+      throw new Error(notFound ? 'User not found' : `GraphQL error: ${result.errors[0].message}`);
+    }
+    
+    return result.data;
+  },
+
+  /**
+   * Get the real contribution calendar and totals from contributionsCollection
+   * @param {string} username - GitHub username
+   * @param {Object} options - Date range (defaults to the last year)
+   * @param {string} options.from - ISO start date
+   * @param {string} options.to - ISO end date
+   * @returns {Promise<Object>} { calendar, totals, streak, source }
+   */
+  async getContributionCollection(username, { from, to } = {}) {
+    const query = `
+      query($login: String!, $from: DateTime, $to: DateTime) {
+        user(login: $login) {
+          contributionsCollection(from: $from, to: $to) {
+            totalCommitContributions
+            totalPullRequestContributions
+            totalIssueContributions
+            totalPullRequestReviewContributions
+            totalRepositoryContributions
+            restrictedContributionsCount
+            contributionCalendar {
+              totalContributions
+              weeks {
+                contributionDays {
+                  date
+                  contributionCount
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+    
+    try {
+      const data = await this.makeGraphQLRequest(query, { login: username, from, to });
+      const collection = data.user?.contributionsCollection;
+      
+      if (!collection) {
+        throw new Error('User not found');
+      }
+      
+      const calendar = collection.contributionCalendar.weeks
+        .flatMap(week => week.contributionDays)
+        .map(day => ({
+          date: day.date,
+          count: day.contributionCount,
+          level: this.getContributionLevel(day.contributionCount)
+        }));
+      
+      return {
+        calendar,
+        totals: {
+          contributions: collection.contributionCalendar.totalContributions,
+          commits: collection.totalCommitContributions,
+          pullRequests: collection.totalPullRequestContributions,
+          issues: collection.totalIssueContributions,
+          reviews: collection.totalPullRequestReviewContributions,
+          repositories: collection.totalRepositoryContributions,
+          restricted: collection.restrictedContributionsCount
+        },
+        streak: this.calculateStreakData(this.calendarToContributionMap(calendar)),
+        source: 'graphql'
+      };
+    } catch (error) {
+      window.Utils.logError(error, 'getContributionCollection', { username });
+      throw this.wrapError(error, 'Failed to fetch contribution calendar');
+    }
+  },
+
+  /**
+   * Convert calendar entries into a date => count map for the streak helpers
+   * @param {Array} calendar - Calendar entries ({ date, count })
+   * @returns {Map} Contributions by date
+   */
+  calendarToContributionMap(calendar) {
+    return new Map(calendar.map(day => [day.date, day.count]));
+  },
+
+  // ================================
+  // TOKEN MANAGEMENT
+  // ================================
+  
+  /**
+   * Get the Web Storage area used for the token
+   * @param {string} mode - 'session' or 'local'
+   * @returns {Storage|null} Storage area, if available
+   */
+  getTokenStorage(mode) {
+    try {
+      return mode === 'local' ? window.localStorage : window.sessionStorage;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Restore a previously saved token (session storage first, then local storage).
+   * The token lives under its own key and never goes through Utils.setStorage,
+   * so it cannot end up in the saved session or the search history.
+   */
+  loadStoredToken() {
+    if (!this.config.get('github.auth.enabled', true)) return;
+    
+    const key = this.config.get('github.auth.storageKey', 'devpulse-auth-token');
+    
+    for (const mode of ['session', 'local']) {
+      const token = this.getTokenStorage(mode)?.getItem(key);
+      if (token) {
+        this.authToken = token;
+        this.authTokenStorage = mode;
+        return;
+      }
+    }
+  },
+
+  /**
+   * Set the personal access token used for API requests
+   * @param {string} token - GitHub personal access token
+   * @param {Object} options - Token options
+   * @param {boolean} options.remember - Keep the token across browser sessions
+   * @returns {boolean} Whether the token was accepted
+   */
+  setAuthToken(token, { remember = false } = {}) {
+    const trimmed = (token || '').trim();
+    if (!this.isValidTokenFormat(trimmed)) {
+      return false;
+    }
+    
+    this.clearAuthToken({ silent: true });
+    
+    const key = this.config.get('github.auth.storageKey', 'devpulse-auth-token');
+    const mode = remember ? 'local' : this.config.get('github.auth.defaultStorage', 'session');
+    
+    try {
+      this.getTokenStorage(mode)?.setItem(key, trimmed);
+    } catch (error) {
+      console.warn('Failed to store API token:', error.name);
+    }
+    
+    this.authToken = trimmed;
+    this.authTokenStorage = mode;
+    
+    // Cached anonymous responses may be missing data the token can see
+    this.clearCache();
+    this.resetRateLimitBudget();
+    this.notifyRateLimitChange();
+    return true;
+  },
+
+  /**
+   * Remove the personal access token from memory and storage
+   * @param {Object} options - Options
+   * @param {boolean} options.silent - Skip UI notification
+   */
+  clearAuthToken({ silent = false } = {}) {
+    const key = this.config.get('github.auth.storageKey', 'devpulse-auth-token');
+    ['session', 'local'].forEach(mode => {
+      try {
+        this.getTokenStorage(mode)?.removeItem(key);
+      } catch (error) {
+        // Storage unavailable - nothing to remove
+      }
+    });
+    
+    const hadToken = !!this.authToken;
+    this.authToken = null;
+    this.authTokenStorage = null;
+    
+    if (hadToken && !silent) {
+      this.clearCache();
+      this.resetRateLimitBudget();
+      this.notifyRateLimitChange();
+    }
+  },
+
+  /**
+   * Basic sanity check for the active provider's token format
+   * @param {string} token - Token to check
+   * @returns {boolean} Whether the token looks valid
+   */
+  isValidTokenFormat(token) {
+    if (!token || /\s/.test(token)) return false;
+    return this.getProvider().isValidToken(token);
+  },
+
+  /**
+   * Check whether requests are authenticated
+   * @returns {boolean} Whether a token is set
+   */
+  hasAuthToken() {
+    return !!this.authToken;
+  },
+
+  /**
+   * Get authorization headers for the current token
+   * @returns {Object} Headers object
+   */
+  getAuthHeaders() {
+    return this.authToken ? this.getProvider().authHeaders(this.authToken) : {};
+  },
+
+  /**
+   * Verify the current token against the provider's verification endpoint
+   * (on GitHub, calls to /rate_limit do not count against the budget)
+   * @returns {Promise<Object>} Rate limit status
+   */
+  async verifyAuthToken() {
+    if (!this.authToken) {
+      throw new Error('No API token set');
+    }
+    
+    const provider = this.getProvider();
+    const { apiUrl } = this.getProviderSettings();
+    const response = await fetch(`${apiUrl}${provider.endpoints.verifyToken()}`, {
+      headers: {
+        ...provider.defaultHeaders(),
+        ...this.getAuthHeaders()
+      }
+    });
+    
+    if (response.status === 401) {
+      this.handleRejectedToken();
+      throw new Error(`${provider.name} rejected the API token (401 Bad credentials)`);
+    }
+    
+    if (!response.ok) {
+      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    const core = data.resources?.core || data.rate;
+    if (core) {
+      this.rateLimitLimit = core.limit;
+      this.rateLimitRemaining = core.remaining;
+      this.rateLimitReset = core.reset;
+      this.notifyRateLimitChange();
+    }
+    
+    return this.getRateLimitStatus();
+  },
+
+  /**
+   * Drop a token GitHub has rejected and fall back to anonymous mode
+   */
+  handleRejectedToken() {
+    this.clearAuthToken();
+    window.DevPulseUI?.showToast(
+      'GitHub rejected the API token. Falling back to anonymous requests.',
+      'error'
+    );
+  },
+
   // ================================
   // RATE LIMITING
   // ================================
   
+  /**
+   * Get the current rate limit mode
+   * @returns {string} 'authenticated' or 'anonymous'
+   */
+  getRateLimitMode() {
+    return this.authToken ? 'authenticated' : 'anonymous';
+  },
+
+  /**
+   * Reset the local rate limit budget to the configured maximum for the current mode.
+   * Real values replace these as soon as a response arrives.
+   */
+  resetRateLimitBudget() {
+    const limit = this.authToken
+      ? this.config.get('github.rateLimit.authenticatedMaxRequests', 5000)
+      : this.config.get('github.rateLimit.maxRequests', 60);
+    
+    this.rateLimitLimit = limit;
+    this.rateLimitRemaining = limit;
+    this.rateLimitReset = null;
+  },
+
+  /**
+   * Let the UI know the rate limit state has changed
+   */
+  notifyRateLimitChange() {
+    if (window.DevPulseUI?.updateApiModeIndicator) {
+      window.DevPulseUI.updateApiModeIndicator(this.getRateLimitStatus());
+    }
+  },
+  
   /**
    * Check rate limit before making request
    */
@@ -866,6 +1819,17 @@ window.DevPulseAPI = {
     const config = this.config;
     const warningThreshold = config.get('github.rateLimit.warningThreshold', 10);
     
+    // Secondary limits and Retry-After block every request until they pass
+    if (this.retryBlockedUntil && Date.now() < this.retryBlockedUntil) {
+      throw new GitHubApiError('Rate limit exceeded. Waiting for GitHub to accept requests again', {
+        secondary: true,
+        retryAt: this.retryBlockedUntil
+      });
+    }
+    
+    // Providers without rate limit headers never update the budget, so there is nothing to check
+    if (!this.getProvider().reportsRateLimit) return;
+    
     if (this.rateLimitRemaining <= warningThreshold) {
       const resetTime = this.rateLimitReset ? new Date(this.rateLimitReset * 1000) : new Date(Date.now() + 60 * 60 * 1000);
       const now = new Date();
@@ -876,27 +1840,57 @@ window.DevPulseAPI = {
         
         // Show user notification
         if (window.DevPulseUI?.showToast) {
+          const hint = this.authToken ? '' : ' Add a GitHub token to raise the limit.';
           window.DevPulseUI.showToast(
-            `API rate limit low: ${this.rateLimitRemaining} requests remaining`,
+            `API rate limit low: ${this.rateLimitRemaining} of ${this.rateLimitLimit} requests remaining.${hint}`,
             'warning'
           );
         }
         
         if (this.rateLimitRemaining <= 0) {
-          throw new Error(`Rate limit exceeded. Reset at ${resetTime.toLocaleTimeString()}`);
+          throw new GitHubApiError(
+            `Rate limit exceeded (${this.getRateLimitMode()} mode). Reset at ${resetTime.toLocaleTimeString()}`,
+            {
+              rateLimit: { limit: this.rateLimitLimit, remaining: 0, reset: this.rateLimitReset },
+              rateLimited: true,
+              retryAt: resetTime.getTime() + 1000
+            }
+          );
         }
       }
     }
   },
 
+  /**
+   * Hold back new requests until a rate limit window has passed
+   * @param {GitHubApiError} error - Rate limit error
+   */
+  blockRequestsUntil(error) {
+    // Primary limits are enforced through rateLimitRemaining/rateLimitReset below
+    if (error.secondary && error.retryAt) {
+      this.retryBlockedUntil = Math.max(this.retryBlockedUntil || 0, error.retryAt);
+    }
+    
+    if (error.rateLimited && error.rateLimit) {
+      this.rateLimitRemaining = 0;
+      this.rateLimitReset = error.rateLimit.reset;
+      this.notifyRateLimitChange();
+    }
+  },
+
   /**
    * Update rate limit info from response headers
    * @param {Response} response - Fetch response
    */
   updateRateLimit(response) {
+    const limit = response.headers.get('X-RateLimit-Limit');
     const remaining = response.headers.get('X-RateLimit-Remaining');
     const reset = response.headers.get('X-RateLimit-Reset');
     
+    if (limit !== null) {
+      this.rateLimitLimit = parseInt(limit, 10);
+    }
+    
     if (remaining !== null) {
       this.rateLimitRemaining = parseInt(remaining, 10);
     }
@@ -905,7 +1899,11 @@ window.DevPulseAPI = {
       this.rateLimitReset = parseInt(reset, 10);
     }
     
-    this.requestCount++;
+    // Conditional requests answered with 304 are free
+    if (response.status !== 304) {
+      this.requestCount++;
+    }
+    this.notifyRateLimitChange();
   },
 
   // ================================
@@ -913,42 +1911,163 @@ window.DevPulseAPI = {
   // ================================
   
   /**
-   * Check if cache should be used
+   * Check whether the persistent (IndexedDB) cache tier can be used
+   * @returns {boolean} Whether responses are persisted
+   */
+  isPersistentCacheEnabled() {
+    return this.config.get('github.cache.enabled', true) &&
+      this.config.get('github.cache.persistent', true) &&
+      !!window.DevPulseDB?.isSupported();
+  },
+
+  /**
+   * Get the persistent cache budget in bytes
+   * @returns {number} Budget in bytes
+   */
+  getCacheBudget() {
+    return window.Utils.parseByteSize(this.config.get('performance.memory.maxCacheSize', '50MB'));
+  },
+
+  /**
+   * Load the size/access index of persisted responses and drop expired ones
+   * @returns {Promise<void>}
+   */
+  async loadPersistentCacheIndex() {
+    if (!this.isPersistentCacheEnabled()) return;
+    
+    const maxAge = this.config.get('github.cache.maxAge', 604800000);
+    const expired = [];
+    
+    try {
+      await window.DevPulseDB.forEach('responses', entry => {
+        if (Date.now() - entry.timestamp > maxAge) {
+          expired.push(entry.key);
+        } else {
+          this.persistentIndex.set(entry.key, { size: entry.size, lastAccess: entry.lastAccess });
+        }
+      });
+      
+      if (expired.length > 0) {
+        await window.DevPulseDB.deleteMany('responses', expired);
+      }
+      
+      await this.enforceCacheBudget();
+      console.log(`💾 Persistent cache ready: ${this.persistentIndex.size} responses (${window.Utils.formatBytes(this.getPersistentCacheBytes())})`);
+    } catch (error) {
+      window.Utils.logError(error, 'loadPersistentCacheIndex');
+    }
+  },
+
+  /**
+   * Get a cache entry from memory or the persistent store
    * @param {string} key - Cache key
-   * @returns {boolean} Whether to use cache
+   * @returns {Promise<Object|null>} Entry ({ data, timestamp, etag, lastModified }) or null
    */
-  shouldUseCache(key) {
-    const config = this.config;
-    const cacheEnabled = config.get('github.cache.enabled', true);
-    const cacheDuration = config.get('github.cache.duration', 300000); // 5 minutes
+  async getCacheEntry(key) {
+    if (!this.config.get('github.cache.enabled', true)) return null;
+    
+    let entry = this.cache.get(key);
     
-    if (!cacheEnabled) return false;
+    if (!entry && this.isPersistentCacheEnabled()) {
+      await this.persistentIndexReady;
+    }
+    
+    if (!entry && this.isPersistentCacheEnabled() && this.persistentIndex.has(key)) {
+      try {
+        entry = await window.DevPulseDB.get('responses', key);
+      } catch (error) {
+        entry = null;
+      }
+      
+      if (entry) {
+        this.rememberInMemory(key, entry);
+      }
+    }
     
-    const cached = this.cache.get(key);
-    if (!cached) return false;
+    if (entry && this.persistentIndex.has(key)) {
+      this.persistentIndex.get(key).lastAccess = Date.now();
+    }
     
-    const now = Date.now();
-    return (now - cached.timestamp) < cacheDuration;
+    return entry || null;
+  },
+
+  /**
+   * Check whether a cache entry can be served without revalidation
+   * @param {Object} entry - Cache entry
+   * @returns {boolean} Whether the entry is fresh
+   */
+  isCacheEntryFresh(entry) {
+    const cacheDuration = this.config.get('github.cache.duration', 300000); // 5 minutes
+    return (Date.now() - entry.timestamp) < cacheDuration;
+  },
+
+  /**
+   * Build conditional request headers for a stale cache entry
+   * @param {Object|null} entry - Cache entry
+   * @returns {Object} Headers object
+   */
+  getConditionalHeaders(entry) {
+    if (!entry) return {};
+    if (entry.etag) return { 'If-None-Match': entry.etag };
+    if (entry.lastModified) return { 'If-Modified-Since': entry.lastModified };
+    return {};
+  },
+
+  /**
+   * Check if cache should be used
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} Whether a fresh entry exists
+   */
+  async shouldUseCache(key) {
+    const entry = await this.getCacheEntry(key);
+    return !!entry && this.isCacheEntryFresh(entry);
   },
 
   /**
    * Get data from cache
    * @param {string} key - Cache key
-   * @returns {*} Cached data
+   * @returns {Promise<*>} Cached data
    */
-  getFromCache(key) {
-    const cached = this.cache.get(key);
-    return cached ? cached.data : null;
+  async getFromCache(key) {
+    const entry = await this.getCacheEntry(key);
+    return entry ? entry.data : null;
   },
 
   /**
    * Set data in cache
    * @param {string} key - Cache key
    * @param {*} data - Data to cache
+   * @param {Object} validators - Response validators
+   * @param {string} validators.etag - ETag header
+   * @param {string} validators.lastModified - Last-Modified header
    */
-  setCache(key, data) {
-    const config = this.config;
-    const maxSize = config.get('github.cache.maxSize', 100);
+  setCache(key, data, { etag = null, lastModified = null } = {}) {
+    if (!this.config.get('github.cache.enabled', true)) return;
+    
+    const entry = {
+      key,
+      data,
+      etag,
+      lastModified,
+      timestamp: Date.now()
+    };
+    
+    this.rememberInMemory(key, entry);
+    
+    this.persistCacheEntry(entry).catch(error => {
+      window.Utils.logError(error, 'persistCacheEntry', { key });
+    });
+  },
+
+  /**
+   * Keep an entry in the in-memory tier, bounded by github.cache.maxSize
+   * @param {string} key - Cache key
+   * @param {Object} entry - Cache entry
+   */
+  rememberInMemory(key, entry) {
+    const maxSize = this.config.get('github.cache.maxSize', 100);
+    
+    this.cache.delete(key);
     
     // Remove oldest entries if cache is full
     if (this.cache.size >= maxSize) {
@@ -956,17 +2075,91 @@ window.DevPulseAPI = {
       this.cache.delete(firstKey);
     }
     
-    this.cache.set(key, {
-      data,
-      timestamp: Date.now()
-    });
+    this.cache.set(key, entry);
+  },
+
+  /**
+   * Write an entry to the persistent store
+   * @param {Object} entry - Cache entry
+   * @returns {Promise<void>}
+   */
+  async persistCacheEntry(entry) {
+    if (!this.isPersistentCacheEnabled()) return;
+    
+    // String length is a close enough estimate of the stored size
+    const size = JSON.stringify(entry.data).length;
+    if (size > this.getCacheBudget()) return;
+    
+    const record = { ...entry, size, lastAccess: Date.now() };
+    await window.DevPulseDB.put('responses', record);
+    
+    this.persistentIndex.set(entry.key, { size, lastAccess: record.lastAccess });
+    await this.enforceCacheBudget();
+  },
+
+  /**
+   * Total size of persisted responses
+   * @returns {number} Size in bytes
+   */
+  getPersistentCacheBytes() {
+    let total = 0;
+    this.persistentIndex.forEach(item => { total += item.size; });
+    return total;
+  },
+
+  /**
+   * Evict least recently used persisted responses until under budget
+   * @returns {Promise<void>}
+   */
+  async enforceCacheBudget() {
+    const budget = this.getCacheBudget();
+    let total = this.getPersistentCacheBytes();
+    if (total <= budget) return;
+    
+    const evicted = [];
+    const byAccess = Array.from(this.persistentIndex.entries())
+      .sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+    
+    for (const [key, item] of byAccess) {
+      if (total <= budget) break;
+      evicted.push(key);
+      total -= item.size;
+      this.persistentIndex.delete(key);
+    }
+    
+    await window.DevPulseDB.deleteMany('responses', evicted);
+    console.log(`🧹 Evicted ${evicted.length} cached responses to stay within ${this.config.get('performance.memory.maxCacheSize', '50MB')}`);
   },
 
   /**
-   * Clear cache
+   * Get cache usage for display
+   * @returns {Object} { memoryEntries, persistentEntries, bytes, budget }
    */
-  clearCache() {
+  getCacheStats() {
+    return {
+      memoryEntries: this.cache.size,
+      persistentEntries: this.persistentIndex.size,
+      bytes: this.getPersistentCacheBytes(),
+      budget: this.getCacheBudget()
+    };
+  },
+
+  /**
+   * Clear cache (memory and persistent store)
+   * @returns {Promise<void>}
+   */
+  async clearCache() {
     this.cache.clear();
+    this.persistentIndex.clear();
+    
+    if (this.isPersistentCacheEnabled()) {
+      try {
+        await window.DevPulseDB.clear('responses');
+      } catch (error) {
+        window.Utils.logError(error, 'clearCache');
+      }
+    }
+    
     console.log('API cache cleared');
   },
 
@@ -989,6 +2182,10 @@ window.DevPulseAPI = {
    */
   getRateLimitStatus() {
     return {
+      mode: this.getRateLimitMode(),
+      provider: this.getProvider().name,
+      tracked: this.getProvider().reportsRateLimit,
+      limit: this.rateLimitLimit,
       remaining: this.rateLimitRemaining,
       reset: this.rateLimitReset ? new Date(this.rateLimitReset * 1000) : null,
       requestCount: this.requestCount
@@ -1002,18 +2199,16 @@ window.DevPulseAPI = {
   /**
    * Aggregate language statistics from repositories
    * @param {Array} repositories - Array of repository objects
-   * @returns {Array} Language statistics array
+   * @returns {Array} Language statistics array ({ name, size } where size is the repository count)
    */
   aggregateLanguageStats(repositories) {
     try {
       const languageMap = new Map();
       
-      // Aggregate languages from repositories
+      // Count repositories by primary language (byte-level data comes from getRepositoryLanguages)
       repositories.forEach(repo => {
         if (repo.language && !repo.fork) {
-          const currentSize = languageMap.get(repo.language) || 0;
-          // Estimate language usage based on repository size
-          languageMap.set(repo.language, currentSize + (repo.size || 1));
+          languageMap.set(repo.language, (languageMap.get(repo.language) || 0) + 1);
         }
       });
       
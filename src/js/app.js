@@ -15,6 +15,26 @@ window.DevPulse = {
   currentUsername: null,
   loadingState: false,
   loadingScreen: null,
+  languageMode: 'repos',
+  languageBytesLoading: null, // Username whose byte-level languages are being fetched
+  pendingResume: null,
+  viewMode: 'user', // 'user', 'organization' or 'compare'
+  currentOrganization: null,
+  currentOrgData: null,
+  compareData: null,
+  selectedRepos: [], // full_name of repositories selected for comparison
+  repoComparison: null,
+  repoFilters: null, // Active repository grid filters (see getDefaultRepoFilters)
+  repoPage: 1,
+  repoStarThresholds: [0], // Values the minimum-star slider steps through
+  activitySearchQuery: '',
+  routeParams: {}, // Query parameters of the route the current dashboard was opened from
+  pendingRouteParams: null,
+  applyingRoute: false,
+  snapshots: [], // Stored snapshots of the current user, oldest first
+  lastVisitSnapshot: null, // Snapshot the "since last visit" badges compare against
+  snapshotWrite: null,
+  vizWindow: null, // 3D visualization window opened from this dashboard
   
   // ================================
   // LOADING SCREEN MANAGEMENT
@@ -263,6 +283,18 @@ window.DevPulse = {
     if (window.DevPulseCharts && !window.DevPulseCharts.isInitialized) {
       window.DevPulseCharts.init();
     }
+    
+    if (window.DevPulseLayout && !window.DevPulseLayout.isInitialized) {
+      window.DevPulseLayout.init();
+    }
+    
+    if (window.DevPulseExport && !window.DevPulseExport.isInitialized) {
+      window.DevPulseExport.init();
+    }
+    
+    if (window.DevPulseWatchlist && !window.DevPulseWatchlist.isInitialized) {
+      window.DevPulseWatchlist.init();
+    }
   },
 
   /**
@@ -284,6 +316,9 @@ window.DevPulse = {
     // Initialize analytics toggle
     this.initAnalyticsToggle();
     
+    // Initialize language chart weighting toggle
+    this.initLanguageModeToggle();
+    
     // Initialize 3D visualization
     this.init3DVisualization();
     
@@ -293,8 +328,20 @@ window.DevPulse = {
     // Initialize repository comparison
     this.initRepoComparison();
     
-    // Restore previous session
-    this.restorePreviousSession();
+    // Initialize repository filters and paging
+    this.initRepoFilters();
+    
+    // Initialize snapshot history controls
+    this.initHistory();
+    
+    // Offline support
+    this.registerServiceWorker();
+    this.setupConnectivityHandling();
+    
+    // Shared dashboard links take precedence over the previous session
+    if (!this.initRouting()) {
+      this.restorePreviousSession();
+    }
   },
 
   // ================================
@@ -316,8 +363,15 @@ window.DevPulse = {
       throw new Error('Invalid GitHub username format');
     }
 
+    // A new load supersedes any load waiting on the rate limit
+    if (this.pendingResume) {
+      this.pendingResume = null;
+      window.DevPulseUI.hideRateLimitCountdown();
+    }
+
     this.loadingState = true;
     this.currentUsername = username;
+    this.takeRouteParams();
     
     // Add to search history
     this.addToSearchHistory(username);
@@ -330,48 +384,43 @@ window.DevPulse = {
       
       // Clear previous data
       this.currentUserData = null;
+      this.currentOrgData = null;
+      this.currentOrganization = null;
+      this.compareData = null;
+      this.renderPartialDataNotice(null);
+      window.DevPulseAPI.resetOfflineState();
+      this.renderOfflineNotice();
       
-      // Load all data in parallel for better performance
-      const [profile, repositories, events] = await Promise.all([
-        window.DevPulseAPI.getUserProfile(username),
-        window.DevPulseAPI.getUserRepositories(username, { 
-          per_page: 100, 
-          sort: 'updated',
-          direction: 'desc'
-        }),
-        window.DevPulseAPI.getUserEvents(username).catch((error) => {
-          console.warn('⚠️ Failed to load events:', error);
-          return []; // Return empty array if events fail
-        })
-      ]);
+      this.updateLoadingMessage(`Loading ${username}...`);
+      this.updateLoadingProgress(0);
       
-      console.log('📊 Loaded data summary:');
-      console.log('- Profile:', profile?.login || 'N/A');
-      console.log('- Repositories:', repositories?.length || 0);
-      console.log('- Events:', events?.length || 0);
-      console.log('- Sample event:', events?.[0] || 'No events');
+      this.currentUserData = await this.fetchUserData(username, {
+        onProgress: (fraction) => this.updateLoadingProgress(Math.round(fraction * 90)),
+        onMessage: (message) => this.updateLoadingMessage(message)
+      });
       
-      // Aggregate language statistics
-      const languageStats = window.DevPulseAPI.aggregateLanguageStats(repositories);
+      this.updateLoadingMessage('Crunching the numbers...');
+      this.updateLoadingProgress(95);
       
-      // Generate contribution data
-      const contributionData = window.DevPulseAPI.generateContributionCalendar(events);
-      
-      // Compile all user data
-      this.currentUserData = {
-        profile,
-        repositories,
-        events,
-        languageStats,
-        contributionData,
-        loadedAt: new Date().toISOString()
-      };
+      // Earlier snapshots drive the "since last visit" badges on the stat cards
+      await this.loadSnapshots(username);
       
       // Render the dashboard
       await this.renderDashboard();
+      this.updateLoadingProgress(100);
+      
+      // Byte-level languages need one request per repo, so they load after first paint
+      // and only when the chart shows bytes
+      this.ensureLanguageBytes();
       
       // Save to session
       this.saveUserSession();
+      this.renderOfflineNotice();
+      this.recordSnapshot();
+      window.DevPulseRouter.navigate({ view: 'user', target: username, params: this.routeParams });
+      
+      // Keep an open 3D visualization window on the same developer
+      window.DevPulseHandoff?.publish(this.currentUserData, this.vizWindow);
       
       // Show success
       window.DevPulseUI.showToast(`Successfully loaded data for ${username}`, 'success');
@@ -381,11 +430,18 @@ window.DevPulse = {
     } catch (error) {
       console.error(`❌ Failed to load data for ${username}:`, error);
       
+      const apiError = error instanceof window.GitHubApiError ? error : null;
+      
       // Handle specific error types
-      if (error.message.includes('User not found')) {
+      if (apiError?.status === 404 || error.message.includes('User not found')) {
         throw new Error(`GitHub user "${username}" not found. Please check the username and try again.`);
+      } else if (apiError?.isRateLimited) {
+        const resumeAt = this.scheduleRateLimitResume(username, apiError);
+        throw new Error(`GitHub rate limit reached. Loading resumes automatically at ${new Date(resumeAt).toLocaleTimeString()}.`);
       } else if (error.message.includes('rate limit')) {
         throw new Error('Rate limit exceeded. Please try again later.');
+      } else if (window.DevPulseAPI.isOffline()) {
+        throw new Error(`You're offline and ${username} has not been viewed on this device yet. Connect to the internet to load it.`);
       } else if (error.message.includes('network')) {
         throw new Error('Network error. Please check your connection and try again.');
       } else {
@@ -397,6 +453,1044 @@ window.DevPulse = {
     }
   },
 
+  /**
+   * Fetch and aggregate everything the dashboard needs for one user, without rendering.
+   * Shared by the single-user dashboard and compare mode.
+   * @param {string} username - GitHub username
+   * @param {Object} options - Callbacks
+   * @param {Function} options.onProgress - Called with overall progress (0-1)
+   * @param {Function} options.onMessage - Called with a human-readable status message
+   * @returns {Promise<Object>} User data (profile, repositories, events, languageStats, contributions, partialData)
+   */
+  async fetchUserData(username, { onProgress = () => {}, onMessage = () => {} } = {}) {
+    // Track per-resource progress so paginated loads can report through the progress bar
+    const progress = { profile: 0, repositories: 0, events: 0 };
+    const pagination = { repositories: null, events: null };
+    const reportProgress = () => {
+      const total = (progress.profile + progress.repositories + progress.events) / 3;
+      onProgress(total);
+    };
+    const trackPages = (resource, label) => (info) => {
+      pagination[resource] = info;
+      progress[resource] = info.done ? 1 : info.page / Math.max(info.totalPages, 1);
+      onMessage(`Loading ${label}... page ${info.page} of ${info.totalPages} (${info.loaded})`);
+      reportProgress();
+    };
+    
+    // Real contribution calendar via GraphQL when a token is set
+    const contributionsRequest = window.DevPulseAPI.canUseGraphQL()
+      ? window.DevPulseAPI.getContributionCollection(username).catch((error) => {
+          console.warn('⚠️ GraphQL contributions unavailable, estimating from events:', error);
+          return null;
+        })
+      : Promise.resolve(null);
+    
+    // Load all data in parallel for better performance
+    const [profile, repositories, events, contributions] = await Promise.all([
+      window.DevPulseAPI.getUserProfile(username).then((result) => {
+        progress.profile = 1;
+        onMessage(`Loaded ${result.name || result.login}, fetching repositories and activity...`);
+        reportProgress();
+        return result;
+      }),
+      window.DevPulseAPI.getUserRepositories(username, { 
+        sort: 'updated',
+        direction: 'desc',
+        onProgress: trackPages('repositories', 'repositories')
+      }),
+      window.DevPulseAPI.getUserEvents(username, {
+        onProgress: trackPages('events', 'activity')
+      }).catch((error) => {
+        console.warn('⚠️ Failed to load events:', error);
+        return []; // Return empty array if events fail
+      }),
+      contributionsRequest
+    ]);
+    
+    console.log('📊 Loaded data summary:');
+    console.log('- Profile:', profile?.login || 'N/A');
+    console.log('- Repositories:', repositories?.length || 0);
+    console.log('- Events:', events?.length || 0);
+    console.log('- Sample event:', events?.[0] || 'No events');
+    
+    // Gitea/Forgejo profiles carry no repository count
+    if (profile && profile.public_repos == null) {
+      profile.public_repos = repositories.length;
+    }
+    
+    // Aggregate language statistics
+    const languageStats = window.DevPulseAPI.aggregateLanguageStats(repositories);
+    
+    // Generate contribution data (estimated from public push events without GraphQL)
+    const contributionData = contributions
+      ? contributions.calendar
+      : window.DevPulseAPI.generateContributionCalendar(events);
+    const contributionSummary = contributions
+      ? { totals: contributions.totals, streak: contributions.streak, source: 'graphql' }
+      : {
+          streak: window.DevPulseAPI.calculateStreakData(
+            window.DevPulseAPI.calendarToContributionMap(contributionData)
+          ),
+          source: 'events'
+        };
+    
+    // Compile all user data
+    return {
+      profile,
+      repositories,
+      events,
+      languageStats,
+      contributionData,
+      contributionSummary,
+      partialData: {
+        repositories: !!pagination.repositories?.truncated,
+        events: !!pagination.events?.truncated
+      },
+      loadedAt: new Date().toISOString()
+    };
+  },
+
+  /**
+   * Retry a rate-limited load automatically once the limit window resets
+   * @param {string} username - Username (or organization) whose load was interrupted
+   * @param {GitHubApiError} error - Rate limit error
+   * @param {Function} load - Loader to call again (defaults to loadUserData)
+   * @returns {number} Timestamp (ms) when loading resumes
+   */
+  scheduleRateLimitResume(username, error, load = (name) => this.loadUserData(name)) {
+    const resumeAt = error.retryAt || Date.now() + this.config.get('github.retry.secondaryRateLimitDelay', 60000);
+    this.pendingResume = { username, resumeAt };
+    
+    window.DevPulseUI.showRateLimitCountdown(resumeAt, {
+      message: `Rate limit reached while loading ${username}. Resuming`,
+      onResume: () => {
+        if (this.pendingResume?.username !== username) return;
+        this.pendingResume = null;
+        
+        window.DevPulseUI.showLoadingState();
+        load(username).catch(resumeError => {
+          window.DevPulseUI.showErrorState(resumeError.message);
+        });
+      },
+      onCancel: () => {
+        this.pendingResume = null;
+      }
+    });
+    
+    return resumeAt;
+  },
+
+  // ================================
+  // ORGANIZATION DASHBOARD
+  // ================================
+  
+  /**
+   * Load organization data and render the organization dashboard
+   * @param {string} org - Organization login
+   */
+  async loadOrganizationData(org) {
+    if (!org || typeof org !== 'string') {
+      throw new Error('Invalid organization name provided');
+    }
+
+    org = org.trim();
+    
+    if (!window.Utils.validateGitHubUsername(org)) {
+      throw new Error('Invalid organization name format');
+    }
+
+    if (this.pendingResume) {
+      this.pendingResume = null;
+      window.DevPulseUI.hideRateLimitCountdown();
+    }
+
+    this.loadingState = true;
+    this.currentOrganization = org;
+    this.currentUsername = null;
+    this.takeRouteParams();
+    
+    try {
+      console.log(`🏢 Loading organization ${org}...`);
+      
+      window.DevPulseUI.showLoadingState();
+      
+      this.currentUserData = null;
+      this.currentOrgData = null;
+      this.compareData = null;
+      this.renderPartialDataNotice(null);
+      window.DevPulseAPI.resetOfflineState();
+      this.renderOfflineNotice();
+      
+      const progress = { profile: 0, repositories: 0, members: 0, events: 0 };
+      const pagination = { repositories: null, events: null };
+      const reportProgress = () => {
+        const total = Object.values(progress).reduce((sum, value) => sum + value, 0) / 4;
+        this.updateLoadingProgress(Math.round(total * 90));
+      };
+      const trackPages = (resource, label) => (info) => {
+        if (resource in pagination) pagination[resource] = info;
+        progress[resource] = info.done ? 1 : info.page / Math.max(info.totalPages, 1);
+        this.updateLoadingMessage(`Loading ${label}... page ${info.page} of ${info.totalPages} (${info.loaded})`);
+        reportProgress();
+      };
+      
+      this.updateLoadingMessage(`Loading ${org}...`);
+      this.updateLoadingProgress(0);
+      
+      const [profile, repositories, members, events] = await Promise.all([
+        window.DevPulseAPI.getOrganization(org).then((result) => {
+          progress.profile = 1;
+          this.updateLoadingMessage(`Loaded ${result.name}, fetching repositories and members...`);
+          reportProgress();
+          return result;
+        }),
+        window.DevPulseAPI.getOrganizationRepositories(org, {
+          onProgress: trackPages('repositories', 'repositories')
+        }),
+        window.DevPulseAPI.getOrganizationMembers(org, {
+          onProgress: trackPages('members', 'members')
+        }).catch((error) => {
+          console.warn('⚠️ Failed to load organization members:', error);
+          return [];
+        }),
+        window.DevPulseAPI.getOrganizationEvents(org, {
+          onProgress: trackPages('events', 'activity')
+        }).catch((error) => {
+          console.warn('⚠️ Failed to load organization events:', error);
+          return [];
+        })
+      ]);
+      
+      this.updateLoadingMessage('Crunching the numbers...');
+      this.updateLoadingProgress(95);
+      
+      if (profile.public_repos == null) {
+        profile.public_repos = repositories.length;
+      }
+      profile.members = members.length;
+      
+      this.currentOrgData = {
+        profile,
+        repositories,
+        members,
+        events,
+        languageStats: window.DevPulseAPI.aggregateLanguageStats(repositories),
+        activeRepositories: this.getMostActiveRepositories(repositories, events),
+        contributors: null,
+        partialData: {
+          repositories: !!pagination.repositories?.truncated,
+          events: !!pagination.events?.truncated
+        },
+        loadedAt: new Date().toISOString()
+      };
+      
+      await this.renderOrganizationDashboard();
+      this.renderOfflineNotice();
+      window.DevPulseRouter.navigate({ view: 'organization', target: org, params: this.routeParams });
+      this.updateLoadingProgress(100);
+      
+      // One request per repository, so contributors load after first paint
+      this.loadOrganizationContributors(org, repositories);
+      
+      window.DevPulseUI.showToast(`Successfully loaded organization ${org}`, 'success');
+      console.log(`✅ Organization data loaded for ${org}`);
+      
+    } catch (error) {
+      console.error(`❌ Failed to load organization ${org}:`, error);
+      
+      const apiError = error instanceof window.GitHubApiError ? error : null;
+      
+      if (apiError?.status === 404) {
+        throw new Error(`Organization "${org}" not found. Check the name, or search for it as a user.`);
+      } else if (apiError?.isRateLimited) {
+        const resumeAt = this.scheduleRateLimitResume(org, apiError, (name) => this.loadOrganizationData(name));
+        throw new Error(`GitHub rate limit reached. Loading resumes automatically at ${new Date(resumeAt).toLocaleTimeString()}.`);
+      } else if (window.DevPulseAPI.isOffline()) {
+        throw new Error(`You're offline and ${org} has not been viewed on this device yet. Connect to the internet to load it.`);
+      } else if (error.message.includes('network')) {
+        throw new Error('Network error. Please check your connection and try again.');
+      } else {
+        throw new Error(`Failed to load organization data: ${error.message}`);
+      }
+      
+    } finally {
+      this.loadingState = false;
+    }
+  },
+
+  /**
+   * Render the organization dashboard from currentOrgData
+   */
+  async renderOrganizationDashboard() {
+    if (!this.currentOrgData) {
+      throw new Error('No organization data available to render');
+    }
+
+    const { profile, repositories, events, languageStats, partialData } = this.currentOrgData;
+    
+    this.setViewMode('organization');
+    
+    try {
+      this.renderProfile(profile);
+    } catch (error) {
+      console.error('❌ Organization profile rendering failed:', error);
+    }
+    
+    try {
+      this.renderStatistics(profile, repositories);
+    } catch (error) {
+      console.error('❌ Organization statistics rendering failed:', error);
+    }
+    
+    try {
+      this.applyRepoFilterParams();
+      this.renderRepositories(repositories, this.applyRepoSortParam());
+    } catch (error) {
+      console.error('❌ Organization repositories rendering failed:', error);
+    }
+    
+    try {
+      this.renderOrganizationOverview(this.currentOrgData);
+    } catch (error) {
+      console.error('❌ Organization overview rendering failed:', error);
+    }
+    
+    if (window.DevPulseCharts.isChartJsAvailable()) {
+      try {
+        if (languageStats.length > 0) {
+          window.DevPulseCharts.createLanguageChart('org-language-chart', languageStats, { unit: 'repos' });
+        }
+        if (repositories.length > 0) {
+          window.DevPulseCharts.createRepositoryChart('org-repository-chart', repositories);
+        }
+      } catch (error) {
+        console.error('❌ Organization charts rendering failed:', error);
+      }
+    }
+    
+    this.renderPartialDataNotice(partialData, profile, repositories, events);
+    window.DevPulseUI.showDashboard();
+    this.setupDashboardInteractions();
+  },
+
+  /**
+   * Switch the dashboard between user, organization and compare layouts
+   * @param {string} mode - 'user', 'organization' or 'compare'
+   */
+  setViewMode(mode) {
+    this.viewMode = mode;
+    
+    const dashboard = document.getElementById('dashboard');
+    dashboard?.classList.toggle('org-mode', mode === 'organization');
+    dashboard?.classList.toggle('compare-mode', mode === 'compare');
+  },
+
+  /**
+   * Rank repositories by recent event volume, falling back to push recency
+   * @param {Array} repositories - Organization repositories
+   * @param {Array} events - Organization events
+   * @param {number} limit - Number of repositories to return
+   * @returns {Array} [{ repo, events }]
+   */
+  getMostActiveRepositories(repositories, events, limit = this.config.get('display.sections.organization.activeReposToShow', 5)) {
+    const eventCounts = events.reduce((counts, event) => {
+      counts[event.repo.name] = (counts[event.repo.name] || 0) + 1;
+      return counts;
+    }, {});
+    
+    return repositories
+      .filter(repo => !repo.archived)
+      .map(repo => ({ repo, events: eventCounts[repo.full_name] || 0 }))
+      .sort((a, b) => (b.events - a.events) || (new Date(b.repo.pushed_at) - new Date(a.repo.pushed_at)))
+      .slice(0, limit);
+  },
+
+  /**
+   * Render the organization members, most active repositories and top contributors panels
+   * @param {Object} orgData - Organization data (currentOrgData)
+   */
+  renderOrganizationOverview({ members, activeRepositories, contributors }) {
+    const activeList = document.getElementById('org-active-repos');
+    if (activeList) {
+      activeList.innerHTML = activeRepositories.length > 0
+        ? activeRepositories.map(({ repo, events }) => `
+            <li class="org-list-item">
+              <a href="${window.Utils.escapeHtml(repo.html_url)}" target="_blank" rel="noopener noreferrer" class="org-list-name">${window.Utils.escapeHtml(repo.name)}</a>
+              <span class="org-list-meta">
+                ${events > 0 ? `${events} recent event${events === 1 ? '' : 's'} · ` : ''}pushed ${window.Utils.formatRelativeTime(new Date(repo.pushed_at))}
+              </span>
+            </li>
+          `).join('')
+        : '<li class="org-list-empty">No public repositories</li>';
+    }
+    
+    const memberCount = document.getElementById('org-member-count');
+    if (memberCount) {
+      memberCount.textContent = window.Utils.formatNumber(members.length);
+    }
+    
+    const memberGrid = document.getElementById('org-members');
+    if (memberGrid) {
+      const shown = members.slice(0, this.config.get('display.sections.organization.membersToShow', 24));
+      const hidden = members.length - shown.length;
+      
+      memberGrid.innerHTML = members.length > 0
+        ? shown.map(member => `
+            <a href="${window.Utils.escapeHtml(member.profile_url)}" target="_blank" rel="noopener noreferrer" class="org-member" title="${window.Utils.escapeHtml(member.login)}">
+              <img src="${window.Utils.escapeHtml(member.avatar_url)}" alt="${window.Utils.escapeHtml(member.login)}" class="org-member-avatar" loading="lazy">
+              <span class="org-member-login">${window.Utils.escapeHtml(member.login)}</span>
+            </a>
+          `).join('') + (hidden > 0 ? `<span class="org-member-more">+${window.Utils.formatNumber(hidden)} more</span>` : '')
+        : '<p class="org-list-empty">No public members</p>';
+    }
+    
+    this.renderOrganizationContributors(contributors);
+  },
+
+  /**
+   * Render the top contributors panel
+   * @param {Object|null} contributors - Result of DevPulseAPI.getTopContributors, or null while loading
+   * @param {Object} progress - { completed, total } while loading
+   */
+  renderOrganizationContributors(contributors, progress = null) {
+    const list = document.getElementById('org-contributors');
+    const status = document.getElementById('org-contributors-status');
+    if (!list) return;
+    
+    if (!contributors) {
+      if (status) {
+        status.textContent = progress
+          ? `Loading contributors (${progress.completed}/${progress.total} repositories)...`
+          : 'Loading contributors...';
+      }
+      return;
+    }
+    
+    if (!contributors.supported) {
+      if (status) status.textContent = `${window.DevPulseAPI.getProvider().name} does not report repository contributors`;
+      list.innerHTML = '';
+      return;
+    }
+    
+    if (status) {
+      status.textContent = contributors.total > contributors.sampled
+        ? `Commits across the ${contributors.sampled} most recently pushed of ${contributors.total} repositories`
+        : `Commits across ${contributors.sampled} repositories`;
+    }
+    
+    const top = contributors.contributors.slice(0, this.config.get('display.sections.organization.topContributors', 10));
+    list.innerHTML = top.length > 0
+      ? top.map(contributor => `
+          <li class="org-list-item">
+            <img src="${window.Utils.escapeHtml(contributor.avatar_url)}" alt="" class="org-contributor-avatar" loading="lazy">
+            <a href="${window.Utils.escapeHtml(contributor.profile_url)}" target="_blank" rel="noopener noreferrer" class="org-list-name">${window.Utils.escapeHtml(contributor.login)}</a>
+            <span class="org-list-meta">
+              ${window.Utils.formatNumber(contributor.contributions)} commits · ${contributor.repositories} repo${contributor.repositories === 1 ? '' : 's'}
+            </span>
+          </li>
+        `).join('')
+      : '<li class="org-list-empty">No contributors found</li>';
+  },
+
+  /**
+   * Load top contributors in the background
+   * @param {string} org - Organization the data belongs to
+   * @param {Array} repositories - Organization repositories
+   */
+  async loadOrganizationContributors(org, repositories) {
+    const limit = window.DevPulseAPI.hasAuthToken()
+      ? this.config.get('display.sections.organization.contributorRepoLimit', 15)
+      : this.config.get('display.sections.organization.contributorRepoLimitAnonymous', 5);
+    
+    const isCurrent = () => this.currentOrganization === org && this.currentOrgData;
+    
+    try {
+      const result = await window.DevPulseAPI.getTopContributors(repositories, {
+        limit,
+        onProgress: (progress) => {
+          if (isCurrent()) this.renderOrganizationContributors(null, progress);
+        }
+      });
+      
+      if (!isCurrent()) return;
+      
+      this.currentOrgData.contributors = result;
+      this.renderOrganizationContributors(result);
+    } catch (error) {
+      console.warn('⚠️ Failed to load organization contributors:', error);
+    }
+  },
+
+  // ================================
+  // COMPARE MODE
+  // ================================
+  
+  /**
+   * Parse a comma or space separated list of usernames for compare mode
+   * @param {string} input - Raw input
+   * @returns {Array<string>} Unique usernames in input order
+   */
+  parseCompareUsernames(input) {
+    const seen = new Set();
+    
+    return String(input || '')
+      .split(/[\s,]+/)
+      .map(name => name.trim())
+      .filter(name => {
+        const key = name.toLowerCase();
+        if (!name || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  },
+
+  /**
+   * Load several developers in parallel and render them side by side
+   * @param {Array<string>|string} usernames - Usernames (array, or comma separated string)
+   */
+  async loadComparison(usernames) {
+    usernames = Array.isArray(usernames) ? usernames : this.parseCompareUsernames(usernames);
+    const maxUsers = this.config.get('display.sections.compare.maxUsers', 3);
+    
+    if (usernames.length < 2) {
+      throw new Error('Enter at least two usernames to compare, separated by commas');
+    }
+    if (usernames.length > maxUsers) {
+      throw new Error(`Compare mode supports up to ${maxUsers} developers at once`);
+    }
+    
+    const invalid = usernames.filter(name => !window.Utils.validateGitHubUsername(name));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid GitHub username format: ${invalid.join(', ')}`);
+    }
+
+    if (this.pendingResume) {
+      this.pendingResume = null;
+      window.DevPulseUI.hideRateLimitCountdown();
+    }
+
+    this.loadingState = true;
+    this.currentUsername = null;
+    this.currentOrganization = null;
+    this.takeRouteParams();
+    
+    try {
+      console.log(`⚖️ Comparing ${usernames.join(', ')}...`);
+      
+      window.DevPulseUI.showLoadingState();
+      
+      this.currentUserData = null;
+      this.currentOrgData = null;
+      this.compareData = null;
+      this.renderPartialDataNotice(null);
+      window.DevPulseAPI.resetOfflineState();
+      this.renderOfflineNotice();
+      
+      this.updateLoadingMessage(`Loading ${usernames.join(', ')}...`);
+      this.updateLoadingProgress(0);
+      
+      // Each developer goes through the same pipeline as the single-user dashboard
+      const fractions = usernames.map(() => 0);
+      const results = await Promise.allSettled(usernames.map((username, index) =>
+        this.fetchUserData(username, {
+          onProgress: (fraction) => {
+            fractions[index] = fraction;
+            const total = fractions.reduce((sum, value) => sum + value, 0) / fractions.length;
+            this.updateLoadingProgress(Math.round(total * 90));
+          },
+          onMessage: (message) => this.updateLoadingMessage(`${username}: ${message}`)
+        })
+      ));
+      
+      const rateLimited = results.find(result =>
+        result.status === 'rejected' && result.reason instanceof window.GitHubApiError && result.reason.isRateLimited
+      );
+      if (rateLimited) {
+        const resumeAt = this.scheduleRateLimitResume(usernames.join(', '), rateLimited.reason, () => this.loadComparison(usernames));
+        throw new Error(`GitHub rate limit reached. Loading resumes automatically at ${new Date(resumeAt).toLocaleTimeString()}.`);
+      }
+      
+      const failed = usernames.filter((username, index) => results[index].status === 'rejected');
+      if (failed.length > 0) {
+        window.DevPulseUI.showToast(`Skipped ${failed.join(', ')}: could not be loaded`, 'warning');
+      }
+      
+      this.updateLoadingMessage('Crunching the numbers...');
+      this.updateLoadingProgress(95);
+      
+      const colors = this.config.get('display.sections.compare.colors', ['#3b82f6', '#f59e0b', '#10b981']);
+      const loaded = [];
+      for (const [index, result] of results.entries()) {
+        if (result.status !== 'fulfilled') continue;
+        
+        const insights = await window.DevPulseAI.generateInsights(result.value);
+        loaded.push({
+          username: usernames[index],
+          color: colors[loaded.length % colors.length],
+          data: result.value,
+          personality: insights.personalityProfile
+        });
+      }
+      
+      if (loaded.length < 2) {
+        throw new Error(`Could not load enough developers to compare (failed: ${failed.join(', ')})`);
+      }
+      
+      this.compareData = loaded;
+      this.renderComparison();
+      this.renderOfflineNotice();
+      window.DevPulseRouter.navigate({ view: 'compare', target: loaded.map(entry => entry.username).join(',') });
+      this.updateLoadingProgress(100);
+      
+      window.DevPulseUI.showToast(`Comparing ${loaded.map(entry => entry.username).join(', ')}`, 'success');
+      console.log('✅ Comparison loaded');
+      
+    } catch (error) {
+      console.error('❌ Failed to load comparison:', error);
+      throw error;
+      
+    } finally {
+      this.loadingState = false;
+    }
+  },
+
+  /**
+   * Render the compare view from compareData
+   */
+  renderComparison() {
+    if (!this.compareData) {
+      throw new Error('No comparison data available to render');
+    }
+    
+    this.setViewMode('compare');
+    
+    try {
+      this.renderComparisonStats(this.compareData);
+    } catch (error) {
+      console.error('❌ Comparison stats rendering failed:', error);
+    }
+    
+    if (window.DevPulseCharts.isChartJsAvailable()) {
+      try {
+        const series = this.compareData.map(({ username, color, data, personality }) => ({
+          label: username,
+          color,
+          languages: data.languageStats,
+          events: data.events,
+          scores: personality.scores
+        }));
+        
+        window.DevPulseCharts.createLanguageComparisonChart('compare-language-chart', series);
+        window.DevPulseCharts.createActivityChart('compare-activity-chart', null, { series });
+        window.DevPulseCharts.createPersonalityRadarChart('compare-personality-chart', series);
+      } catch (error) {
+        console.error('❌ Comparison charts rendering failed:', error);
+      }
+    }
+    
+    window.DevPulseUI.showDashboard();
+  },
+
+  /**
+   * Compute the aligned comparison metrics for one developer
+   * @param {Object} data - User data from fetchUserData
+   * @returns {Array} [{ label, value, display }]
+   */
+  getComparisonMetrics({ profile, repositories, events, languageStats, contributionSummary }) {
+    const original = repositories.filter(repo => !repo.fork);
+    const stars = repositories.reduce((sum, repo) => sum + repo.stargazers_count, 0);
+    const forks = repositories.reduce((sum, repo) => sum + repo.forks_count, 0);
+    const recentEvents = events.filter(event =>
+      Date.now() - new Date(event.created_at).getTime() <= 30 * 24 * 60 * 60 * 1000
+    ).length;
+    const streak = contributionSummary?.streak?.current || 0;
+    const topLanguage = languageStats[0]?.name || '—';
+    
+    return [
+      { label: 'Total Stars', value: stars, display: window.Utils.formatNumber(stars) },
+      { label: 'Total Forks', value: forks, display: window.Utils.formatNumber(forks) },
+      { label: 'Original Repos', value: original.length, display: window.Utils.formatNumber(original.length) },
+      { label: 'Followers', value: profile.followers, display: window.Utils.formatNumber(profile.followers) },
+      { label: 'Events (30 days)', value: recentEvents, display: window.Utils.formatNumber(recentEvents) },
+      { label: 'Current Streak', value: streak, display: `${streak} day${streak === 1 ? '' : 's'}` },
+      { label: 'Top Language', value: null, display: topLanguage }
+    ];
+  },
+
+  /**
+   * Render one column of stat cards per developer, with rows aligned across columns
+   * @param {Array} compareData - Loaded comparison entries
+   */
+  renderComparisonStats(compareData) {
+    const grid = document.getElementById('compare-grid');
+    if (!grid) return;
+    
+    const metrics = compareData.map(entry => this.getComparisonMetrics(entry.data));
+    
+    // Highlight the leader of each numeric row
+    const leaders = metrics[0].map((metric, row) => {
+      if (metric.value === null) return -1;
+      const values = metrics.map(columns => columns[row].value);
+      const best = Math.max(...values);
+      return values.filter(value => value === best).length === 1 ? values.indexOf(best) : -1;
+    });
+    
+    grid.style.setProperty('--compare-columns', compareData.length);
+    grid.innerHTML = compareData.map(({ username, color, data, personality }, column) => `
+      <div class="compare-column" style="--compare-color: ${color}">
+        <div class="compare-header">
+          <img src="${window.Utils.escapeHtml(data.profile.avatar_url)}" alt="" class="compare-avatar">
+          <div>
+            <div class="compare-name">${window.Utils.escapeHtml(data.profile.name || data.profile.login)}</div>
+            <div class="compare-login">@${window.Utils.escapeHtml(data.profile.login)}</div>
+            <div class="compare-type">${window.Utils.escapeHtml(personality.type || '')}</div>
+          </div>
+        </div>
+        ${metrics[column].map((metric, row) => `
+          <div class="stats-card compare-stat${leaders[row] === column ? ' leader' : ''}">
+            <div class="stats-content">
+              <div class="stats-value">${window.Utils.escapeHtml(metric.display)}</div>
+              <div class="stats-label">${metric.label}</div>
+            </div>
+          </div>
+        `).join('')}
+        <button type="button" class="compare-open-btn" data-username="${window.Utils.escapeHtml(username)}">Open dashboard</button>
+      </div>
+    `).join('');
+    
+    grid.querySelectorAll('.compare-open-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        window.DevPulseUI.showLoadingState();
+        this.loadUserData(button.dataset.username).catch(error => {
+          window.DevPulseUI.showErrorState(error.message);
+        });
+      });
+    });
+  },
+
+  /**
+   * Copy the shareable compare URL to the clipboard
+   */
+  async copyCompareLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      window.DevPulseUI.showToast('Comparison link copied to clipboard', 'success');
+    } catch (error) {
+      window.DevPulseUI.showToast('Could not copy the link, copy it from the address bar instead', 'warning');
+    }
+  },
+
+  // ================================
+  // REPOSITORY COMPARISON
+  // ================================
+  
+  /**
+   * Open the side-by-side comparison panel for the selected repositories
+   * @param {Array<string>} fullNames - 'owner/repo' names of the repositories to compare
+   */
+  openRepoComparison(fullNames) {
+    const repositories = (this.currentUserData || this.currentOrgData)?.repositories || [];
+    const repos = fullNames
+      .map(name => repositories.find(repo => repo.full_name === name))
+      .filter(Boolean);
+    
+    if (repos.length < 2) {
+      window.DevPulseUI.showToast('Select at least 2 repositories to compare', 'warning');
+      return;
+    }
+    
+    this.closeRepoComparison();
+    
+    const colors = this.config.get('display.sections.compare.colors', ['#3b82f6', '#f59e0b', '#10b981']);
+    const cachedLanguages = this.currentUserData?.repositoryLanguages || {};
+    
+    const comparison = {
+      repos,
+      colors: repos.map((repo, index) => colors[index % colors.length]),
+      languages: Object.fromEntries(repos
+        .filter(repo => cachedLanguages[repo.full_name])
+        .map(repo => [repo.full_name, cachedLanguages[repo.full_name]])),
+      activity: {}
+    };
+    this.repoComparison = comparison;
+    
+    const modal = document.createElement('div');
+    modal.className = 'repo-compare-modal';
+    modal.innerHTML = `
+      <div class="modal-overlay" data-action="close"></div>
+      <div class="modal-content" role="dialog" aria-modal="true" aria-labelledby="repo-compare-title">
+        <div class="modal-header">
+          <h3 id="repo-compare-title">Repository Comparison</h3>
+          <div class="repo-compare-actions">
+            <button type="button" class="section-action-btn" data-action="export-csv">Export CSV</button>
+            <button type="button" class="section-action-btn" data-action="export-json">Export JSON</button>
+            <button class="modal-close" data-action="close" aria-label="Close comparison">
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="18" y1="6" x2="6" y2="18"></line>
+                <line x1="6" y1="6" x2="18" y2="18"></line>
+              </svg>
+            </button>
+          </div>
+        </div>
+        <div class="modal-body">
+          <div class="repo-compare-table-wrapper">
+            <table class="repo-compare-table" id="repo-compare-table"></table>
+          </div>
+          <div class="chart-container repo-compare-radar">
+            <canvas id="repo-compare-radar"></canvas>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    modal.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (action === 'close') this.closeRepoComparison();
+      if (action === 'export-csv') this.exportRepoComparison('csv');
+      if (action === 'export-json') this.exportRepoComparison('json');
+    });
+    
+    document.body.appendChild(modal);
+    modal.querySelector('.modal-close')?.focus();
+    
+    this.renderRepoComparison();
+    this.loadRepoComparisonDetails(comparison);
+  },
+
+  /**
+   * Close the repository comparison panel
+   * @returns {boolean} Whether a panel was open
+   */
+  closeRepoComparison() {
+    const modal = document.querySelector('.repo-compare-modal');
+    this.repoComparison = null;
+    
+    if (!modal) return false;
+    
+    window.DevPulseCharts.destroyChart('repo-compare-radar');
+    modal.remove();
+    return true;
+  },
+
+  /**
+   * Fetch language breakdowns and commit activity for the compared repositories
+   * @param {Object} comparison - Comparison state created by openRepoComparison
+   */
+  async loadRepoComparisonDetails(comparison) {
+    const isCurrent = () => this.repoComparison === comparison;
+    
+    const tasks = comparison.repos.flatMap(repo => {
+      const languages = comparison.languages[repo.full_name]
+        ? []
+        : [window.DevPulseAPI.getRepositoryLanguageBreakdown(repo.full_name)
+            .then(result => { comparison.languages[repo.full_name] = result || {}; })];
+      
+      const activity = window.DevPulseAPI.getCommitActivity(repo.full_name)
+        .then(weeks => { comparison.activity[repo.full_name] = weeks; })
+        .catch(error => {
+          comparison.activity[repo.full_name] = null;
+          throw error;
+        });
+      
+      return [...languages, activity].map(task => task.finally(() => {
+        if (isCurrent()) this.renderRepoComparison();
+      }));
+    });
+    
+    const results = await Promise.allSettled(tasks);
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => window.Utils.logError(result.reason, 'Repository comparison'));
+  },
+
+  /**
+   * Collect the compared values for one repository
+   * @param {Object} repo - Repository data
+   * @param {Object} comparison - Comparison state
+   * @returns {Object} Comparison metrics
+   */
+  getRepoComparisonMetrics(repo, comparison) {
+    const languageBytes = comparison.languages[repo.full_name];
+    const totalBytes = languageBytes
+      ? Object.values(languageBytes).reduce((sum, bytes) => sum + bytes, 0)
+      : 0;
+    
+    // Fall back to the primary language until the breakdown has loaded
+    const languages = totalBytes > 0
+      ? Object.entries(languageBytes)
+          .sort(([, a], [, b]) => b - a)
+          .map(([name, bytes]) => ({ name, percentage: Number(((bytes / totalBytes) * 100).toFixed(1)) }))
+      : (repo.language ? [{ name: repo.language, percentage: null }] : []);
+    
+    const weeklyCommits = comparison.activity[repo.full_name];
+    
+    return {
+      name: repo.full_name,
+      url: repo.html_url,
+      stars: repo.stargazers_count || 0,
+      forks: repo.forks_count || 0,
+      openIssues: repo.open_issues_count || 0,
+      sizeKB: repo.size || 0,
+      createdAt: repo.created_at,
+      pushedAt: repo.pushed_at || repo.updated_at,
+      languages,
+      topics: repo.topics || [],
+      license: repo.license?.spdx_id || repo.license?.name || null,
+      weeklyCommits, // undefined while loading, null when unavailable
+      commitsLastYear: Array.isArray(weeklyCommits)
+        ? weeklyCommits.reduce((sum, count) => sum + count, 0)
+        : null
+    };
+  },
+
+  /**
+   * Render the comparison table and radar chart
+   */
+  renderRepoComparison() {
+    const comparison = this.repoComparison;
+    const table = document.getElementById('repo-compare-table');
+    if (!comparison || !table) return;
+    
+    const utils = window.DevPulseUtils;
+    const metrics = comparison.repos.map(repo => this.getRepoComparisonMetrics(repo, comparison));
+    
+    const rows = [
+      ['Stars', m => utils.formatNumber(m.stars)],
+      ['Forks', m => utils.formatNumber(m.forks)],
+      ['Open issues', m => utils.formatNumber(m.openIssues)],
+      ['Size', m => utils.formatBytes(m.sizeKB * 1024)],
+      ['Age', m => m.createdAt
+        ? `<span title="Created ${utils.formatDate(m.createdAt)}">${utils.formatRelativeTime(m.createdAt).replace(' ago', '')}</span>`
+        : '—'],
+      ['Last push', m => m.pushedAt ? utils.formatRelativeTime(m.pushedAt) : '—'],
+      ['Languages', m => m.languages.length > 0
+        ? m.languages.slice(0, 3)
+            .map(lang => `${utils.escapeHtml(lang.name)}${lang.percentage !== null ? ` <span class="repo-compare-muted">${lang.percentage}%</span>` : ''}`)
+            .join('<br>')
+        : '—'],
+      ['Topics', m => m.topics.length > 0
+        ? `<div class="repo-compare-topics">${m.topics.map(topic => `<span class="repo-compare-topic">${utils.escapeHtml(topic)}</span>`).join('')}</div>`
+        : '—'],
+      ['License', m => m.license ? utils.escapeHtml(m.license) : '—'],
+      ['Commits (52 weeks)', (m, index) => {
+        if (m.weeklyCommits === undefined) return '<span class="repo-compare-muted">Loading…</span>';
+        if (m.weeklyCommits === null) return '<span class="repo-compare-muted">Unavailable</span>';
+        return `
+          ${window.DevPulseCharts.generateSparklineSVG(m.weeklyCommits, { color: comparison.colors[index] })}
+          <div>${utils.formatNumber(m.commitsLastYear)}</div>
+        `;
+      }]
+    ];
+    
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th scope="col"></th>
+          ${metrics.map((m, index) => `
+            <th scope="col" style="--compare-color: ${comparison.colors[index]}">
+              <a href="${m.url}" target="_blank" rel="noopener noreferrer">${utils.escapeHtml(m.name)}</a>
+            </th>
+          `).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(([label, format]) => `
+          <tr>
+            <th scope="row">${label}</th>
+            ${metrics.map((m, index) => `<td>${format(m, index)}</td>`).join('')}
+          </tr>
+        `).join('')}
+      </tbody>
+    `;
+    
+    this.renderRepoComparisonRadar(metrics, comparison.colors);
+  },
+
+  /**
+   * Render the radar chart with each axis scaled 0-10 against the best compared repository
+   * @param {Array} metrics - Metrics from getRepoComparisonMetrics
+   * @param {Array<string>} colors - Series colors
+   */
+  renderRepoComparisonRadar(metrics, colors) {
+    const now = Date.now();
+    const axes = [
+      ['Stars', m => m.stars],
+      ['Forks', m => m.forks],
+      ['Issues', m => m.openIssues],
+      ['Size', m => m.sizeKB],
+      ['Commits', m => m.commitsLastYear || 0]
+    ];
+    
+    const maxima = axes.map(([, value]) => Math.max(...metrics.map(value), 0));
+    const scale = (value, max) => max > 0 ? (value / max) * 10 : 0;
+    
+    // Recency is absolute: 10 for a push today, 0 after a year without pushes
+    const recency = (m) => {
+      if (!m.pushedAt) return 0;
+      const days = (now - new Date(m.pushedAt).getTime()) / (1000 * 60 * 60 * 24);
+      return Math.max(0, 10 - days / 36.5);
+    };
+    
+    window.DevPulseCharts.createRadarChart('repo-compare-radar', {
+      labels: [...axes.map(([label]) => label), 'Recency'],
+      series: metrics.map((m, index) => ({
+        label: m.name,
+        color: colors[index],
+        values: [...axes.map(([, value], axis) => scale(value(m), maxima[axis])), recency(m)]
+      })),
+      max: 10,
+      formatValue: (value) => `${value}/10`
+    });
+  },
+
+  /**
+   * Download the comparison table
+   * @param {string} format - 'csv' or 'json'
+   */
+  exportRepoComparison(format) {
+    const comparison = this.repoComparison;
+    if (!comparison) return;
+    
+    const utils = window.DevPulseUtils;
+    const metrics = comparison.repos.map(repo => this.getRepoComparisonMetrics(repo, comparison));
+    
+    if (format === 'json') {
+      const data = {
+        exportedAt: new Date().toISOString(),
+        repositories: metrics.map(({ weeklyCommits, ...m }) => ({ ...m, weeklyCommits: weeklyCommits || null }))
+      };
+      utils.downloadFile(
+        JSON.stringify(data, null, 2),
+        utils.getExportFilename('devpulse-repo-comparison', 'json'),
+        'application/json'
+      );
+      return;
+    }
+    
+    const rows = [
+      ['Repository', 'Stars', 'Forks', 'Open issues', 'Size (KB)', 'Created', 'Last push', 'Languages', 'Topics', 'License', 'Commits (52 weeks)'],
+      ...metrics.map(m => [
+        m.name,
+        m.stars,
+        m.forks,
+        m.openIssues,
+        m.sizeKB,
+        m.createdAt,
+        m.pushedAt,
+        m.languages.map(lang => lang.percentage !== null ? `${lang.name} ${lang.percentage}%` : lang.name).join('; '),
+        m.topics.join('; '),
+        m.license,
+        m.commitsLastYear
+      ])
+    ];
+    
+    utils.downloadFile(
+      utils.toCSV(rows),
+      utils.getExportFilename('devpulse-repo-comparison', 'csv'),
+      'text/csv'
+    );
+  },
+
   // ================================
   // DASHBOARD RENDERING
   // ================================
@@ -409,7 +1503,9 @@ window.DevPulse = {
       throw new Error('No user data available to render');
     }
 
-    const { profile, repositories, events, languageStats, contributionData } = this.currentUserData;
+    const { profile, repositories, events, languageStats, contributionData, contributionSummary, partialData } = this.currentUserData;
+    
+    this.setViewMode('user');
     
     try {
       console.log('🎨 Rendering dashboard...');
@@ -442,7 +1538,8 @@ window.DevPulse = {
       // Render repositories
       try {
         console.log('📁 Starting repositories render...');
-        this.renderRepositories(repositories);
+        this.applyRepoFilterParams();
+        this.renderRepositories(repositories, this.applyRepoSortParam());
         console.log('✅ Repositories section rendered successfully');
       } catch (error) {
         console.error('❌ Repositories rendering failed:', error);
@@ -451,7 +1548,7 @@ window.DevPulse = {
       // Render charts
       try {
         console.log('📈 Starting charts render...');
-        await this.renderCharts(languageStats, events, repositories, contributionData);
+        await this.renderCharts(languageStats, events, repositories, contributionData, contributionSummary);
         console.log('✅ Charts rendered successfully');
       } catch (error) {
         console.error('❌ Charts rendering failed:', error);
@@ -475,6 +1572,12 @@ window.DevPulse = {
         console.error('❌ Activity statistics update failed:', error);
       }
       
+      // Warn when pagination stopped at the page cap
+      this.renderPartialDataNotice(partialData, profile, repositories, events);
+      
+      // Arrange sections in the saved layout
+      window.DevPulseLayout?.apply();
+      
       // Show dashboard
       console.log('🎬 Showing dashboard...');
       window.DevPulseUI.showDashboard();
@@ -487,6 +1590,7 @@ window.DevPulse = {
           this.setupActivitySearch();
           this.setupActivityExport();
           this.setupKeyboardShortcuts();
+          this.applyActivityRouteParams();
           console.log('✅ Enhanced activity features setup complete');
         } catch (error) {
           console.error('❌ Activity features setup failed:', error);
@@ -499,6 +1603,11 @@ window.DevPulse = {
           console.log('🤖 Generating AI-powered insights...');
           const insights = await window.DevPulseAI.generateInsights(this.currentUserData);
           window.DevPulseAIUI.renderAIInsights(insights, this.currentUsername);
+          window.DevPulseAIUI.setCollapsed(this.isAICollapsedInRoute(this.routeParams));
+          this.recordSnapshot(insights);
+          if (this.routeParams.tab === 'ai') {
+            this.scrollToRouteTab('ai');
+          }
           console.log('✅ AI insights rendered successfully');
         } catch (error) {
           console.error('❌ AI insights generation failed:', error);
@@ -541,6 +1650,7 @@ window.DevPulse = {
 
     const joinDate = new Date(profile.created_at);
     const memberSince = window.Utils.formatRelativeTime(joinDate);
+    const isOrganization = profile.type === 'Organization';
     
     profileSection.innerHTML = `
       <div class="profile-avatar">
@@ -570,15 +1680,17 @@ window.DevPulse = {
               <span>${window.Utils.escapeHtml(profile.company)}</span>
             </div>
           ` : ''}
-          <div class="profile-detail">
-            <svg class="detail-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor">
-              <path d="M8 2v4"/>
-              <path d="M16 2v4"/>
-              <rect x="3" y="4" width="18" height="18" rx="2"/>
-              <path d="M3 10h18"/>
-            </svg>
-            <span>Joined ${memberSince}</span>
-          </div>
+          ${profile.created_at ? `
+            <div class="profile-detail">
+              <svg class="detail-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                <path d="M8 2v4"/>
+                <path d="M16 2v4"/>
+                <rect x="3" y="4" width="18" height="18" rx="2"/>
+                <path d="M3 10h18"/>
+              </svg>
+              <span>${isOrganization ? 'Created' : 'Joined'} ${memberSince}</span>
+            </div>
+          ` : ''}
         </div>
         ${profile.blog ? `
           <a href="${profile.blog.startsWith('http') ? profile.blog : 'https://' + profile.blog}" 
@@ -597,8 +1709,8 @@ window.DevPulse = {
           <span class="stat-label">Followers</span>
         </div>
         <div class="profile-stat">
-          <span class="stat-value" data-animate-number="${profile.following}">${window.Utils.formatNumber(profile.following)}</span>
-          <span class="stat-label">Following</span>
+          <span class="stat-value" data-animate-number="${isOrganization ? profile.members : profile.following}">${window.Utils.formatNumber(isOrganization ? profile.members : profile.following)}</span>
+          <span class="stat-label">${isOrganization ? 'Members' : 'Following'}</span>
         </div>
         <div class="profile-stat">
           <span class="stat-value" data-animate-number="${profile.public_repos}">${window.Utils.formatNumber(profile.public_repos)}</span>
@@ -606,10 +1718,83 @@ window.DevPulse = {
         </div>
       </div>
     `;
-
-    console.log('✅ Profile section rendered successfully');
-    // Animate numbers
-    this.animateStatNumbers();
+
+    console.log('✅ Profile section rendered successfully');
+    // Animate numbers
+    this.animateStatNumbers();
+  },
+
+  /**
+   * Show or clear the notice shown when pagination hit the configured page cap
+   * @param {Object|null} partialData - Truncation flags per resource
+   * @param {Object} profile - User profile
+   * @param {Array} repositories - Loaded repositories
+   * @param {Array} events - Loaded events
+   */
+  renderPartialDataNotice(partialData, profile, repositories = [], events = []) {
+    const existing = document.getElementById('partial-data-notice');
+    if (existing) existing.remove();
+    
+    if (!partialData || (!partialData.repositories && !partialData.events)) return;
+    
+    const dashboard = document.getElementById('dashboard');
+    if (!dashboard) return;
+    
+    const details = [];
+    const settings = [];
+    if (partialData.repositories) {
+      const total = profile?.public_repos;
+      details.push(total
+        ? `${window.Utils.formatNumber(repositories.length)} of ${window.Utils.formatNumber(total)} repositories`
+        : `the first ${window.Utils.formatNumber(repositories.length)} repositories`);
+      settings.push('<code>github.pagination.maxPages</code>');
+    }
+    if (partialData.events) {
+      details.push(`the latest ${window.Utils.formatNumber(events.length)} events`);
+      settings.push('<code>github.pagination.maxEventPages</code>');
+    }
+    
+    const notice = document.createElement('div');
+    notice.id = 'partial-data-notice';
+    notice.className = 'partial-data-notice';
+    notice.setAttribute('role', 'status');
+    notice.innerHTML = `
+      <strong>Partial data.</strong>
+      Stats are based on ${details.join(' and ')} because the page limit was reached.
+      Raise ${settings.join(' and ')} in config.js to load more.
+    `;
+    
+    dashboard.insertBefore(notice, dashboard.firstChild);
+    window.DevPulseUI.showToast('Page limit reached: showing partial data', 'warning');
+  },
+
+  /**
+   * Show a banner when the dashboard was built from cached responses because the network was unreachable
+   */
+  renderOfflineNotice() {
+    const existing = document.getElementById('offline-data-notice');
+    if (existing) existing.remove();
+    
+    const cachedAt = window.DevPulseAPI.offlineDataTimestamp;
+    if (!cachedAt) return;
+    
+    const dashboard = document.getElementById('dashboard');
+    if (!dashboard) return;
+    
+    const date = window.Utils.formatDate(cachedAt, { hour: 'numeric', minute: '2-digit' });
+    
+    const notice = document.createElement('div');
+    notice.id = 'offline-data-notice';
+    notice.className = 'partial-data-notice offline-data-notice';
+    notice.setAttribute('role', 'status');
+    notice.innerHTML = `
+      <span><strong>Offline.</strong> Viewing cached data from ${date}.</span>
+      <button type="button" class="offline-refresh-btn"${window.DevPulseAPI.isOffline() ? ' hidden' : ''}>Refresh</button>
+    `;
+    notice.querySelector('.offline-refresh-btn').addEventListener('click', () => this.reloadDashboard());
+    
+    dashboard.insertBefore(notice, dashboard.firstChild);
+    window.DevPulseUI.showToast(`Offline: showing cached data from ${date}`, 'warning');
   },
 
   /**
@@ -633,6 +1818,7 @@ window.DevPulse = {
     const totalForks = repositories.reduce((sum, repo) => sum + repo.forks_count, 0);
     const publicRepos = repositories.filter(repo => !repo.fork).length;
     const forkedRepos = repositories.filter(repo => repo.fork).length;
+    const isOrganization = profile.type === 'Organization';
 
     console.log('Calculated stats:', { totalStars, totalForks, publicRepos, forkedRepos });
 
@@ -642,6 +1828,7 @@ window.DevPulse = {
           <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
         </svg>`,
         label: 'Total Stars',
+        metric: 'stars',
         value: window.Utils.formatNumber(totalStars),
         change: this.calculateStarsGrowth(repositories),
         changeType: 'positive'
@@ -659,6 +1846,7 @@ window.DevPulse = {
           <path d="M15.54 8.46l4.24-4.24"/>
         </svg>`,
         label: 'Total Forks',
+        metric: 'forks',
         value: window.Utils.formatNumber(totalForks),
         change: this.calculateForksGrowth(repositories),
         changeType: 'positive'
@@ -668,6 +1856,7 @@ window.DevPulse = {
           <path d="M9 19c-5 1.5-5-2.5-7-3m14 6v-3.87a3.37 3.37 0 0 0-.94-2.61c3.14-.35 6.44-1.54 6.44-7A5.44 5.44 0 0 0 20 4.77 5.07 5.07 0 0 0 19.91 1S18.73.65 16 2.48a13.38 13.38 0 0 0-7 0C6.27.65 5.09 1 5.09 1A5.07 5.07 0 0 0 5 4.77a5.44 5.44 0 0 0-1.5 3.78c0 5.42 3.3 6.61 6.44 7A3.37 3.37 0 0 0 9 18.13V22"/>
         </svg>`,
         label: 'Public Repos',
+        metric: 'publicRepos',
         value: window.Utils.formatNumber(publicRepos),
         change: `${forkedRepos} forked`,
         changeType: 'neutral'
@@ -679,13 +1868,21 @@ window.DevPulse = {
           <path d="M22 21v-2a4 4 0 0 0-3-3.87"/>
           <path d="M16 3.13a4 4 0 0 1 0 7.75"/>
         </svg>`,
-        label: 'Followers',
-        value: window.Utils.formatNumber(profile.followers),
-        change: `${window.Utils.formatNumber(profile.following)} following`,
+        label: isOrganization ? 'Public Members' : 'Followers',
+        metric: isOrganization ? null : 'followers',
+        value: window.Utils.formatNumber(isOrganization ? profile.members : profile.followers),
+        change: isOrganization
+          ? `${window.Utils.formatNumber(profile.followers)} followers`
+          : `${window.Utils.formatNumber(profile.following)} following`,
         changeType: 'neutral'
       }
     ];
 
+    // Organizations have no snapshots
+    const sinceLastVisit = !isOrganization && this.lastVisitSnapshot
+      ? window.DevPulseSnapshots.getDeltas(window.DevPulseSnapshots.getMetrics({ profile, repositories }), this.lastVisitSnapshot.metrics)
+      : null;
+
     statsGrid.innerHTML = stats.map((stat, index) => `
       <div class="stats-card animate-on-scroll" data-delay="${index * 100}">
         <div class="stats-icon ${stat.changeType}">
@@ -695,6 +1892,7 @@ window.DevPulse = {
           <div class="stats-value" data-animate-number="${stat.value.replace(/[^0-9]/g, '')}">${stat.value}</div>
           <div class="stats-label">${stat.label}</div>
           <div class="stats-change ${stat.changeType}">${stat.change}</div>
+          ${sinceLastVisit && stat.metric ? this.renderSinceLastVisitBadge(sinceLastVisit[stat.metric]) : ''}
         </div>
       </div>
     `).join('');
@@ -718,14 +1916,42 @@ window.DevPulse = {
       return;
     }
 
-    // Sort repositories
-    const sortedRepos = this.sortRepositories(repositories, sortBy);
-    const displayRepos = sortedRepos.slice(0, this.config.get('ui.maxRepositories', 12));
+    // Filter, sort and page repositories
+    const filters = this.repoFilters || this.getDefaultRepoFilters();
+    const sortedRepos = this.sortRepositories(repositories.filter(repo => this.matchesRepoFilters(repo, filters)), sortBy);
+    const perPage = Math.max(1, this.config.get('display.sections.repositories.itemsPerPage', 9));
+    const pageCount = Math.max(1, Math.ceil(sortedRepos.length / perPage));
+    this.repoPage = Math.min(Math.max(1, this.repoPage), pageCount);
+    const firstIndex = (this.repoPage - 1) * perPage;
+    const displayRepos = sortedRepos.slice(firstIndex, firstIndex + perPage);
 
     console.log('Displaying repositories:', displayRepos.length);
+    
+    this.renderRepoFilters(repositories);
+    this.renderRepoPagination(pageCount);
+    
+    const summary = document.getElementById('repo-filter-summary');
+    if (summary) {
+      const range = sortedRepos.length > displayRepos.length
+        ? `${firstIndex + 1}–${firstIndex + displayRepos.length} of `
+        : '';
+      summary.textContent = this.hasActiveRepoFilters()
+        ? `Showing ${range}${sortedRepos.length} matching repositories (of ${repositories.length})`
+        : `Showing ${range}${repositories.length} repositories`;
+    }
+    
+    if (displayRepos.length === 0) {
+      repositoriesGrid.innerHTML = `<p class="repo-filter-empty">${repositories.length === 0 ? 'No public repositories yet.' : 'No repositories match these filters.'}</p>`;
+    }
+
+    // Keep the comparison selection for repositories that are still loaded
+    this.selectedRepos = this.selectedRepos.filter(name => repositories.some(repo => repo.full_name === name));
+    this.updateComparisonUI(this.selectedRepos);
+
+    if (displayRepos.length === 0) return;
 
     repositoriesGrid.innerHTML = displayRepos.map((repo, index) => `
-      <div class="repository-card animate-on-scroll" data-delay="${index * 50}">
+      <div class="repository-card animate-on-scroll${this.selectedRepos.includes(repo.full_name) ? ' selected-for-comparison' : ''}" data-delay="${index * 50}" data-repo="${repo.full_name}">
         <div class="repo-header">
           <h3 class="repo-name">
             <a href="${repo.html_url}" target="_blank" rel="noopener noreferrer">
@@ -784,17 +2010,18 @@ window.DevPulse = {
    * @param {Array} events - User events
    * @param {Array} repositories - Repositories
    * @param {Array} contributionData - Contribution data
+   * @param {Object} contributionSummary - Contribution totals and streaks
    */
-  async renderCharts(languageStats, events, repositories, contributionData) {
+  async renderCharts(languageStats, events, repositories, contributionData, contributionSummary = null) {
     if (!window.DevPulseCharts.isChartJsAvailable()) {
       console.warn('Chart.js not available, skipping chart rendering');
       return;
     }
 
     try {
-      // Language statistics chart
+      // Language statistics chart (repo count or bytes, depending on the toggle)
       if (languageStats && languageStats.length > 0) {
-        window.DevPulseCharts.createLanguageChart('language-chart', languageStats);
+        this.renderLanguageChart();
       }
 
       // Activity timeline chart
@@ -809,7 +2036,12 @@ window.DevPulse = {
 
       // Contribution calendar
       if (contributionData && contributionData.length > 0) {
-        window.DevPulseCharts.createContributionCalendar('contribution-calendar', contributionData);
+        window.DevPulseCharts.createContributionCalendar(
+          'contribution-calendar',
+          contributionData,
+          new Date().getFullYear(),
+          contributionSummary
+        );
       }
 
     } catch (error) {
@@ -817,11 +2049,145 @@ window.DevPulse = {
     }
   },
 
+  /**
+   * Start loading byte-level languages when the chart is in bytes mode and they are not loaded yet
+   */
+  ensureLanguageBytes() {
+    const username = this.currentUsername;
+    if (this.languageMode !== 'bytes' || !this.currentUserData) return;
+    if (this.currentUserData.languageBytes?.complete || this.languageBytesLoading === username) return;
+    
+    this.loadLanguageBytes(username, this.currentUserData.repositories);
+  },
+
+  /**
+   * Load byte-level language breakdowns in the background and refresh the chart as they arrive
+   * @param {string} username - Username the data belongs to
+   * @param {Array} repositories - User repositories
+   */
+  async loadLanguageBytes(username, repositories) {
+    this.languageBytesLoading = username;
+    const limit = window.DevPulseAPI.hasAuthToken()
+      ? this.config.get('display.sections.charts.languageBytesRepoLimit', 30)
+      : this.config.get('display.sections.charts.languageBytesRepoLimitAnonymous', 10);
+    
+    const isCurrent = () => this.currentUsername === username && this.currentUserData;
+    
+    try {
+      const result = await window.DevPulseAPI.getRepositoryLanguages(repositories, {
+        limit,
+        onProgress: ({ completed, total, languages }) => {
+          if (!isCurrent()) return;
+          
+          this.currentUserData.languageBytes = { languages, completed, total, complete: false };
+          if (this.languageMode === 'bytes') {
+            this.renderLanguageChart();
+          }
+        }
+      });
+      
+      if (!isCurrent()) return;
+      
+      this.currentUserData.languageBytes = {
+        languages: result.languages,
+        completed: result.sampled,
+        total: result.sampled,
+        repositoryCount: result.total,
+        complete: true
+      };
+      this.currentUserData.repositoryLanguages = result.byRepository;
+      this.renderLanguageChart();
+      
+      console.log(`✅ Byte-level languages loaded for ${result.sampled} repositories`);
+    } catch (error) {
+      console.warn('⚠️ Failed to load byte-level languages:', error);
+    } finally {
+      if (this.languageBytesLoading === username) {
+        this.languageBytesLoading = null;
+      }
+    }
+  },
+
+  /**
+   * Render the language chart for the current weighting mode
+   */
+  renderLanguageChart() {
+    if (!this.currentUserData || !window.DevPulseCharts.isChartJsAvailable()) return;
+    
+    const { languageStats, languageBytes } = this.currentUserData;
+    const status = document.getElementById('language-chart-status');
+    const hasBytes = languageBytes?.languages?.length > 0;
+    
+    if (this.languageMode === 'bytes' && hasBytes) {
+      window.DevPulseCharts.createLanguageChart('language-chart', languageBytes.languages, { unit: 'bytes' });
+    } else if (languageStats?.length > 0) {
+      window.DevPulseCharts.createLanguageChart('language-chart', languageStats, { unit: 'repos' });
+    }
+    
+    if (!status) return;
+    
+    if (this.languageMode !== 'bytes') {
+      status.textContent = 'Repositories by primary language';
+    } else if (!languageBytes || !languageBytes.complete) {
+      const done = languageBytes ? ` (${languageBytes.completed}/${languageBytes.total} repositories)` : '';
+      status.textContent = `Loading bytes of code${done}...`;
+    } else if (!hasBytes) {
+      status.textContent = 'Byte counts unavailable, showing repositories by primary language';
+    } else {
+      const sampled = languageBytes.repositoryCount > languageBytes.total
+        ? `the ${languageBytes.total} largest of ${languageBytes.repositoryCount} repositories`
+        : `${languageBytes.total} repositories`;
+      status.textContent = `Bytes of code across ${sampled}`;
+    }
+  },
+
+  /**
+   * Initialize the "by repos" / "by bytes" language chart toggle
+   */
+  initLanguageModeToggle() {
+    const savedMode = window.Utils.getStorage('devpulse-language-mode');
+    this.languageMode = savedMode || this.config.get('display.sections.charts.languageMode', 'repos');
+    
+    document.querySelectorAll('.language-mode-btn').forEach(button => {
+      button.addEventListener('click', () => this.setLanguageMode(button.dataset.languageMode));
+    });
+    
+    this.updateLanguageModeButtons();
+  },
+
+  /**
+   * Switch the language chart weighting
+   * @param {string} mode - 'repos' or 'bytes'
+   */
+  setLanguageMode(mode) {
+    if (mode !== 'repos' && mode !== 'bytes') return;
+    
+    this.languageMode = mode;
+    window.Utils.setStorage('devpulse-language-mode', mode);
+    this.updateLanguageModeButtons();
+    this.renderLanguageChart();
+    this.ensureLanguageBytes();
+  },
+
+  /**
+   * Sync toggle button state with the current language mode
+   */
+  updateLanguageModeButtons() {
+    document.querySelectorAll('.language-mode-btn').forEach(button => {
+      const isActive = button.dataset.languageMode === this.languageMode;
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-pressed', String(isActive));
+    });
+  },
+
   /**
    * Render activity timeline
    * @param {Array} events - User events
+   * @param {Object} options - Render options
+   * @param {number} options.limit - Maximum events to show
+   * @param {Array<string>} options.terms - Search terms to highlight
    */
-  renderActivityTimeline(events) {
+  renderActivityTimeline(events, { limit = 10, terms = [] } = {}) {
     console.log('🕒 Rendering activity timeline...');
     const timelineContainer = document.getElementById('activity-timeline');
     console.log('Timeline container:', timelineContainer);
@@ -838,6 +2204,23 @@ window.DevPulse = {
     timelineContainer.style.visibility = 'visible';
     timelineContainer.style.opacity = '1';
     
+    if (terms.length > 0 && (!events || events.length === 0)) {
+      timelineContainer.innerHTML = `
+        <div class="timeline-header">
+          <h3>No matching activity</h3>
+        </div>
+        <div class="timeline-content">
+          <div class="timeline-empty">
+            <div class="empty-state">
+              <h4>No activity matches "${window.Utils.escapeHtml(terms.join(' '))}"</h4>
+              <p class="hint">Search covers event titles, commit messages, repository names and pull request or issue titles.</p>
+            </div>
+          </div>
+        </div>
+      `;
+      return;
+    }
+    
     if (!events || events.length === 0) {
       console.log('📭 No events available for timeline - showing empty state');
       timelineContainer.innerHTML = `
@@ -866,8 +2249,8 @@ window.DevPulse = {
       return;
     }
 
-    // Get recent events (last 10)
-    const recentEvents = events.slice(0, 10);
+    // Get recent events (last 10 unless searching)
+    const recentEvents = events.slice(0, limit);
     console.log('Displaying events:', recentEvents.length);
     console.log('Sample event:', recentEvents[0]);
 
@@ -884,8 +2267,9 @@ window.DevPulse = {
                   ${this.getEventIcon(event.type)}
                 </div>
                 <div class="timeline-info">
-                  <div class="timeline-title">${this.getEventTitle(event)}</div>
-                  <div class="timeline-description">${this.getEventDescription(event)}</div>
+                  <div class="timeline-title">${window.Utils.escapeHtml(this.getEventTitle(event))}</div>
+                  <div class="timeline-description">${window.Utils.escapeHtml(this.getEventDescription(event))}</div>
+                  ${this.renderActivityCommitMatch(event, terms)}
                   <div class="timeline-time">${window.Utils.formatRelativeTime(new Date(event.created_at))}</div>
                 </div>
               </div>
@@ -907,6 +2291,10 @@ window.DevPulse = {
       </div>
     `;
     
+    if (terms.length > 0) {
+      this.highlightActivityMatches(timelineContainer, terms);
+    }
+    
     console.log('✅ Activity timeline rendered successfully with', recentEvents.length, 'events');
   },
 
@@ -1021,6 +2409,7 @@ window.DevPulse = {
     const periodSelect = document.getElementById('activity-period');
     this.currentFilter = 'all';
     this.currentPeriod = 30;
+    this.periodFiltered = false; // The timeline ignores the period until it is changed
     this.allEvents = []; // Store all events for filtering
     
     // Store original events data
@@ -1053,6 +2442,7 @@ window.DevPulse = {
         
         // Add visual feedback
         this.showFilterFeedback(filterType);
+        this.syncRoute('activity');
       });
     });
     
@@ -1061,8 +2451,10 @@ window.DevPulse = {
       periodSelect.addEventListener('change', (e) => {
         const days = parseInt(e.target.value);
         this.currentPeriod = days;
+        this.periodFiltered = true;
         this.filterActivityByPeriodEnhanced(days);
         this.updateFilteredStatistics(this.currentFilter, days);
+        this.syncRoute('activity');
       });
     }
     
@@ -1231,9 +2623,12 @@ window.DevPulse = {
                     filterType === 'prs' ? 'Pull Requests' : 'Activity';
     
     let periodText = days ? ` (Last ${days} days)` : '';
+    let searchText = this.activitySearchQuery
+      ? ` matching "${window.Utils.escapeHtml(this.activitySearchQuery)}"`
+      : '';
     
     headerElement.innerHTML = `
-      ${filterText}${periodText} 
+      ${filterText}${periodText}${searchText} 
       <span class="activity-count">${visibleCount} events</span>
     `;
   },
@@ -1427,6 +2822,15 @@ window.DevPulse = {
     // Reset internal state
     this.currentFilter = 'all';
     this.currentPeriod = 30;
+    this.periodFiltered = false;
+    
+    // Clear the search and re-render the full timeline
+    const searchInput = document.getElementById('activity-search');
+    if (searchInput && this.activitySearchQuery) {
+      searchInput.value = '';
+      document.getElementById('clear-search').style.display = 'none';
+      this.searchActivityTimeline('');
+    }
     
     // Show all events
     this.filterActivityTimelineEnhanced('all');
@@ -1434,6 +2838,7 @@ window.DevPulse = {
     
     // Show reset feedback
     this.showFilterFeedback('all');
+    this.syncRoute('activity');
   },
 
   /**
@@ -1461,8 +2866,14 @@ window.DevPulse = {
     const activityControls = document.querySelector('.activity-controls');
     if (!activityControls) return;
     
-    // Check if search already exists
-    if (document.getElementById('activity-search')) return;
+    // Check if search already exists; a new dashboard starts with an empty query
+    const existingSearch = document.getElementById('activity-search');
+    if (existingSearch) {
+      existingSearch.value = '';
+      document.getElementById('clear-search').style.display = 'none';
+      this.activitySearchQuery = '';
+      return;
+    }
     
     const searchContainer = document.createElement('div');
     searchContainer.className = 'activity-search-container';
@@ -1534,10 +2945,15 @@ window.DevPulse = {
     
     // Add export button to activity header
     const sectionHeader = activitySection.querySelector('.section-header');
-    if (!sectionHeader) return;
+    if (!sectionHeader || sectionHeader.querySelector('.export-activity-btn')) return;
+    
+    const exportContainer = document.createElement('div');
+    exportContainer.className = 'export-activity-container';
     
     const exportBtn = document.createElement('button');
     exportBtn.className = 'export-activity-btn';
+    exportBtn.setAttribute('aria-haspopup', 'true');
+    exportBtn.setAttribute('aria-expanded', 'false');
     exportBtn.innerHTML = `
       <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
         <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
@@ -1546,19 +2962,46 @@ window.DevPulse = {
       </svg>
       Export
     `;
-    exportBtn.title = 'Export activity data';
+    exportBtn.title = 'Export activity data (Alt+E)';
     
-    sectionHeader.appendChild(exportBtn);
+    const exportMenu = document.createElement('div');
+    exportMenu.className = 'export-menu export-activity-menu';
+    exportMenu.setAttribute('role', 'menu');
+    exportMenu.hidden = true;
+    exportMenu.innerHTML = `
+      <button type="button" role="menuitem" data-format="csv">CSV</button>
+      <button type="button" role="menuitem" data-format="json">JSON</button>
+      <button type="button" role="menuitem" data-format="ics">iCalendar</button>
+    `;
+    
+    exportContainer.append(exportBtn, exportMenu);
+    sectionHeader.appendChild(exportContainer);
     
     exportBtn.addEventListener('click', () => {
       this.exportActivityData();
     });
+    
+    exportMenu.addEventListener('click', (e) => {
+      const format = e.target.closest('[data-format]')?.dataset.format;
+      if (format) this.exportActivityData(format);
+    });
+    
+    // Close the menu when clicking elsewhere
+    document.addEventListener('click', (e) => {
+      if (!exportContainer.contains(e.target)) {
+        this.toggleActivityExportMenu(false);
+      }
+    });
   },
 
   /**
    * Setup keyboard shortcuts for activity filters
    */
   setupKeyboardShortcuts() {
+    // Called on every dashboard render; bind once
+    if (this.activityShortcutsBound) return;
+    this.activityShortcutsBound = true;
+    
     document.addEventListener('keydown', (e) => {
       // Only activate shortcuts when not typing in an input
       if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
@@ -1609,10 +3052,577 @@ window.DevPulse = {
     });
   },
 
-  // ================================
-  // UTILITY METHODS
-  // ================================
-  
+  /**
+   * Activate an activity filter as if its button was clicked
+   * @param {string} filterType - Filter type (all, commits, repos, issues, prs)
+   */
+  activateFilter(filterType) {
+    const filter = document.querySelector(`.activity-filter[data-filter="${filterType}"]`);
+    if (filter) {
+      filter.click();
+    }
+  },
+
+  /**
+   * Split a search query into lower-cased terms
+   * @param {string} query - Search query
+   * @returns {Array<string>} Search terms
+   */
+  getActivitySearchTerms(query) {
+    return (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  },
+
+  /**
+   * Build the text an event is searched by
+   * @param {Object} event - GitHub event
+   * @returns {string} Lower-cased searchable text
+   */
+  getActivitySearchText(event) {
+    const payload = event.payload || {};
+    const commits = Array.isArray(payload.commits) ? payload.commits : [];
+    
+    return [
+      this.getEventTitle(event),
+      this.getEventDescription(event),
+      event.repo?.name,
+      ...commits.map(commit => commit.message),
+      payload.pull_request?.title,
+      payload.issue?.title,
+      payload.title,
+      payload.ref
+    ].filter(Boolean).join('\n').toLowerCase();
+  },
+
+  /**
+   * Search the activity timeline; every term must match
+   * @param {string} query - Search query
+   */
+  searchActivityTimeline(query) {
+    this.activitySearchQuery = (query || '').trim();
+    const terms = this.getActivitySearchTerms(this.activitySearchQuery);
+    const events = this.currentUserData?.events || [];
+    
+    if (terms.length === 0) {
+      this.renderActivityTimeline(events);
+    } else {
+      const matches = events.filter(event => {
+        const text = this.getActivitySearchText(event);
+        return terms.every(term => text.includes(term));
+      });
+      
+      this.renderActivityTimeline(matches, {
+        limit: this.config.get('display.sections.activity.searchResultsToShow', 50),
+        terms
+      });
+    }
+    
+    this.reapplyActivityFilters();
+  },
+
+  /**
+   * Show the first commit message matching the search when it is not the one in the description
+   * @param {Object} event - GitHub event
+   * @param {Array<string>} terms - Search terms
+   * @returns {string} HTML
+   */
+  renderActivityCommitMatch(event, terms) {
+    const commits = Array.isArray(event.payload?.commits) ? event.payload.commits : [];
+    if (terms.length === 0 || commits.length < 2) return '';
+    
+    const match = commits.slice(1).find(commit =>
+      terms.some(term => (commit.message || '').toLowerCase().includes(term))
+    );
+    if (!match) return '';
+    
+    const message = match.message.split('\n')[0];
+    return `<div class="timeline-description timeline-commit-match">↳ ${window.Utils.escapeHtml(message.substring(0, 80))}${message.length > 80 ? '...' : ''}</div>`;
+  },
+
+  /**
+   * Wrap search term matches in the rendered timeline with <mark>
+   * @param {Element} container - Timeline container
+   * @param {Array<string>} terms - Search terms
+   */
+  highlightActivityMatches(container, terms) {
+    const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+    
+    container.querySelectorAll('.timeline-title, .timeline-description').forEach(element => {
+      const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+      const textNodes = [];
+      while (walker.nextNode()) textNodes.push(walker.currentNode);
+      
+      textNodes.forEach(node => {
+        // split() with a capture group puts the matches at odd indexes
+        const parts = node.textContent.split(pattern);
+        if (parts.length < 2) return;
+        
+        const fragment = document.createDocumentFragment();
+        parts.forEach((part, index) => {
+          if (!part) return;
+          if (index % 2 === 1) {
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = part;
+            fragment.appendChild(mark);
+          } else {
+            fragment.appendChild(document.createTextNode(part));
+          }
+        });
+        node.parentNode.replaceChild(fragment, node);
+      });
+    });
+  },
+
+  /**
+   * Re-apply the type and period filters after the timeline is re-rendered
+   */
+  reapplyActivityFilters() {
+    if (this.periodFiltered) {
+      this.filterActivityByPeriodEnhanced(this.currentPeriod);
+    } else {
+      this.filterActivityTimelineEnhanced(this.currentFilter || 'all');
+    }
+  },
+
+  /**
+   * Get every loaded event matching the active type filter, period and search
+   * @returns {Array} Filtered events (newest first)
+   */
+  getFilteredActivityEvents() {
+    const eventTypes = {
+      commits: 'PushEvent',
+      repos: 'CreateEvent',
+      issues: 'IssuesEvent',
+      prs: 'PullRequestEvent'
+    };
+    const type = eventTypes[this.currentFilter];
+    const terms = this.getActivitySearchTerms(this.activitySearchQuery);
+    
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - this.currentPeriod);
+    
+    return (this.currentUserData?.events || []).filter(event => {
+      if (type && event.type !== type) return false;
+      if (this.periodFiltered && new Date(event.created_at) < cutoffDate) return false;
+      if (terms.length > 0) {
+        const text = this.getActivitySearchText(event);
+        if (!terms.every(term => text.includes(term))) return false;
+      }
+      return true;
+    });
+  },
+
+  /**
+   * Show or hide the export format menu
+   * @param {boolean} open - Whether to open the menu (toggles when omitted)
+   */
+  toggleActivityExportMenu(open) {
+    const menu = document.querySelector('.export-activity-menu');
+    const button = document.querySelector('.export-activity-btn');
+    if (!menu || !button) return;
+    
+    const shouldOpen = open ?? menu.hidden;
+    menu.hidden = !shouldOpen;
+    button.setAttribute('aria-expanded', String(shouldOpen));
+    
+    if (shouldOpen) {
+      menu.querySelector('button')?.focus();
+    }
+  },
+
+  /**
+   * Export the filtered activity as CSV, JSON or iCalendar
+   * @param {string} format - 'csv', 'json' or 'ics'; opens the format menu when omitted
+   */
+  exportActivityData(format) {
+    if (!format) {
+      this.toggleActivityExportMenu();
+      return;
+    }
+    
+    this.toggleActivityExportMenu(false);
+    
+    const events = this.getFilteredActivityEvents();
+    if (events.length === 0) {
+      window.DevPulseUI.showToast('No activity to export for the current filters', 'warning');
+      return;
+    }
+    
+    const utils = window.DevPulseUtils;
+    const prefix = `devpulse-${this.currentUsername}-activity`;
+    const rows = events.map(event => ({
+      id: event.id,
+      type: event.type,
+      created_at: event.created_at,
+      repository: event.repo?.name,
+      title: this.getEventTitle(event),
+      description: this.getEventDescription(event),
+      url: event.repo?.url
+    }));
+    
+    try {
+      switch (format) {
+        case 'csv':
+          utils.downloadFile(
+            utils.toCSV([
+              ['Date', 'Type', 'Repository', 'Title', 'Description', 'URL'],
+              ...rows.map(row => [row.created_at, row.type, row.repository, row.title, row.description, row.url])
+            ]),
+            utils.getExportFilename(prefix, 'csv'),
+            'text/csv'
+          );
+          break;
+          
+        case 'json':
+          utils.downloadFile(
+            JSON.stringify({
+              user: this.currentUsername,
+              exportedAt: new Date().toISOString(),
+              filters: {
+                type: this.currentFilter || 'all',
+                periodDays: this.periodFiltered ? this.currentPeriod : null,
+                query: this.activitySearchQuery || null
+              },
+              events: events.map((event, index) => ({ ...rows[index], payload: event.payload }))
+            }, null, 2),
+            utils.getExportFilename(prefix, 'json'),
+            'application/json'
+          );
+          break;
+          
+        case 'ics':
+          utils.downloadFile(
+            utils.toICalendar(rows.map(row => ({
+              uid: `${row.id}@devpulse`,
+              start: row.created_at,
+              summary: row.title,
+              description: row.description,
+              url: row.url
+            })), { name: `${this.currentUsername} activity` }),
+            utils.getExportFilename(prefix, 'ics'),
+            'text/calendar'
+          );
+          break;
+          
+        default:
+          throw new Error(`Unsupported export format: ${format}`);
+      }
+      
+      window.DevPulseUI.showToast(`Exported ${events.length} events`, 'success');
+    } catch (error) {
+      window.Utils.logError(error, 'exportActivityData', { format });
+      window.DevPulseUI.showToast('Export failed', 'error');
+    }
+  },
+
+  // ================================
+  // UTILITY METHODS
+  // ================================
+  
+  // ================================
+  // REPOSITORY FILTERS
+  // ================================
+
+  repoFacetKeys: ['language', 'topic', 'license', 'type', 'archived', 'pages'],
+
+  /**
+   * Filters that let every repository through
+   * @returns {Object} { q, language, topic, license, type, archived, pages, minStars }
+   */
+  getDefaultRepoFilters() {
+    return { q: '', language: '', topic: '', license: '', type: '', archived: '', pages: '', minStars: 0 };
+  },
+
+  /**
+   * Check whether any repository filter is set
+   * @returns {boolean} Whether the grid is filtered
+   */
+  hasActiveRepoFilters() {
+    const filters = this.repoFilters || this.getDefaultRepoFilters();
+    return Boolean(filters.q) || filters.minStars > 0 || this.repoFacetKeys.some(facet => filters[facet]);
+  },
+
+  /**
+   * Get the values a repository has for a facet
+   * @param {Object} repo - Repository
+   * @param {string} facet - One of repoFacetKeys
+   * @returns {Array<string>} Facet values (topics can have several, missing values none)
+   */
+  getRepoFacetValues(repo, facet) {
+    switch (facet) {
+      case 'language':
+        return repo.language ? [repo.language] : [];
+      case 'topic':
+        return repo.topics || [];
+      case 'license':
+        if (!repo.license) return ['none'];
+        // GitHub reports licenses it cannot identify as NOASSERTION
+        return [repo.license.spdx_id && repo.license.spdx_id !== 'NOASSERTION' ? repo.license.spdx_id : repo.license.name];
+      case 'type':
+        return [repo.fork ? 'fork' : 'source'];
+      case 'archived':
+        return [repo.archived ? 'archived' : 'active'];
+      case 'pages':
+        return repo.has_pages ? ['yes'] : [];
+      default:
+        return [];
+    }
+  },
+
+  /**
+   * Check a repository against the filters
+   * @param {Object} repo - Repository
+   * @param {Object} filters - Repository filters
+   * @param {string|null} ignoreFacet - Facet to leave out, for counting that facet's options
+   * @returns {boolean} Whether the repository matches
+   */
+  matchesRepoFilters(repo, filters, ignoreFacet = null) {
+    if ((repo.stargazers_count || 0) < filters.minStars) return false;
+
+    if (filters.q) {
+      const text = [repo.name, repo.description || '', ...(repo.topics || [])].join(' ').toLowerCase();
+      if (!text.includes(filters.q.toLowerCase())) return false;
+    }
+
+    return this.repoFacetKeys.every(facet =>
+      facet === ignoreFacet || !filters[facet] || this.getRepoFacetValues(repo, facet).includes(filters[facet])
+    );
+  },
+
+  /**
+   * Count the repositories behind every facet value, given the other active filters
+   * @param {Array} repositories - All repositories of the dashboard
+   * @param {Object} filters - Repository filters
+   * @returns {Object} { facet: { total, values: Map(value => count) } }
+   */
+  getRepoFacetCounts(repositories, filters) {
+    const counts = {};
+
+    this.repoFacetKeys.forEach(facet => {
+      const matching = repositories.filter(repo => this.matchesRepoFilters(repo, filters, facet));
+      const values = new Map();
+      matching.forEach(repo => {
+        this.getRepoFacetValues(repo, facet).forEach(value => values.set(value, (values.get(value) || 0) + 1));
+      });
+      counts[facet] = { total: matching.length, values };
+    });
+
+    return counts;
+  },
+
+  /**
+   * Star counts the minimum-star slider steps through, roughly logarithmic
+   * @param {number} maxStars - Most stars of any repository
+   * @returns {Array<number>} Thresholds, starting at 0
+   */
+  getStarThresholds(maxStars) {
+    const steps = [0, 1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 25000, 50000, 100000];
+    return steps.filter(step => step <= maxStars);
+  },
+
+  /**
+   * Fill the filter controls with live facet counts
+   * @param {Array} repositories - All repositories of the dashboard
+   */
+  renderRepoFilters(repositories) {
+    const container = document.getElementById('repo-filters');
+    if (!container) return;
+
+    const filters = this.repoFilters || this.getDefaultRepoFilters();
+    const counts = this.getRepoFacetCounts(repositories, filters);
+    const escape = window.Utils.escapeHtml;
+
+    const anyLabels = {
+      language: 'All languages',
+      topic: 'All topics',
+      license: 'All licenses',
+      type: 'Sources and forks',
+      archived: 'Active and archived'
+    };
+    const valueLabels = {
+      license: { none: 'No license' },
+      type: { source: 'Sources', fork: 'Forks' },
+      archived: { active: 'Active', archived: 'Archived' }
+    };
+
+    container.querySelectorAll('select[data-facet]').forEach(select => {
+      const facet = select.dataset.facet;
+      const { total, values } = counts[facet];
+      const options = [...values].sort(([a, countA], [b, countB]) => (countB - countA) || a.localeCompare(b));
+
+      // A value from the URL stays selectable even when nothing matches it
+      if (filters[facet] && !values.has(filters[facet])) {
+        options.unshift([filters[facet], 0]);
+      }
+
+      select.innerHTML = `<option value="">${anyLabels[facet]} (${total})</option>` + options.map(([value, count]) =>
+        `<option value="${escape(value)}">${escape(valueLabels[facet]?.[value] || value)} (${count})</option>`
+      ).join('');
+      select.value = filters[facet];
+      select.disabled = options.length === 0;
+    });
+
+    const pages = document.getElementById('repo-filter-pages');
+    const pagesLabel = document.getElementById('repo-filter-pages-label');
+    if (pages && pagesLabel) {
+      const pagesCount = counts.pages.values.get('yes') || 0;
+      pages.checked = filters.pages === 'yes';
+      pages.disabled = pagesCount === 0 && !pages.checked;
+      pagesLabel.textContent = `Has Pages (${pagesCount})`;
+    }
+
+    const slider = document.getElementById('repo-filter-stars');
+    const sliderValue = document.getElementById('repo-filter-stars-value');
+    if (slider && sliderValue) {
+      this.repoStarThresholds = this.getStarThresholds(Math.max(0, ...repositories.map(repo => repo.stargazers_count || 0)));
+      const index = this.repoStarThresholds.filter(step => step <= filters.minStars).length - 1;
+      const matching = repositories.filter(repo => this.matchesRepoFilters(repo, filters)).length;
+
+      slider.max = String(this.repoStarThresholds.length - 1);
+      slider.value = String(Math.max(0, index));
+      slider.disabled = this.repoStarThresholds.length < 2;
+      sliderValue.textContent = filters.minStars > 0
+        ? `≥ ${window.Utils.formatNumber(filters.minStars)} (${matching})`
+        : 'Any';
+    }
+
+    // Rewriting the box while someone types would move their cursor
+    const text = document.getElementById('repo-filter-text');
+    if (text && document.activeElement !== text) {
+      text.value = filters.q;
+    }
+
+    const clear = document.getElementById('repo-filter-clear');
+    if (clear) clear.hidden = !this.hasActiveRepoFilters();
+  },
+
+  /**
+   * Render the page links under the repository grid
+   * @param {number} pageCount - Number of pages
+   */
+  renderRepoPagination(pageCount) {
+    const nav = document.getElementById('repo-pagination');
+    if (!nav) return;
+
+    if (pageCount <= 1) {
+      nav.innerHTML = '';
+      return;
+    }
+
+    const current = this.repoPage;
+    // First, last and two either side of the current page; gaps become ellipses
+    const pages = [];
+    for (let page = 1; page <= pageCount; page++) {
+      if (page === 1 || page === pageCount || Math.abs(page - current) <= 2) {
+        if (pages.length > 0 && page - pages[pages.length - 1] > 1) pages.push(null);
+        pages.push(page);
+      }
+    }
+
+    nav.innerHTML = `
+      <button type="button" class="repo-page-btn" data-page="${current - 1}" ${current === 1 ? 'disabled' : ''} aria-label="Previous page">‹</button>
+      ${pages.map(page => page === null
+        ? '<span class="repo-page-gap" aria-hidden="true">…</span>'
+        : `<button type="button" class="repo-page-btn${page === current ? ' active' : ''}" data-page="${page}" ${page === current ? 'aria-current="page"' : ''}>${page}</button>`
+      ).join('')}
+      <button type="button" class="repo-page-btn" data-page="${current + 1}" ${current === pageCount ? 'disabled' : ''} aria-label="Next page">›</button>
+    `;
+  },
+
+  /**
+   * Wire up the repository filter controls and page links
+   */
+  initRepoFilters() {
+    const container = document.getElementById('repo-filters');
+    if (!container) return;
+
+    const update = (changes) => {
+      this.repoFilters = { ...(this.repoFilters || this.getDefaultRepoFilters()), ...changes };
+      this.repoPage = 1;
+      this.refreshRepositories();
+    };
+
+    const text = document.getElementById('repo-filter-text');
+    text?.addEventListener('input', window.Utils.debounce(() => update({ q: text.value.trim() }), 250));
+
+    container.addEventListener('change', (e) => {
+      const facet = e.target.dataset.facet;
+      if (!facet) return;
+
+      update({ [facet]: e.target.type === 'checkbox' ? (e.target.checked ? 'yes' : '') : e.target.value });
+    });
+
+    document.getElementById('repo-filter-stars')?.addEventListener('input', (e) => {
+      update({ minStars: this.repoStarThresholds[Number(e.target.value)] || 0 });
+    });
+
+    document.getElementById('repo-filter-clear')?.addEventListener('click', () => {
+      if (text) text.value = '';
+      update(this.getDefaultRepoFilters());
+    });
+
+    document.getElementById('repo-pagination')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-page]');
+      if (!button || button.disabled) return;
+
+      this.repoPage = Number(button.dataset.page);
+      this.refreshRepositories();
+      document.getElementById('repositories')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+  },
+
+  /**
+   * Re-render the repository grid of the dashboard on screen and update the URL
+   */
+  refreshRepositories() {
+    const data = this.currentUserData || this.currentOrgData;
+    if (!data) return;
+
+    this.renderRepositories(data.repositories, document.getElementById('repo-sort')?.value || 'stars');
+    this.syncRoute('repos');
+  },
+
+  /**
+   * Take the repository filters and page from the route
+   */
+  applyRepoFilterParams() {
+    const params = this.routeParams;
+    const oneOf = (value, allowed) => (allowed.includes(value) ? value : '');
+
+    this.repoFilters = {
+      q: params.q || '',
+      language: params.lang || '',
+      topic: params.topic || '',
+      license: params.license || '',
+      type: oneOf(params.type, ['source', 'fork']),
+      archived: oneOf(params.archived, ['active', 'archived']),
+      pages: oneOf(params.pages, ['yes']),
+      minStars: Math.max(0, parseInt(params.stars, 10) || 0)
+    };
+    this.repoPage = Math.max(1, parseInt(params.page, 10) || 1);
+  },
+
+  /**
+   * Describe the repository filters and page as route parameters
+   * @returns {Object} Route parameters (unset filters are null and left out of the URL)
+   */
+  getRepoFilterParams() {
+    const filters = this.repoFilters || this.getDefaultRepoFilters();
+
+    return {
+      q: filters.q || null,
+      lang: filters.language || null,
+      topic: filters.topic || null,
+      license: filters.license || null,
+      type: filters.type || null,
+      archived: filters.archived || null,
+      pages: filters.pages || null,
+      stars: filters.minStars > 0 ? String(filters.minStars) : null,
+      page: this.repoPage > 1 ? String(this.repoPage) : null
+    };
+  },
+
   /**
    * Sort repositories by given criteria
    * @param {Array} repositories - Repository array
@@ -1741,26 +3751,26 @@ window.DevPulse = {
     try {
       switch (event.type) {
         case 'PushEvent':
-          const commitCount = event.payload?.commits?.length || 0;
           const commits = event.payload?.commits || [];
+          const commitCount = event.payload?.size ?? commits.length;
           if (commits.length > 0 && commits[0]?.message) {
             return `${commitCount} commit${commitCount !== 1 ? 's' : ''}: ${commits[0].message.substring(0, 60)}${commits[0].message.length > 60 ? '...' : ''}`;
           }
           return `${commitCount} commit${commitCount !== 1 ? 's' : ''} pushed`;
           
         case 'IssuesEvent':
-          const issueTitle = event.payload?.issue?.title;
+          const issueTitle = event.payload?.issue?.title ?? event.payload?.title;
           const issueAction = event.payload?.action || 'updated';
-          const issueNumber = event.payload?.issue?.number;
+          const issueNumber = event.payload?.issue?.number ?? event.payload?.number;
           if (issueTitle) {
             return `${issueAction} issue #${issueNumber}: ${issueTitle.substring(0, 50)}${issueTitle.length > 50 ? '...' : ''}`;
           }
           return `${issueAction} issue #${issueNumber || 'unknown'}`;
           
         case 'PullRequestEvent':
-          const prTitle = event.payload?.pull_request?.title;
+          const prTitle = event.payload?.pull_request?.title ?? event.payload?.title;
           const prAction = event.payload?.action || 'updated';
-          const prNumber = event.payload?.pull_request?.number;
+          const prNumber = event.payload?.pull_request?.number ?? event.payload?.number;
           if (prTitle) {
             return `${prAction} pull request #${prNumber}: ${prTitle.substring(0, 50)}${prTitle.length > 50 ? '...' : ''}`;
           }
@@ -1793,6 +3803,464 @@ window.DevPulse = {
     }
   },
 
+  // ================================
+  // SNAPSHOT HISTORY
+  // ================================
+  
+  /**
+   * Wire up the history metric selector and clear button
+   */
+  initHistory() {
+    document.getElementById('history-metric')?.addEventListener('change', () => this.renderHistory());
+    
+    document.getElementById('history-clear')?.addEventListener('click', async () => {
+      const username = this.currentUsername;
+      if (!username || !window.confirm(`Delete all stored snapshots of ${username}?`)) return;
+      
+      try {
+        await window.DevPulseSnapshots.clearSnapshots(username);
+        this.snapshots = [];
+        this.lastVisitSnapshot = null;
+        this.renderHistory();
+        window.DevPulseUI.showToast(`History of ${username} cleared`, 'success');
+      } catch (error) {
+        window.Utils.logError(error, 'clearSnapshots', { username });
+        window.DevPulseUI.showToast('Failed to clear history', 'error');
+      }
+    });
+  },
+
+  /**
+   * Load the stored snapshots of a user before their dashboard renders
+   * @param {string} username - GitHub username
+   */
+  async loadSnapshots(username) {
+    try {
+      this.snapshots = await window.DevPulseSnapshots.getSnapshots(username);
+    } catch (error) {
+      window.Utils.logError(error, 'loadSnapshots', { username });
+      this.snapshots = [];
+    }
+    
+    this.lastVisitSnapshot = window.DevPulseSnapshots.getLastVisit(this.snapshots);
+    this.renderHistory();
+  },
+
+  /**
+   * Store a snapshot of the current user and refresh the history section
+   * @param {Object|null} insights - AI insights, added to the snapshot once generated
+   */
+  recordSnapshot(insights = null) {
+    const username = this.currentUsername;
+    const userData = this.currentUserData;
+    
+    // Cached responses served offline say nothing about today's numbers
+    if (!username || !userData || window.DevPulseAPI.offlineDataTimestamp) return;
+    
+    // Serialize writes so the AI update lands on the snapshot of the same load
+    this.snapshotWrite = (this.snapshotWrite || Promise.resolve())
+      .then(() => window.DevPulseSnapshots.recordSnapshot(username, userData, insights))
+      .then(snapshots => {
+        if (this.currentUsername !== username) return;
+        this.snapshots = snapshots;
+        this.renderHistory();
+      })
+      .catch(error => window.Utils.logError(error, 'recordSnapshot', { username }));
+  },
+
+  /**
+   * Render the "since last visit" badge of a stat card
+   * @param {number} delta - Change since the last visit
+   * @returns {string} Badge HTML (empty when nothing changed)
+   */
+  renderSinceLastVisitBadge(delta) {
+    if (!delta) return '';
+    
+    const date = window.Utils.formatDate(this.lastVisitSnapshot.takenAt);
+    return `
+      <div class="since-last-visit ${delta > 0 ? 'positive' : 'negative'}" title="Since your last visit on ${date}">
+        ${this.formatSnapshotDelta(delta)} since last visit
+      </div>
+    `;
+  },
+
+  /**
+   * Format a change between snapshots
+   * @param {number} delta - Difference
+   * @returns {string} e.g. '+12', '−3', '+0.4'
+   */
+  formatSnapshotDelta(delta) {
+    const magnitude = Number.isInteger(delta) ? window.Utils.formatNumber(Math.abs(delta)) : Math.abs(delta).toFixed(1);
+    return `${delta < 0 ? '−' : '+'}${magnitude}`;
+  },
+
+  /**
+   * Render the history section: chart of the selected metric and the latest snapshots
+   */
+  renderHistory() {
+    const summary = document.getElementById('history-summary');
+    const table = document.getElementById('history-table');
+    const select = document.getElementById('history-metric');
+    if (!summary || !table || !select) return;
+    
+    const snapshots = this.snapshots;
+    const label = select.selectedOptions[0]?.textContent.trim() || select.value;
+    const series = window.DevPulseSnapshots.getSeries(snapshots, select.value);
+    
+    window.DevPulseCharts.createHistoryChart('history-chart', series, label);
+    
+    if (!window.DevPulseSnapshots.isEnabled()) {
+      summary.textContent = 'History needs IndexedDB, which is not available in this browser.';
+      table.innerHTML = '';
+      return;
+    }
+    
+    if (snapshots.length === 0) {
+      summary.textContent = 'No snapshots yet. One is saved every time this developer is loaded.';
+      table.innerHTML = '';
+      return;
+    }
+    
+    const first = window.Utils.formatDate(snapshots[0].takenAt);
+    summary.textContent = snapshots.length === 1
+      ? `First snapshot saved ${first}. Load this developer again later to see how the numbers change.`
+      : `${snapshots.length} snapshots since ${first}.${series.length === 0 ? ` None of them has ${label} yet.` : ''}`;
+    
+    const metrics = window.DevPulseSnapshots.metrics;
+    const rowsToShow = this.config.get('display.sections.history.rowsToShow', 10);
+    const rows = snapshots.map((snapshot, index) => {
+      const deltas = index > 0 ? window.DevPulseSnapshots.getDeltas(snapshot.metrics, snapshots[index - 1].metrics) : null;
+      return `
+        <tr>
+          <td>${window.Utils.formatDate(snapshot.takenAt, { hour: 'numeric', minute: '2-digit' })}</td>
+          ${Object.keys(metrics).map(key => `
+            <td>
+              ${window.Utils.formatNumber(snapshot.metrics[key])}
+              ${deltas?.[key] ? `<span class="snapshot-delta ${deltas[key] > 0 ? 'positive' : 'negative'}">${this.formatSnapshotDelta(deltas[key])}</span>` : ''}
+            </td>
+          `).join('')}
+        </tr>
+      `;
+    }).slice(-rowsToShow).reverse();
+    
+    table.innerHTML = `
+      <table class="history-table">
+        <thead>
+          <tr>
+            <th scope="col">Snapshot</th>
+            ${Object.values(metrics).map(metricLabel => `<th scope="col">${metricLabel}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>
+    `;
+  },
+
+  // ================================
+  // ROUTING
+  // ================================
+  
+  /**
+   * Start listening for route changes and open the dashboard linked in the URL
+   * @returns {boolean} Whether the URL opened a dashboard
+   */
+  initRouting() {
+    window.DevPulseRouter.listen(route => this.handleRouteChange(route));
+    
+    // Links shared before hash routing used ?compare=user1,user2
+    const url = new URL(window.location.href);
+    const legacyCompare = url.searchParams.get('compare');
+    if (legacyCompare) {
+      url.searchParams.delete('compare');
+      url.hash = window.DevPulseRouter.build({
+        view: 'compare',
+        target: this.parseCompareUsernames(legacyCompare).join(',')
+      });
+      window.history.replaceState(window.history.state, '', url);
+    }
+    
+    const route = window.DevPulseRouter.parse();
+    if (!route) return false;
+    
+    this.handleRouteChange(route);
+    return true;
+  },
+
+  /**
+   * Open the dashboard for a route, or re-apply its parameters when it is already open
+   * @param {Object|null} route - Parsed route from DevPulseRouter
+   */
+  handleRouteChange(route) {
+    if (!route) return;
+    
+    if (this.isCurrentRoute(route)) {
+      if (!this.loadingState) {
+        this.applyRouteParams(route.params);
+      }
+      return;
+    }
+    
+    this.loadRoute(route);
+  },
+
+  /**
+   * Load the dashboard a route points to
+   * @param {Object} route - Parsed route from DevPulseRouter
+   */
+  loadRoute(route) {
+    const isCompare = route.view === 'compare';
+    const usernames = isCompare ? this.parseCompareUsernames(route.target) : [];
+    
+    window.DevPulseUI.setSearchScope({ organization: 'org', compare: 'compare' }[route.view] || 'user');
+    const usernameInput = document.getElementById('username-input');
+    if (usernameInput) {
+      usernameInput.value = isCompare ? usernames.join(', ') : route.target;
+    }
+    
+    this.pendingRouteParams = route.params;
+    
+    const load = route.view === 'organization' ? this.loadOrganizationData(route.target)
+      : isCompare ? this.loadComparison(usernames)
+      : this.loadUserData(route.target);
+    
+    load.catch(error => {
+      this.pendingRouteParams = null;
+      window.DevPulseUI.showErrorState(error.message);
+    });
+  },
+
+  /**
+   * Move parameters of the route being opened onto the dashboard that is loading
+   */
+  takeRouteParams() {
+    this.routeParams = this.pendingRouteParams || {};
+    this.pendingRouteParams = null;
+  },
+
+  /**
+   * Describe the dashboard on screen as a route
+   * @returns {Object|null} { view, target, params }
+   */
+  getCurrentRoute() {
+    if (this.viewMode === 'compare' && this.compareData) {
+      return {
+        view: 'compare',
+        target: this.compareData.map(entry => entry.username).join(','),
+        params: {}
+      };
+    }
+    
+    // 'stars' is the default order, so it is left out of the URL
+    const sort = document.getElementById('repo-sort')?.value;
+    const sortParam = sort && sort !== 'stars' ? sort : null;
+    
+    if (this.viewMode === 'organization' && this.currentOrgData) {
+      return { view: 'organization', target: this.currentOrganization, params: { sort: sortParam, ...this.getRepoFilterParams() } };
+    }
+    
+    if (this.viewMode === 'user' && this.currentUserData) {
+      return {
+        view: 'user',
+        target: this.currentUsername,
+        params: {
+          tab: this.routeParams.tab,
+          filter: this.currentFilter && this.currentFilter !== 'all' ? this.currentFilter : null,
+          period: this.periodFiltered ? String(this.currentPeriod) : null,
+          sort: sortParam,
+          ...this.getRepoFilterParams(),
+          ai: window.DevPulseAIUI.isCollapsed() ? 'collapsed' : null
+        }
+      };
+    }
+    
+    return null;
+  },
+
+  /**
+   * Check whether a route points at the dashboard already on screen
+   * @param {Object} route - Parsed route
+   * @returns {boolean} Whether the route's view and target match
+   */
+  isCurrentRoute(route) {
+    const current = this.getCurrentRoute();
+    if (!current || current.view !== route.view) return false;
+    
+    const normalize = (target) => route.view === 'compare'
+      ? this.parseCompareUsernames(target).join(',').toLowerCase()
+      : target.toLowerCase();
+    
+    return normalize(current.target) === normalize(route.target);
+  },
+
+  /**
+   * Write the current dashboard state to the URL without adding a history entry
+   * @param {string} tab - Section the user just interacted with
+   */
+  syncRoute(tab) {
+    if (this.applyingRoute) return;
+    
+    if (tab) {
+      this.routeParams = { ...this.routeParams, tab };
+    }
+    
+    const route = this.getCurrentRoute();
+    if (!route) return;
+    
+    this.routeParams = route.params;
+    window.DevPulseRouter.navigate(route, { replace: true });
+  },
+
+  /**
+   * Apply route parameters to the dashboard already on screen
+   * @param {Object} params - Route query parameters
+   */
+  applyRouteParams(params) {
+    this.routeParams = params;
+    
+    const data = this.currentUserData || this.currentOrgData;
+    if (data) {
+      this.applyRepoFilterParams();
+      this.renderRepositories(data.repositories, this.applyRepoSortParam());
+    }
+    
+    if (this.viewMode === 'user') {
+      window.DevPulseAIUI.setCollapsed(this.isAICollapsedInRoute(params));
+      this.applyActivityRouteParams();
+      
+      if (params.tab === 'ai') {
+        this.scrollToRouteTab('ai');
+      }
+    }
+  },
+
+  /**
+   * Decide whether the AI section starts collapsed: the link's choice, else the saved layout
+   * @param {Object} params - Route query parameters
+   * @returns {boolean} Whether to collapse the AI section
+   */
+  isAICollapsedInRoute(params) {
+    return params.ai ? params.ai === 'collapsed' : window.DevPulseLayout?.isCollapsed('ai') || false;
+  },
+
+  /**
+   * Select the repository order from the route
+   * @returns {string} Sort criteria to render with
+   */
+  applyRepoSortParam() {
+    const select = document.getElementById('repo-sort');
+    const options = select ? Array.from(select.options).map(option => option.value) : [];
+    const sortBy = options.includes(this.routeParams.sort) ? this.routeParams.sort : 'stars';
+    
+    if (select) {
+      select.value = sortBy;
+    }
+    return sortBy;
+  },
+
+  /**
+   * Apply the route's activity filter, period and tab once the timeline controls exist
+   */
+  applyActivityRouteParams() {
+    const { filter = 'all', period, tab } = this.routeParams;
+    const periodSelect = document.getElementById('activity-period');
+    const validPeriod = periodSelect && Array.from(periodSelect.options).some(option => option.value === period);
+    
+    // The filter and period handlers would write the URL back while it is being applied
+    this.applyingRoute = true;
+    try {
+      if (filter !== (this.currentFilter || 'all')) {
+        this.activateFilter(filter);
+      }
+      
+      if (validPeriod) {
+        periodSelect.value = period;
+        periodSelect.dispatchEvent(new Event('change'));
+      } else if (this.periodFiltered && periodSelect) {
+        periodSelect.value = '30';
+        this.currentPeriod = 30;
+        this.periodFiltered = false;
+        this.filterActivityTimelineEnhanced(this.currentFilter);
+      }
+    } finally {
+      this.applyingRoute = false;
+    }
+    
+    // The AI section renders later and scrolls itself into view
+    if (tab && tab !== 'ai') {
+      this.scrollToRouteTab(tab);
+    }
+  },
+
+  /**
+   * Scroll to the dashboard section named by the route's tab parameter
+   * @param {string} tab - 'profile', 'stats', 'ai', 'charts', 'repos', 'activity' or 'history'
+   */
+  scrollToRouteTab(tab) {
+    const sections = {
+      profile: 'user-profile',
+      stats: 'stats-overview',
+      ai: 'ai-insights',
+      charts: 'analytics-charts',
+      repos: 'repositories',
+      activity: 'recent-activity',
+      history: 'history'
+    };
+    
+    document.getElementById(sections[tab])?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  },
+
+  // ================================
+  // OFFLINE SUPPORT
+  // ================================
+  
+  /**
+   * Register the service worker that caches the app shell for offline use
+   */
+  registerServiceWorker() {
+    if (!this.config.get('features.performance.enableServiceWorker', false)) return;
+    
+    // Service workers need a secure context (https or localhost)
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+      console.log('📦 Service worker not available in this context');
+      return;
+    }
+    
+    navigator.serviceWorker.register('sw.js')
+      .then(registration => console.log(`📦 Service worker registered (scope: ${registration.scope})`))
+      .catch(error => window.Utils.logError(error, 'registerServiceWorker'));
+  },
+
+  /**
+   * Tell the user when the connection drops or comes back
+   */
+  setupConnectivityHandling() {
+    if (!this.config.get('features.performance.enableOfflineMode', false)) return;
+    
+    window.addEventListener('offline', () => {
+      window.DevPulseUI.showToast("You're offline. Dashboards viewed before are still available.", 'warning');
+    });
+    
+    window.addEventListener('online', () => {
+      const refreshButton = document.querySelector('#offline-data-notice .offline-refresh-btn');
+      if (refreshButton) {
+        refreshButton.hidden = false;
+        window.DevPulseUI.showToast('Back online. Refresh to load the latest data.', 'info');
+      } else {
+        window.DevPulseUI.showToast('Back online', 'success');
+      }
+    });
+  },
+
+  /**
+   * Load the current dashboard again, e.g. once the network is back
+   */
+  reloadDashboard() {
+    const route = this.getCurrentRoute();
+    if (!route || this.loadingState) return;
+    
+    this.loadRoute(route);
+  },
+
   // ================================
   // SESSION MANAGEMENT
   // ================================
@@ -1942,27 +4410,13 @@ window.DevPulse = {
     const chartsGrid = document.getElementById('charts-grid');
     
     if (toggle && chartsGrid) {
-      // Set initial state
-      chartsGrid.classList.add('charts-collapsed');
+      // Restore the state the user left it in
+      this.setAnalyticsExpanded(window.DevPulseLayout?.isChartsExpanded() || false);
       
       toggle.addEventListener('click', () => {
-        const isExpanded = chartsGrid.classList.contains('charts-expanded');
-        
-        if (isExpanded) {
-          // Collapse
-          chartsGrid.classList.remove('charts-expanded');
-          chartsGrid.classList.add('charts-collapsed');
-          toggle.classList.remove('expanded');
-          toggle.querySelector('.toggle-text').textContent = 'Show More';
-          toggle.setAttribute('aria-label', 'Expand Analytics Section');
-        } else {
-          // Expand
-          chartsGrid.classList.remove('charts-collapsed');
-          chartsGrid.classList.add('charts-expanded');
-          toggle.classList.add('expanded');
-          toggle.querySelector('.toggle-text').textContent = 'Show Less';
-          toggle.setAttribute('aria-label', 'Collapse Analytics Section');
-        }
+        const expanded = !chartsGrid.classList.contains('charts-expanded');
+        this.setAnalyticsExpanded(expanded);
+        window.DevPulseLayout?.setChartsExpanded(expanded);
       });
       
       console.log('✅ Analytics toggle initialized');
@@ -1971,6 +4425,22 @@ window.DevPulse = {
     }
   },
 
+  /**
+   * Expand or collapse the analytics charts grid
+   * @param {boolean} expanded - Whether to show every chart
+   */
+  setAnalyticsExpanded(expanded) {
+    const toggle = document.getElementById('analytics-toggle');
+    const chartsGrid = document.getElementById('charts-grid');
+    if (!toggle || !chartsGrid) return;
+    
+    chartsGrid.classList.toggle('charts-expanded', expanded);
+    chartsGrid.classList.toggle('charts-collapsed', !expanded);
+    toggle.classList.toggle('expanded', expanded);
+    toggle.querySelector('.toggle-text').textContent = expanded ? 'Show Less' : 'Show More';
+    toggle.setAttribute('aria-label', expanded ? 'Collapse Analytics Section' : 'Expand Analytics Section');
+  },
+
   /**
    * Initialize 3D visualization functionality
    */
@@ -1986,6 +4456,13 @@ window.DevPulse = {
     } else {
       console.warn('⚠️ 3D Visualization button not found');
     }
+    
+    // A reloaded 3D window asks for the developer shown here
+    window.DevPulseHandoff?.listen((message, source) => {
+      if (message.type === 'request-data' && this.currentUserData) {
+        window.DevPulseHandoff.publish(this.currentUserData, source || this.vizWindow);
+      }
+    });
   },
 
   /**
@@ -2017,10 +4494,16 @@ window.DevPulse = {
         'resizable=yes'
       ].join(',');
 
+      // Store the data first, so the page can start from it and survive reloads
+      window.DevPulseHandoff.publish(this.currentUserData, this.vizWindow);
+      const vizUrl = `3d-visualizations.html?user=${encodeURIComponent(this.currentUserData.profile.login)}`;
+      
       // Open 3D visualization window
-      const vizWindow = window.open('3d-visualizations.html', '3d-viz', windowFeatures);
+      const vizWindow = window.open(vizUrl, '3d-viz', windowFeatures);
       
       if (vizWindow) {
+        this.vizWindow = vizWindow;
+        
         // Focus the new window
         vizWindow.focus();
         
@@ -2034,7 +4517,7 @@ window.DevPulse = {
         console.log('✅ 3D Visualization window opened successfully');
       } else {
         // Fallback - open in same tab
-        window.location.href = '3d-visualizations.html';
+        window.location.href = vizUrl;
       }
       
     } catch (error) {
@@ -2094,8 +4577,6 @@ window.DevPulse = {
    * Initialize repository comparison feature
    */
   initRepoComparison() {
-    let selectedRepos = [];
-    
     document.addEventListener('click', (e) => {
       // Handle AI Demo Button
       if (e.target.id === 'ai-demo-button') {
@@ -2118,19 +4599,19 @@ window.DevPulse = {
       
       if (e.target.closest('.repo-compare-btn')) {
         const repoCard = e.target.closest('.repository-card');
-        const repoName = repoCard.querySelector('.repo-name a').textContent;
+        const repoName = repoCard.dataset.repo;
         
-        if (selectedRepos.includes(repoName)) {
-          selectedRepos = selectedRepos.filter(name => name !== repoName);
+        if (this.selectedRepos.includes(repoName)) {
+          this.selectedRepos = this.selectedRepos.filter(name => name !== repoName);
           repoCard.classList.remove('selected-for-comparison');
-        } else if (selectedRepos.length < 3) {
-          selectedRepos.push(repoName);
+        } else if (this.selectedRepos.length < 3) {
+          this.selectedRepos.push(repoName);
           repoCard.classList.add('selected-for-comparison');
         } else {
           window.DevPulseUI?.showToast('You can compare up to 3 repositories at once', 'warning');
         }
         
-        this.updateComparisonUI(selectedRepos);
+        this.updateComparisonUI(this.selectedRepos);
       }
     });
   },
@@ -2153,6 +4634,7 @@ window.DevPulse = {
           </svg>
           Compare Selected (${selectedRepos.length})
         `;
+        compareBtn.addEventListener('click', () => this.openRepoComparison(this.selectedRepos));
         
         const reposSection = document.getElementById('repositories');
         if (reposSection) {
@@ -42,6 +42,7 @@ window.DevPulseCharts = {
       Chart.LineElement,
       Chart.BarElement,
       Chart.ArcElement,
+      Chart.RadialLinearScale,
       Chart.Title,
       Chart.Tooltip,
       Chart.Legend,
@@ -128,20 +129,26 @@ window.DevPulseCharts = {
    * Create contribution calendar chart
    * @param {string} containerId - Container element ID
    * @param {Array} contributionData - Array of contribution data
-   * @param {number} year - Year for the calendar
+   * @param {number} year - Year to show when there is no data (otherwise the data's own date range is shown)
+   * @param {Object} summary - Optional totals and streaks ({ totals, streak, source })
    */
-  createContributionCalendar(containerId, contributionData, year = new Date().getFullYear()) {
+  createContributionCalendar(containerId, contributionData, year = new Date().getFullYear(), summary = null) {
     const container = document.getElementById(containerId);
     if (!container) return;
 
     // Process data into calendar format
     const calendarData = this.processContributionData(contributionData, year);
     
+    // Prefer streaks computed over the full data range (calculateStreakData)
+    if (summary?.streak) {
+      calendarData.streakDays = summary.streak.longest;
+    }
+    
     // Create calendar HTML
     container.innerHTML = `
       <div class="contribution-calendar">
         <div class="calendar-header">
-          <h3 class="calendar-title">${year} Contributions</h3>
+          <h3 class="calendar-title">${this.formatCalendarRange(calendarData)} Contributions</h3>
           <div class="calendar-legend">
             <span class="legend-label">Less</span>
             <div class="legend-colors">
@@ -155,7 +162,7 @@ window.DevPulseCharts = {
           </div>
         </div>
         <div class="calendar-grid" id="${containerId}-grid">
-          ${this.generateCalendarGrid(calendarData, year)}
+          ${this.generateCalendarGrid(calendarData)}
         </div>
         <div class="calendar-stats">
           <div class="stat-item">
@@ -170,7 +177,13 @@ window.DevPulseCharts = {
             <span class="stat-value">${calendarData.activeDays}</span>
             <span class="stat-label">Active days</span>
           </div>
+          ${summary?.streak ? `
+          <div class="stat-item">
+            <span class="stat-value">${summary.streak.current}</span>
+            <span class="stat-label">Current streak</span>
+          </div>` : ''}
         </div>
+        ${this.generateContributionTotalsHTML(summary)}
       </div>
     `;
 
@@ -178,15 +191,57 @@ window.DevPulseCharts = {
     this.setupCalendarInteractivity(containerId, calendarData);
   },
 
+  /**
+   * Generate the contribution totals breakdown and data source note
+   * @param {Object} summary - Contribution summary ({ totals, source })
+   * @returns {string} Totals HTML
+   */
+  generateContributionTotalsHTML(summary) {
+    if (!summary) return '';
+    
+    if (summary.source !== 'graphql' || !summary.totals) {
+      return `
+        <p class="calendar-source">
+          Estimated from recent public push events. Add a GitHub token for the full contribution calendar.
+        </p>
+      `;
+    }
+    
+    const totals = summary.totals;
+    const items = [
+      { label: 'Commits', value: totals.commits },
+      { label: 'Pull requests', value: totals.pullRequests },
+      { label: 'Issues', value: totals.issues },
+      { label: 'Reviews', value: totals.reviews }
+    ];
+    
+    return `
+      <div class="calendar-totals">
+        ${items.map(item => `
+          <div class="stat-item">
+            <span class="stat-value">${window.Utils.formatNumber(item.value)}</span>
+            <span class="stat-label">${item.label}</span>
+          </div>
+        `).join('')}
+      </div>
+      <p class="calendar-source">
+        ${window.Utils.formatNumber(totals.contributions)} contributions in the last year from GitHub${totals.restricted ? `, including ${window.Utils.formatNumber(totals.restricted)} private` : ''}.
+      </p>
+    `;
+  },
+
   /**
    * Process contribution data for calendar
-   * @param {Array} data - Raw contribution data
-   * @param {number} year - Target year
-   * @returns {Object} Processed calendar data
+   * @param {Array} data - Raw contribution data ({ date: 'YYYY-MM-DD', count })
+   * @param {number} year - Year to show when there is no data
+   * @returns {Object} Processed calendar data ({ dayData, startDate, endDate, ... })
    */
   processContributionData(data, year) {
-    const startDate = new Date(year, 0, 1);
-    const endDate = new Date(year, 11, 31);
+    // Cover the days the data spans - GraphQL returns a rolling year, not a calendar year.
+    // Dates are handled in UTC so the day keys match the YYYY-MM-DD strings in the data.
+    const dates = data.map(contribution => contribution.date).filter(Boolean).sort();
+    const startDate = dates.length ? new Date(`${dates[0]}T00:00:00Z`) : new Date(Date.UTC(year, 0, 1));
+    const endDate = dates.length ? new Date(`${dates[dates.length - 1]}T00:00:00Z`) : new Date(Date.UTC(year, 11, 31));
     const dayData = new Map();
     
     let totalContributions = 0;
@@ -194,16 +249,16 @@ window.DevPulseCharts = {
     let currentStreak = 0;
     let longestStreak = 0;
 
-    // Initialize all days of the year
-    for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
+    // Initialize every day in the range
+    for (let d = new Date(startDate); d <= endDate; d.setUTCDate(d.getUTCDate() + 1)) {
       const dateKey = d.toISOString().split('T')[0];
       dayData.set(dateKey, { date: new Date(d), count: 0, level: 0 });
     }
 
     // Fill in actual contribution data
     data.forEach(contribution => {
-      const date = new Date(contribution.date);
-      const dateKey = date.toISOString().split('T')[0];
+      const date = new Date(`${contribution.date}T00:00:00Z`);
+      const dateKey = contribution.date;
       
       if (dayData.has(dateKey)) {
         const count = contribution.count || 0;
@@ -228,6 +283,8 @@ window.DevPulseCharts = {
 
     return {
       dayData: dayData,
+      startDate,
+      endDate,
       totalContributions,
       activeDays,
       streakDays: longestStreak,
@@ -251,19 +308,17 @@ window.DevPulseCharts = {
   /**
    * Generate calendar grid HTML
    * @param {Object} calendarData - Processed calendar data
-   * @param {number} year - Year
    * @returns {string} Calendar grid HTML
    */
-  generateCalendarGrid(calendarData, year) {
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 
-                   'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  generateCalendarGrid(calendarData) {
+    const { startDate, endDate } = calendarData;
     const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
     
     let html = '';
     
-    // Month labels
+    // Month labels, for each month that starts inside the range
     html += '<div class="calendar-months">';
-    months.forEach(month => {
+    this.getCalendarMonths(startDate, endDate).forEach(month => {
       html += `<span class="month-label">${month}</span>`;
     });
     html += '</div>';
@@ -278,27 +333,23 @@ window.DevPulseCharts = {
     // Calendar grid
     html += '<div class="calendar-weeks">';
     
-    const startDate = new Date(year, 0, 1);
-    const endDate = new Date(year, 11, 31);
-    const firstDayOfWeek = startDate.getDay();
-    
-    // Start from the first Sunday of the year
+    // Start from the Sunday on or before the first day
     const gridStart = new Date(startDate);
-    gridStart.setDate(gridStart.getDate() - firstDayOfWeek);
+    gridStart.setUTCDate(gridStart.getUTCDate() - startDate.getUTCDay());
     
     let currentDate = new Date(gridStart);
     
-    while (currentDate <= endDate || currentDate.getDay() !== 0) {
-      if (currentDate.getDay() === 0) {
+    while (currentDate <= endDate || currentDate.getUTCDay() !== 0) {
+      if (currentDate.getUTCDay() === 0) {
         html += '<div class="calendar-week">';
       }
       
       const dateKey = currentDate.toISOString().split('T')[0];
       const dayInfo = calendarData.dayData.get(dateKey);
-      const isCurrentYear = currentDate.getFullYear() === year;
+      const inRange = currentDate >= startDate && currentDate <= endDate;
       
       html += `
-        <div class="calendar-day ${isCurrentYear ? 'current-year' : 'other-year'}" 
+        <div class="calendar-day ${inRange ? 'current-year' : 'other-year'}" 
              data-date="${dateKey}" 
              data-count="${dayInfo?.count || 0}"
              data-level="${dayInfo?.level || 0}"
@@ -306,11 +357,11 @@ window.DevPulseCharts = {
         </div>
       `;
       
-      if (currentDate.getDay() === 6) {
+      if (currentDate.getUTCDay() === 6) {
         html += '</div>';
       }
       
-      currentDate.setDate(currentDate.getDate() + 1);
+      currentDate.setUTCDate(currentDate.getUTCDate() + 1);
     }
     
     html += '</div>';
@@ -318,6 +369,28 @@ window.DevPulseCharts = {
     return html;
   },
 
+  /**
+   * Short names of the months that start inside a date range (the first month if none do)
+   * @param {Date} startDate - First day (UTC)
+   * @param {Date} endDate - Last day (UTC)
+   * @returns {Array<string>} Month names, e.g. ['Nov', 'Dec', 'Jan', ...]
+   */
+  getCalendarMonths(startDate, endDate) {
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 
+                   'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const labels = [];
+    const month = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth(), 1));
+    
+    if (month < startDate) {
+      month.setUTCMonth(month.getUTCMonth() + 1);
+    }
+    for (; month <= endDate; month.setUTCMonth(month.getUTCMonth() + 1)) {
+      labels.push(months[month.getUTCMonth()]);
+    }
+    
+    return labels.length ? labels : [months[startDate.getUTCMonth()]];
+  },
+
   /**
    * Setup calendar interactivity
    * @param {string} containerId - Container ID
@@ -344,6 +417,20 @@ window.DevPulseCharts = {
     });
   },
 
+  /**
+   * Calendar title range: the year when the data fits in one, otherwise the first and last month
+   * @param {Object} calendarData - Processed calendar data
+   * @returns {string} e.g. "2025" or "Nov 2025 – Oct 2026"
+   */
+  formatCalendarRange({ startDate, endDate }) {
+    if (startDate.getUTCFullYear() === endDate.getUTCFullYear()) {
+      return String(startDate.getUTCFullYear());
+    }
+    
+    const options = { year: 'numeric', month: 'short', day: undefined, timeZone: 'UTC' };
+    return `${window.Utils.formatDate(startDate, options)} – ${window.Utils.formatDate(endDate, options)}`;
+  },
+
   /**
    * Format calendar tooltip
    * @param {Date} date - Date
@@ -355,7 +442,8 @@ window.DevPulseCharts = {
       weekday: 'long', 
       year: 'numeric', 
       month: 'long', 
-      day: 'numeric' 
+      day: 'numeric',
+      timeZone: 'UTC' // Calendar days are UTC midnights
     });
     
     if (count === 0) {
@@ -392,11 +480,19 @@ window.DevPulseCharts = {
   /**
    * Create language statistics chart
    * @param {string} canvasId - Canvas element ID
-   * @param {Array} languageData - Language statistics data
+   * @param {Array} languageData - Language statistics data ({ name, size })
+   * @param {Object} options - Chart options
+   * @param {string} options.unit - What `size` measures: 'repos' or 'bytes'
    */
-  createLanguageChart(canvasId, languageData) {
+  createLanguageChart(canvasId, languageData, { unit = 'bytes' } = {}) {
     const canvas = document.getElementById(canvasId);
     if (!canvas || !languageData || languageData.length === 0) return;
+    
+    // Update in place when the chart already exists (progressive loading)
+    if (this.charts[canvasId] && this.charts[canvasId].config.type === 'doughnut') {
+      this.updateLanguageChart(canvasId, languageData, { unit });
+      return;
+    }
 
     // Destroy existing chart
     if (this.charts[canvasId]) {
@@ -457,13 +553,53 @@ window.DevPulseCharts = {
                 const value = context.parsed;
                 const total = context.dataset.data.reduce((a, b) => a + b, 0);
                 const percentage = ((value / total) * 100).toFixed(1);
-                return `${label}: ${window.Utils.formatNumber(value)} bytes (${percentage}%)`;
+                return `${label}: ${this.formatLanguageValue(value, context.chart.languageUnit)} (${percentage}%)`;
               }
             }
           }
         }
       }
     });
+    
+    this.charts[canvasId].languageUnit = unit;
+  },
+
+  /**
+   * Replace the data of an existing language chart without recreating it
+   * @param {string} canvasId - Canvas element ID
+   * @param {Array} languageData - Language statistics data ({ name, size })
+   * @param {Object} options - Chart options
+   * @param {string} options.unit - What `size` measures: 'repos' or 'bytes'
+   */
+  updateLanguageChart(canvasId, languageData, { unit = 'bytes' } = {}) {
+    const chart = this.charts[canvasId];
+    if (!chart) {
+      this.createLanguageChart(canvasId, languageData, { unit });
+      return;
+    }
+    
+    const processedData = this.processLanguageData(languageData);
+    const dataset = chart.data.datasets[0];
+    
+    chart.data.labels = processedData.labels;
+    dataset.data = processedData.values;
+    dataset.backgroundColor = processedData.colors;
+    dataset.borderColor = processedData.borderColors;
+    chart.languageUnit = unit;
+    chart.update();
+  },
+
+  /**
+   * Format a language chart value for its unit
+   * @param {number} value - Value
+   * @param {string} unit - 'repos' or 'bytes'
+   * @returns {string} Formatted value
+   */
+  formatLanguageValue(value, unit) {
+    if (unit === 'repos') {
+      return `${value} ${value === 1 ? 'repository' : 'repositories'}`;
+    }
+    return window.Utils.formatBytes(value);
   },
 
   /**
@@ -531,10 +667,13 @@ window.DevPulseCharts = {
    * Create activity timeline chart
    * @param {string} canvasId - Canvas element ID
    * @param {Array} activityData - Activity data over time
+   * @param {Object} options - Chart options
+   * @param {Array} options.series - Overlay one line per entry ({ label, color, events }) instead of activityData
    */
-  createActivityChart(canvasId, activityData) {
+  createActivityChart(canvasId, activityData, { series = null } = {}) {
     const canvas = document.getElementById(canvasId);
-    if (!canvas || !activityData || activityData.length === 0) return;
+    if (!canvas) return;
+    if (!series && (!activityData || activityData.length === 0)) return;
 
     // Destroy existing chart
     if (this.charts[canvasId]) {
@@ -542,14 +681,32 @@ window.DevPulseCharts = {
     }
 
     // Process data for last 30 days
-    const processedData = this.processActivityData(activityData);
+    const processedData = this.processActivityData(series ? [] : activityData);
+    
+    // Compare mode: one line per developer (commits + issues & PRs)
+    const datasets = series
+      ? series.map(({ label, color, events }) => {
+          const { commits, issues } = this.processActivityData(events);
+          return {
+            label,
+            data: commits.map((count, index) => count + issues[index]),
+            borderColor: color,
+            backgroundColor: 'transparent',
+            borderWidth: 2,
+            pointRadius: 3,
+            pointHoverRadius: 5,
+            fill: false,
+            tension: 0.4
+          };
+        })
+      : null;
     
     const ctx = canvas.getContext('2d');
     this.charts[canvasId] = new Chart(ctx, {
       type: 'line',
       data: {
         labels: processedData.labels,
-        datasets: [{
+        datasets: datasets || [{
           label: 'Commits',
           data: processedData.commits,
           borderColor: '#3b82f6',
@@ -656,6 +813,105 @@ window.DevPulseCharts = {
     return { labels, commits, issues };
   },
 
+  // ================================
+  // HISTORY CHART
+  // ================================
+  
+  /**
+   * Create the snapshot history chart: change per snapshot (bars) over the running value (line)
+   * @param {string} canvasId - Canvas element ID
+   * @param {Array} series - Points from DevPulseSnapshots.getSeries ({ takenAt, value, delta })
+   * @param {string} label - Metric label
+   */
+  createHistoryChart(canvasId, series, label) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    // Destroy existing chart
+    if (this.charts[canvasId]) {
+      this.charts[canvasId].destroy();
+    }
+    
+    if (!series || series.length === 0) return;
+
+    const labels = series.map(point => window.Utils.formatDate(point.takenAt, { month: 'short', day: 'numeric' }));
+    const format = (value) => Number.isInteger(value) ? window.Utils.formatNumber(value) : value.toFixed(1);
+    
+    const ctx = canvas.getContext('2d');
+    this.charts[canvasId] = new Chart(ctx, {
+      data: {
+        labels,
+        datasets: [{
+          type: 'bar',
+          label: 'Change',
+          data: series.map(point => point.delta),
+          backgroundColor: series.map(point => point.delta < 0 ? 'rgba(239, 68, 68, 0.6)' : 'rgba(16, 185, 129, 0.6)'),
+          borderRadius: 4,
+          yAxisID: 'y',
+          order: 2
+        }, {
+          type: 'line',
+          label,
+          data: series.map(point => point.value),
+          borderColor: '#667eea',
+          backgroundColor: 'transparent',
+          borderWidth: 2,
+          pointRadius: 3,
+          pointHoverRadius: 5,
+          tension: 0.3,
+          yAxisID: 'y1',
+          order: 1
+        }]
+      },
+      options: {
+        ...this.chartDefaults,
+        scales: {
+          x: {
+            ...this.chartDefaults.scales.x,
+            type: 'category'
+          },
+          y: {
+            ...this.chartDefaults.scales.y,
+            position: 'left',
+            title: {
+              display: true,
+              text: 'Change'
+            }
+          },
+          y1: {
+            ...this.chartDefaults.scales.y,
+            position: 'right',
+            grid: {
+              drawOnChartArea: false
+            },
+            title: {
+              display: true,
+              text: label
+            }
+          }
+        },
+        plugins: {
+          ...this.chartDefaults.plugins,
+          tooltip: {
+            ...this.chartDefaults.plugins.tooltip,
+            mode: 'index',
+            callbacks: {
+              title: (context) => window.Utils.formatDate(series[context[0].dataIndex].takenAt, {
+                month: 'short',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit'
+              }),
+              label: (context) => context.dataset.type === 'bar'
+                ? `Change: ${context.parsed.y > 0 ? '+' : ''}${format(context.parsed.y)}`
+                : `${label}: ${format(context.parsed.y)}`
+            }
+          }
+        }
+      }
+    });
+  },
+
   // ================================
   // REPOSITORY STATISTICS CHART
   // ================================
@@ -757,6 +1013,183 @@ window.DevPulseCharts = {
     return { labels, stars, forks };
   },
 
+  // ================================
+  // COMPARISON CHARTS
+  // ================================
+  
+  /**
+   * Create a grouped bar chart of language shares for several developers
+   * @param {string} canvasId - Canvas element ID
+   * @param {Array} series - [{ label, color, languages: [{ name, size }] }]
+   */
+  createLanguageComparisonChart(canvasId, series) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas || !series || series.length === 0) return;
+
+    if (this.charts[canvasId]) {
+      this.charts[canvasId].destroy();
+    }
+
+    // Shares rather than counts, so a developer with 300 repos doesn't flatten everyone else
+    const shares = series.map(({ languages }) => {
+      const total = languages.reduce((sum, lang) => sum + lang.size, 0) || 1;
+      return new Map(languages.map(lang => [lang.name, (lang.size / total) * 100]));
+    });
+    
+    const combined = new Map();
+    shares.forEach(share => share.forEach((value, name) => {
+      combined.set(name, (combined.get(name) || 0) + value);
+    }));
+    const labels = Array.from(combined.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this.config.get('charts.maxLanguages', 8))
+      .map(([name]) => name);
+
+    const ctx = canvas.getContext('2d');
+    this.charts[canvasId] = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: series.map(({ label, color }, index) => ({
+          label,
+          data: labels.map(name => Number((shares[index].get(name) || 0).toFixed(1))),
+          backgroundColor: color,
+          borderColor: color,
+          borderWidth: 1
+        }))
+      },
+      options: {
+        ...this.chartDefaults,
+        scales: {
+          ...this.chartDefaults.scales,
+          y: {
+            ...this.chartDefaults.scales.y,
+            beginAtZero: true,
+            title: {
+              display: true,
+              text: '% of repositories'
+            }
+          }
+        },
+        plugins: {
+          ...this.chartDefaults.plugins,
+          tooltip: {
+            ...this.chartDefaults.plugins.tooltip,
+            callbacks: {
+              label: (context) => `${context.dataset.label}: ${context.parsed.y}%`
+            }
+          }
+        }
+      }
+    });
+  },
+
+  /**
+   * Create a radar chart of DevPulseAI personality scores for several developers
+   * @param {string} canvasId - Canvas element ID
+   * @param {Array} series - [{ label, color, scores: { innovation, collaboration, consistency, exploration, leadership } }]
+   */
+  createPersonalityRadarChart(canvasId, series) {
+    const traits = ['innovation', 'collaboration', 'consistency', 'exploration', 'leadership'];
+    
+    this.createRadarChart(canvasId, {
+      labels: traits.map(trait => trait.charAt(0).toUpperCase() + trait.slice(1)),
+      series: series.map(({ label, color, scores }) => ({
+        label,
+        color,
+        values: traits.map(trait => scores[trait] || 0)
+      })),
+      max: 10,
+      formatValue: (value) => `${value}/10`
+    });
+  },
+
+  /**
+   * Create a radar chart with one dataset per series
+   * @param {string} canvasId - Canvas element ID
+   * @param {Object} options - Chart options
+   * @param {Array<string>} options.labels - Axis labels
+   * @param {Array} options.series - [{ label, color (hex), values }] with one value per axis
+   * @param {number} options.max - Scale maximum
+   * @param {Function} options.formatValue - Tooltip value formatter
+   */
+  createRadarChart(canvasId, { labels, series, max = 10, formatValue = (value) => value }) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas || !series || series.length === 0) return;
+
+    if (this.charts[canvasId]) {
+      this.charts[canvasId].destroy();
+    }
+
+    const gridColor = this.chartDefaults.scales.x.grid.color;
+
+    const ctx = canvas.getContext('2d');
+    this.charts[canvasId] = new Chart(ctx, {
+      type: 'radar',
+      data: {
+        labels,
+        datasets: series.map(({ label, color, values }) => ({
+          label,
+          data: values.map(value => Number(value.toFixed(1))),
+          borderColor: color,
+          backgroundColor: `${color}33`,
+          pointBackgroundColor: color,
+          borderWidth: 2
+        }))
+      },
+      options: {
+        ...this.chartDefaults,
+        scales: {
+          r: {
+            min: 0,
+            max,
+            ticks: {
+              stepSize: max / 5,
+              backdropColor: 'transparent'
+            },
+            grid: { color: gridColor },
+            angleLines: { color: gridColor }
+          }
+        },
+        plugins: {
+          ...this.chartDefaults.plugins,
+          tooltip: {
+            ...this.chartDefaults.plugins.tooltip,
+            callbacks: {
+              label: (context) => `${context.dataset.label}: ${formatValue(context.parsed.r)}`
+            }
+          }
+        }
+      }
+    });
+  },
+
+  /**
+   * Generate an inline SVG sparkline
+   * @param {Array<number>} values - Data points (oldest first)
+   * @param {Object} options - Sparkline options
+   * @param {number} options.width - SVG width in pixels
+   * @param {number} options.height - SVG height in pixels
+   * @param {string} options.color - Stroke color
+   * @returns {string} SVG markup
+   */
+  generateSparklineSVG(values, { width = 120, height = 32, color = '#3b82f6' } = {}) {
+    if (!values || values.length < 2) return '';
+    
+    const max = Math.max(...values, 1);
+    const step = width / (values.length - 1);
+    const points = values
+      .map((value, index) => `${(index * step).toFixed(1)},${(height - 2 - (value / max) * (height - 4)).toFixed(1)}`)
+      .join(' ');
+    
+    return `
+      <svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img"
+           aria-label="${values.reduce((sum, value) => sum + value, 0)} total, peak ${max}">
+        <polyline points="${points}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round"/>
+      </svg>
+    `;
+  },
+
   // ================================
   // CHART UTILITIES
   // ================================
@@ -808,6 +1241,39 @@ window.DevPulseCharts = {
     });
   },
 
+  /**
+   * Render charts to PNG data URLs for reports and exports
+   * @param {Array<string>} chartIds - Chart IDs (defaults to every chart currently on screen)
+   * @param {Object} options - Render options
+   * @param {string} options.background - Fill behind the transparent chart (defaults to the page background)
+   * @returns {Array} [{ id, title, image }]
+   */
+  getChartImages(chartIds = Object.keys(this.charts), { background } = {}) {
+    const fill = background || getComputedStyle(document.body).backgroundColor || '#ffffff';
+
+    return chartIds
+      .map(id => ({ id, chart: this.charts[id] }))
+      // Charts in hidden sections (other view modes) have no offsetParent
+      .filter(({ chart }) => chart && chart.canvas && chart.canvas.offsetParent !== null)
+      .map(({ id, chart }) => {
+        const source = chart.canvas;
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = fill;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(source, 0, 0);
+
+        return {
+          id,
+          title: source.getAttribute('aria-label') || id,
+          image: canvas.toDataURL('image/png')
+        };
+      });
+  },
+
   /**
    * Check if Chart.js is available
    * @returns {boolean} Whether Chart.js is loaded
@@ -0,0 +1,216 @@
+/**
+ * DevPulse v3.0 - Database Module
+ * Thin promise wrapper around IndexedDB for persistent client-side storage
+ */
+
+window.DevPulseDB = {
+
+  // ================================
+  // INITIALIZATION
+  // ================================
+
+  name: 'devpulse',
+  version: 2,
+  db: null,
+  openPromise: null,
+
+  /**
+   * Object store definitions: name => { keyPath, indexes }
+   * Bump `version` when adding a store so onupgradeneeded creates it.
+   */
+  stores: {
+    responses: { keyPath: 'key', indexes: ['lastAccess'] },
+    snapshots: { keyPath: 'id', indexes: ['username', 'takenAt'] }
+  },
+
+  /**
+   * Check whether IndexedDB is available in this browser
+   * @returns {boolean} Whether IndexedDB can be used
+   */
+  isSupported() {
+    try {
+      return typeof window.indexedDB !== 'undefined' && window.indexedDB !== null;
+    } catch (error) {
+      // Some privacy modes throw on access
+      return false;
+    }
+  },
+
+  /**
+   * Open (and upgrade if needed) the database
+   * @returns {Promise<IDBDatabase>} Database connection
+   */
+  open() {
+    if (this.openPromise) return this.openPromise;
+
+    if (!this.isSupported()) {
+      return Promise.reject(new Error('IndexedDB is not supported'));
+    }
+
+    this.openPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(this.name, this.version);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        Object.entries(this.stores).forEach(([storeName, definition]) => {
+          if (db.objectStoreNames.contains(storeName)) return;
+
+          const store = db.createObjectStore(storeName, { keyPath: definition.keyPath });
+          (definition.indexes || []).forEach(index => {
+            store.createIndex(index, index, { unique: false });
+          });
+        });
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+
+        // Another tab upgraded the schema - drop our connection so it can proceed
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+          this.openPromise = null;
+        };
+
+        resolve(this.db);
+      };
+
+      request.onerror = () => {
+        this.openPromise = null;
+        reject(request.error);
+      };
+
+      request.onblocked = () => {
+        console.warn('⚠️ DevPulse database upgrade blocked by another open tab');
+      };
+    });
+
+    return this.openPromise;
+  },
+
+  // ================================
+  // STORE OPERATIONS
+  // ================================
+
+  /**
+   * Run a request against an object store
+   * @param {string} storeName - Object store name
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the store, returns an IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async run(storeName, mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  },
+
+  /**
+   * Get a record by key
+   * @param {string} storeName - Object store name
+   * @param {*} key - Record key
+   * @returns {Promise<Object|undefined>} Record
+   */
+  get(storeName, key) {
+    return this.run(storeName, 'readonly', store => store.get(key));
+  },
+
+  /**
+   * Get all records in a store
+   * @param {string} storeName - Object store name
+   * @returns {Promise<Array>} Records
+   */
+  getAll(storeName) {
+    return this.run(storeName, 'readonly', store => store.getAll());
+  },
+
+  /**
+   * Get all records whose index matches a value
+   * @param {string} storeName - Object store name
+   * @param {string} indexName - Index name
+   * @param {*} value - Index key to match
+   * @returns {Promise<Array>} Records
+   */
+  getAllByIndex(storeName, indexName, value) {
+    return this.run(storeName, 'readonly', store => store.index(indexName).getAll(value));
+  },
+
+  /**
+   * Insert or replace a record
+   * @param {string} storeName - Object store name
+   * @param {Object} value - Record (must include the store's keyPath)
+   * @returns {Promise<*>} Record key
+   */
+  put(storeName, value) {
+    return this.run(storeName, 'readwrite', store => store.put(value));
+  },
+
+  /**
+   * Delete a record by key
+   * @param {string} storeName - Object store name
+   * @param {*} key - Record key
+   * @returns {Promise<void>}
+   */
+  delete(storeName, key) {
+    return this.run(storeName, 'readwrite', store => store.delete(key));
+  },
+
+  /**
+   * Delete several records in a single transaction
+   * @param {string} storeName - Object store name
+   * @param {Array} keys - Record keys
+   * @returns {Promise<void>}
+   */
+  deleteMany(storeName, keys) {
+    return this.run(storeName, 'readwrite', store => {
+      keys.forEach(key => store.delete(key));
+      return null;
+    });
+  },
+
+  /**
+   * Remove every record from a store
+   * @param {string} storeName - Object store name
+   * @returns {Promise<void>}
+   */
+  clear(storeName) {
+    return this.run(storeName, 'readwrite', store => store.clear());
+  },
+
+  /**
+   * Iterate over every record in a store
+   * @param {string} storeName - Object store name
+   * @param {Function} callback - Called with each record
+   * @returns {Promise<void>}
+   */
+  async forEach(storeName, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, 'readonly');
+      const request = transaction.objectStore(storeName).openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          callback(cursor.value);
+          cursor.continue();
+        }
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+};
+
+// Make database globally available
+window.DB = window.DevPulseDB;
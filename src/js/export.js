@@ -0,0 +1,348 @@
+/**
+ * DevPulse v3.0 - Dashboard Export Module
+ * Print/PDF, chart PNG snapshots and self-contained offline HTML snapshots of the dashboard
+ */
+
+window.DevPulseExport = {
+
+  // ================================
+  // STATE
+  // ================================
+
+  isInitialized: false,
+  printing: false,
+
+  // ================================
+  // INITIALIZATION
+  // ================================
+
+  /**
+   * Wire up the header export menu and print handling
+   */
+  init() {
+    if (this.isInitialized) return;
+
+    const config = window.DevPulseConfig;
+    const container = document.querySelector('.dashboard-export-container');
+
+    if (!config.get('features.visualizations.enableDataExport', true)) {
+      container?.remove();
+      console.log('📤 Dashboard export disabled by configuration');
+    } else if (container) {
+      if (!config.get('features.interface.enablePrintMode', true)) {
+        container.querySelector('[data-format="pdf"]')?.remove();
+      }
+      this.bindMenu(container);
+    }
+
+    // Browser print (Ctrl+P) gets the same layout as the PDF export
+    window.addEventListener('beforeprint', () => this.preparePrint());
+    window.addEventListener('afterprint', () => this.restoreAfterPrint());
+
+    this.isInitialized = true;
+    console.log('✅ Dashboard export initialized');
+  },
+
+  /**
+   * Bind the export button and its format menu
+   * @param {HTMLElement} container - .dashboard-export-container
+   */
+  bindMenu(container) {
+    const button = container.querySelector('#dashboard-export');
+    const menu = container.querySelector('.dashboard-export-menu');
+    if (!button || !menu) return;
+
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleMenu();
+    });
+
+    menu.addEventListener('click', (e) => {
+      const option = e.target.closest('[data-format]');
+      if (option) {
+        this.exportDashboard(option.dataset.format);
+      }
+    });
+
+    document.addEventListener('click', (e) => {
+      if (!menu.hidden && !e.target.closest('.dashboard-export-container')) {
+        this.toggleMenu(false);
+      }
+    });
+  },
+
+  /**
+   * Show or hide the export format menu
+   * @param {boolean} open - Whether to open the menu (toggles when omitted)
+   */
+  toggleMenu(open) {
+    const menu = document.querySelector('.dashboard-export-menu');
+    const button = document.getElementById('dashboard-export');
+    if (!menu || !button) return;
+
+    const shouldOpen = open ?? menu.hidden;
+    menu.hidden = !shouldOpen;
+    button.setAttribute('aria-expanded', String(shouldOpen));
+
+    if (shouldOpen) {
+      menu.querySelector('button')?.focus();
+    }
+  },
+
+  // ================================
+  // EXPORT
+  // ================================
+
+  /**
+   * Export the dashboard that is currently on screen
+   * @param {string} format - 'pdf' (print dialog), 'png' (one image per chart) or 'html' (offline snapshot)
+   */
+  exportDashboard(format) {
+    this.toggleMenu(false);
+
+    const snapshot = this.getSnapshotData();
+    if (!snapshot) {
+      window.DevPulseUI.showToast('Load a dashboard before exporting', 'warning');
+      return;
+    }
+
+    try {
+      switch (format) {
+        case 'pdf':
+          // The print stylesheet does the layout; "Save as PDF" in the dialog produces the file
+          window.print();
+          return;
+
+        case 'png':
+          this.exportChartImages(snapshot);
+          return;
+
+        case 'html':
+          this.exportHTMLSnapshot(snapshot);
+          break;
+
+        default:
+          throw new Error(`Unsupported dashboard export format: ${format}`);
+      }
+
+      window.DevPulseUI.showToast('Dashboard exported successfully!', 'success');
+    } catch (error) {
+      window.Utils.logError(error, 'exportDashboard', { format });
+      window.DevPulseUI.showToast('Failed to export dashboard', 'error');
+    }
+  },
+
+  /**
+   * Collect the data behind the current dashboard
+   * @returns {Object|null} Snapshot data, or null when no dashboard is loaded
+   */
+  getSnapshotData() {
+    const app = window.DevPulse;
+    const route = app.getCurrentRoute();
+    if (!route) return null;
+
+    const snapshot = {
+      generator: `DevPulse v${window.DevPulseConfig.app.version}`,
+      generatedAt: new Date().toISOString(),
+      view: route.view,
+      target: route.target
+    };
+
+    switch (route.view) {
+      case 'user': {
+        const { profile, repositories, events, languageStats, contributionData, contributionSummary } = app.currentUserData;
+        return { ...snapshot, profile, repositories, events, languageStats, contributionData, contributionSummary, insights: window.DevPulseAIUI?.getCurrentInsights() || null };
+      }
+
+      case 'organization': {
+        const { profile, repositories, members, events, languageStats, activeRepositories, contributors } = app.currentOrgData;
+        return { ...snapshot, profile, repositories, members, events, languageStats, activeRepositories, contributors };
+      }
+
+      case 'compare':
+        return {
+          ...snapshot,
+          developers: app.compareData.map(({ username, data, personality }) => ({
+            username,
+            profile: data.profile,
+            repositories: data.repositories,
+            languageStats: data.languageStats,
+            contributionData: data.contributionData,
+            contributionSummary: data.contributionSummary,
+            personality
+          }))
+        };
+
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Get the chart instances drawn on the visible dashboard
+   * @returns {Array} [{ id, chart }]
+   */
+  getVisibleCharts() {
+    const charts = window.DevPulseCharts.charts;
+
+    // Charts of the other view modes stay in the DOM but are hidden (no offsetParent)
+    return Object.keys(charts)
+      .filter(id => charts[id]?.canvas && charts[id].canvas.offsetParent !== null)
+      .map(id => ({ id, chart: charts[id] }));
+  },
+
+  /**
+   * Download a PNG of every chart on the dashboard
+   * @param {Object} snapshot - Snapshot data
+   */
+  exportChartImages(snapshot) {
+    const charts = this.getVisibleCharts();
+    if (charts.length === 0) {
+      window.DevPulseUI.showToast('There are no charts to export', 'warning');
+      return;
+    }
+
+    charts.forEach(({ id, chart }) => {
+      const blob = window.Utils.dataURLToBlob(chart.toBase64Image('image/png', 1));
+      window.Utils.downloadFile(blob, window.Utils.getExportFilename(`devpulse-${this.getFilenameTarget(snapshot)}-${id}`, 'png'));
+    });
+
+    window.DevPulseUI.showToast(`Exported ${charts.length} chart${charts.length === 1 ? '' : 's'} as PNG`, 'success');
+  },
+
+  /**
+   * Download the dashboard as a single HTML file that works offline
+   * @param {Object} snapshot - Snapshot data
+   */
+  exportHTMLSnapshot(snapshot) {
+    const html = this.buildHTMLSnapshot(snapshot);
+    window.Utils.downloadFile(html, window.Utils.getExportFilename(`devpulse-${this.getFilenameTarget(snapshot)}`, 'html'), 'text/html');
+  },
+
+  /**
+   * Build a standalone HTML document from the rendered dashboard
+   * @param {Object} snapshot - Snapshot data, embedded as JSON for later reuse
+   * @returns {string} HTML document
+   */
+  buildHTMLSnapshot(snapshot) {
+    const dashboard = document.getElementById('dashboard');
+    const clone = dashboard.cloneNode(true);
+
+    // Canvases clone blank; swap each one for an image of its chart
+    const charts = window.DevPulseCharts.charts;
+    clone.querySelectorAll('canvas[id]').forEach(canvas => {
+      const chart = charts[canvas.id];
+      if (!chart) {
+        canvas.remove();
+        return;
+      }
+
+      const image = document.createElement('img');
+      image.src = chart.toBase64Image('image/png', 1);
+      image.alt = canvas.getAttribute('aria-label') || canvas.id;
+      image.className = 'snapshot-chart';
+      canvas.replaceWith(image);
+    });
+
+    // Controls do nothing without the app's scripts
+    clone.querySelectorAll('button, select, input, .section-actions, .no-print, script').forEach(element => element.remove());
+    clone.querySelectorAll('.charts-collapsed').forEach(element => element.classList.replace('charts-collapsed', 'charts-expanded'));
+    clone.removeAttribute('style');
+
+    const escape = (value) => window.Utils.escapeHtml(String(value ?? ''));
+    // "</script>" inside the data must not close the data block
+    const data = JSON.stringify(snapshot).replace(/</g, '\\u003c');
+    const theme = document.documentElement.getAttribute('data-theme') || 'light';
+    const title = `DevPulse: ${snapshot.target}`;
+
+    return `<!DOCTYPE html>
+<html lang="en" data-theme="${escape(theme)}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="generator" content="${escape(snapshot.generator)}">
+  <title>${escape(title)}</title>
+  <style>
+${this.collectStyles()}
+    .snapshot-banner { max-width: 1200px; margin: 0 auto; padding: 16px 24px; color: var(--color-text-secondary); font-size: 0.875rem; }
+    .snapshot-chart { display: block; max-width: 100%; height: auto; margin: 0 auto; }
+  </style>
+</head>
+<body class="dashboard-visible snapshot">
+  <p class="snapshot-banner">Snapshot of ${escape(snapshot.target)} exported ${escape(new Date(snapshot.generatedAt).toLocaleString())} by ${escape(snapshot.generator)}</p>
+  <main class="main-content">
+    <div class="container">
+      ${clone.outerHTML}
+    </div>
+  </main>
+  <script type="application/json" id="devpulse-snapshot-data">${data}</script>
+</body>
+</html>`;
+  },
+
+  /**
+   * Concatenate the page's stylesheet rules so the snapshot needs no external files
+   * @returns {string} CSS text
+   */
+  collectStyles() {
+    return Array.from(document.styleSheets).map(sheet => {
+      try {
+        return Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+      } catch (error) {
+        // Cross-origin sheets (web fonts) cannot be read; the snapshot falls back to system fonts
+        return '';
+      }
+    }).join('\n');
+  },
+
+  /**
+   * File-name-safe name of the exported dashboard
+   * @param {Object} snapshot - Snapshot data
+   * @returns {string} e.g. 'torvalds' or 'compare-torvalds-gaearon'
+   */
+  getFilenameTarget(snapshot) {
+    const target = snapshot.target.replace(/[^a-z0-9-]+/gi, '-');
+    return snapshot.view === 'compare' ? `compare-${target}` : target;
+  },
+
+  // ================================
+  // PRINT
+  // ================================
+
+  /**
+   * Expand collapsed sections and resize charts to the printed page width
+   */
+  preparePrint() {
+    if (this.printing) return;
+    this.printing = true;
+
+    const chartsGrid = document.getElementById('charts-grid');
+    if (chartsGrid?.classList.contains('charts-collapsed')) {
+      chartsGrid.dataset.printCollapsed = 'true';
+      chartsGrid.classList.replace('charts-collapsed', 'charts-expanded');
+    }
+
+    document.body.classList.add('print-mode');
+    Object.values(window.DevPulseCharts.charts).forEach(chart => chart?.resize());
+  },
+
+  /**
+   * Put the dashboard back the way it was before printing
+   */
+  restoreAfterPrint() {
+    if (!this.printing) return;
+    this.printing = false;
+
+    const chartsGrid = document.getElementById('charts-grid');
+    if (chartsGrid?.dataset.printCollapsed) {
+      delete chartsGrid.dataset.printCollapsed;
+      chartsGrid.classList.replace('charts-expanded', 'charts-collapsed');
+    }
+
+    document.body.classList.remove('print-mode');
+    Object.values(window.DevPulseCharts.charts).forEach(chart => chart?.resize());
+  }
+};
+
+// Make export globally available
+window.Export = window.DevPulseExport;
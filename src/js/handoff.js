@@ -0,0 +1,215 @@
+/**
+ * DevPulse v3.0 - 3D Visualization Handoff
+ * Passes the current developer's data from the dashboard to the 3D visualization window
+ * over BroadcastChannel (postMessage where unsupported), with a stored copy for reloads
+ */
+
+window.DevPulseHandoff = {
+
+  // ================================
+  // STATE
+  // ================================
+
+  storageKey: 'devpulse-3d-data',
+  channelName: 'devpulse-3d',
+  messageSource: 'devpulse-handoff',
+  version: 3, // Bump when the payload shape changes, so stale stored copies are ignored
+  channel: null,
+  listeners: [],
+
+  // ================================
+  // PAYLOAD
+  // ================================
+
+  /**
+   * Reduce dashboard user data to what the 3D visualizations use
+   * @param {Object} userData - DevPulse.currentUserData ({ profile, repositories, events, languageStats, contributionData })
+   * @returns {Object} { version, login, name, sentAt, repositories, languages, contributions, activity }
+   */
+  buildPayload(userData) {
+    return {
+      version: this.version,
+      login: userData.profile?.login,
+      name: userData.profile?.name || null,
+      sentAt: new Date().toISOString(),
+      repositories: (userData.repositories || []).map(repo => ({
+        name: repo.name,
+        fullName: repo.full_name || null,
+        language: repo.language || 'Other',
+        stars: repo.stargazers_count || 0,
+        forks: repo.forks_count || 0,
+        size: repo.size || 0,
+        description: repo.description || null,
+        url: repo.html_url || null,
+        updatedAt: repo.updated_at || null,
+        topics: repo.topics || [],
+        fork: Boolean(repo.fork),
+        parent: repo.parent || null
+      })),
+      languages: Object.fromEntries((userData.languageStats || []).map(lang => [lang.name, lang.size])),
+      contributions: (userData.contributionData || []).map(day => ({ date: day.date, count: day.count || 0 })),
+      activity: this.buildActivity(userData.events || [])
+    };
+  },
+
+  /**
+   * Reduce events to what relates repositories in the 3D graph
+   * @param {Array} events - Normalized events
+   * @returns {Object} { days: { repoFullName: ['YYYY-MM-DD'] }, forks: [{ parent, fork }] }
+   */
+  buildActivity(events) {
+    const days = {};
+    const forks = [];
+
+    events.forEach(event => {
+      const repoName = event.repo?.name;
+      if (!repoName || !event.created_at) return;
+
+      const day = event.created_at.slice(0, 10);
+      days[repoName] = days[repoName] || [];
+      if (!days[repoName].includes(day)) {
+        days[repoName].push(day);
+      }
+
+      // A ForkEvent happens on the parent and names the new fork
+      if (event.type === 'ForkEvent' && event.payload?.forkee) {
+        forks.push({ parent: repoName, fork: event.payload.forkee });
+      }
+    });
+
+    return { days, forks };
+  },
+
+  /**
+   * Keep a copy for pages opened without a dashboard (reloads, same-tab fallback, shared links)
+   * @param {Object} payload - Payload from buildPayload
+   * @returns {boolean} Whether the copy was saved
+   */
+  store(payload) {
+    return window.Utils.setStorage(this.storageKey, payload);
+  },
+
+  /**
+   * Read the stored copy
+   * @param {string|null} username - Only return the copy if it belongs to this user
+   * @returns {Object|null} Payload
+   */
+  load(username = null) {
+    const payload = window.Utils.getStorage(this.storageKey, null);
+    if (!payload || payload.version !== this.version) return null;
+    if (username && payload.login?.toLowerCase() !== username.toLowerCase()) return null;
+    return payload;
+  },
+
+  /**
+   * Load a developer straight from the API, the same way the dashboard does
+   * @param {string} username - Username
+   * @returns {Promise<Object>} Payload
+   */
+  async fetchPayload(username) {
+    const api = window.DevPulseAPI;
+    const [profile, repositories, events, contributions] = await Promise.all([
+      api.getUserProfile(username),
+      api.getUserRepositories(username, { sort: 'updated', direction: 'desc' }),
+      api.getUserEvents(username).catch(() => []),
+      api.canUseGraphQL() ? api.getContributionCollection(username).catch(() => null) : Promise.resolve(null)
+    ]);
+
+    const payload = this.buildPayload({
+      profile,
+      repositories,
+      events,
+      languageStats: api.aggregateLanguageStats(repositories),
+      contributionData: contributions ? contributions.calendar : api.generateContributionCalendar(events)
+    });
+    this.store(payload);
+    return payload;
+  },
+
+  // ================================
+  // MESSAGING
+  // ================================
+
+  /**
+   * Open the BroadcastChannel shared by DevPulse windows, where supported
+   * @returns {BroadcastChannel|null} Channel
+   */
+  openChannel() {
+    if (!this.channel && typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this.channelName);
+      this.channel.addEventListener('message', (event) => this.dispatch(event.data, null));
+    }
+    return this.channel;
+  },
+
+  /**
+   * Receive handoff messages from other DevPulse windows
+   * @param {Function} handler - Called with (message, sourceWindow); sourceWindow is null on BroadcastChannel
+   */
+  listen(handler) {
+    this.openChannel();
+
+    if (!this.listeners.length) {
+      window.addEventListener('message', (event) => {
+        if (event.origin !== window.location.origin) return;
+        this.dispatch(event.data, event.source);
+      });
+    }
+
+    this.listeners.push(handler);
+  },
+
+  /**
+   * Pass a received message to the registered handlers, ignoring anything not sent by DevPulseHandoff
+   * @param {Object} message - Message data ({ type, payload, source })
+   * @param {Window|null} source - Window that posted the message; null when it came over BroadcastChannel
+   */
+  dispatch(message, source) {
+    if (message?.source !== this.messageSource) return;
+    this.listeners.forEach(handler => handler(message, source));
+  },
+
+  /**
+   * Send a message to the other DevPulse windows
+   * @param {Object} message - { type, payload }
+   * @param {Window|null} target - Window to postMessage when BroadcastChannel is unavailable
+   */
+  post(message, target = null) {
+    const envelope = { ...message, source: this.messageSource };
+
+    try {
+      const channel = this.openChannel();
+      if (channel) {
+        channel.postMessage(envelope);
+      } else if (target && !target.closed) {
+        target.postMessage(envelope, window.location.origin);
+      }
+    } catch (error) {
+      window.Utils.logError(error, 'DevPulseHandoff.post', { type: message.type });
+    }
+  },
+
+  /**
+   * Store and send the current developer to any open 3D visualization window
+   * @param {Object} userData - DevPulse.currentUserData
+   * @param {Window|null} target - 3D window, for browsers without BroadcastChannel
+   * @returns {Object} Payload
+   */
+  publish(userData, target = null) {
+    const payload = this.buildPayload(userData);
+    this.store(payload);
+    this.post({ type: 'user-data', payload }, target);
+    return payload;
+  },
+
+  /**
+   * Ask an open dashboard for its current developer
+   * @param {Window|null} target - Dashboard window, for browsers without BroadcastChannel
+   */
+  request(target = null) {
+    this.post({ type: 'request-data' }, target);
+  }
+};
+
+// Make handoff globally available
+window.Handoff = window.DevPulseHandoff;
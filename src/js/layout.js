@@ -0,0 +1,435 @@
+/**
+ * DevPulse v3.0 - Dashboard Layout Module
+ * Section order, visibility and collapsed state, seeded from display.sections and saved per browser
+ */
+
+window.DevPulseLayout = {
+
+  // ================================
+  // STATE
+  // ================================
+
+  storageKey: 'devpulse-layout',
+
+  // Sections the layout manages (keys match display.sections in config.js)
+  sections: {
+    profile: { id: 'user-profile', title: 'Profile', collapsible: false },
+    stats: { id: 'stats-overview', title: 'Overview', collapsible: true },
+    ai: { id: 'ai-insights', title: 'AI Insights', collapsible: true },
+    charts: { id: 'analytics-charts', title: 'Analytics', collapsible: true },
+    repositories: { id: 'repositories', title: 'Repositories', collapsible: true },
+    activity: { id: 'recent-activity', title: 'Recent Activity', collapsible: true },
+    history: { id: 'history', title: 'History', collapsible: true }
+  },
+
+  // The organization and compare panels follow the overview cards wherever they go
+  anchoredToStats: ['compare-view', 'org-overview'],
+
+  layout: null, // { order, hidden, collapsed, chartsExpanded }
+  draggedKey: null,
+  isInitialized: false,
+
+  // ================================
+  // INITIALIZATION
+  // ================================
+
+  /**
+   * Load the saved layout, add section controls and arrange the dashboard
+   */
+  init() {
+    if (this.isInitialized) return;
+
+    this.layout = this.normalize(window.Utils.getStorage(this.storageKey, null));
+
+    this.addCollapseButtons();
+    this.bindMenu();
+    this.renderMenu();
+    this.apply();
+
+    this.isInitialized = true;
+    console.log(`🧩 Dashboard layout initialized (${this.layout.order.join(', ')})`);
+  },
+
+  /**
+   * Keys of the sections enabled in config
+   * @returns {Array<string>} Section keys
+   */
+  getEnabledKeys() {
+    return Object.keys(this.sections)
+      .filter(key => window.DevPulseConfig.get(`display.sections.${key}.enabled`, true) !== false);
+  },
+
+  /**
+   * The layout defined by config.js
+   * @returns {Object} Default layout
+   */
+  getDefaultLayout() {
+    const enabled = this.getEnabledKeys();
+    const configured = window.DevPulseConfig.get('display.sections.order', []).filter(key => enabled.includes(key));
+
+    return {
+      // Sections missing from the configured order keep their built-in position at the end
+      order: [...configured, ...enabled.filter(key => !configured.includes(key))],
+      hidden: [],
+      collapsed: [],
+      chartsExpanded: false
+    };
+  },
+
+  /**
+   * Merge a saved layout with the config defaults, dropping unknown or disabled sections
+   * @param {Object|null} saved - Layout from storage
+   * @returns {Object} Usable layout
+   */
+  normalize(saved) {
+    const defaults = this.getDefaultLayout();
+    if (!saved || !Array.isArray(saved.order)) return defaults;
+
+    const known = (keys) => (Array.isArray(keys) ? keys : []).filter(key => defaults.order.includes(key));
+    const order = [...new Set(known(saved.order))];
+
+    // Sections added to the app after the layout was saved slot in at their default position
+    defaults.order.forEach((key, index) => {
+      if (!order.includes(key)) order.splice(Math.min(index, order.length), 0, key);
+    });
+
+    return {
+      order,
+      hidden: known(saved.hidden),
+      collapsed: known(saved.collapsed),
+      chartsExpanded: Boolean(saved.chartsExpanded)
+    };
+  },
+
+  /**
+   * Persist the layout
+   */
+  save() {
+    window.Utils.setStorage(this.storageKey, this.layout);
+  },
+
+  /**
+   * Go back to the config defaults
+   */
+  reset() {
+    this.layout = this.getDefaultLayout();
+    this.save();
+    this.renderMenu();
+    this.apply();
+    this.applyCollapsed('ai');
+    window.DevPulse?.setAnalyticsExpanded(false);
+    window.DevPulse?.syncRoute();
+    window.DevPulseUI.showToast('Dashboard layout reset', 'info');
+  },
+
+  // ================================
+  // SECTIONS
+  // ================================
+
+  /**
+   * Get the element of a section
+   * @param {string} key - Section key
+   * @returns {HTMLElement|null} Section element (the AI section only exists once insights rendered)
+   */
+  getElement(key) {
+    return document.getElementById(this.sections[key]?.id);
+  },
+
+  /**
+   * Get the display name of a section
+   * @param {string} key - Section key
+   * @returns {string} Title
+   */
+  getTitle(key) {
+    return window.DevPulseConfig.get(`display.sections.${key}.title`, this.sections[key].title);
+  },
+
+  /**
+   * Put the dashboard sections in layout order and apply their visibility and collapsed state
+   */
+  apply() {
+    const dashboard = document.getElementById('dashboard');
+    if (!dashboard || !this.layout) return;
+
+    const enabled = this.getEnabledKeys();
+
+    // Appending moves each section to the end, so notices inserted at the top stay there
+    this.layout.order.forEach(key => {
+      const element = this.getElement(key);
+      if (!element) return;
+
+      dashboard.appendChild(element);
+      if (key === 'stats') {
+        this.anchoredToStats.forEach(id => {
+          const anchored = document.getElementById(id);
+          if (anchored) dashboard.appendChild(anchored);
+        });
+      }
+    });
+
+    Object.keys(this.sections).forEach(key => {
+      const element = this.getElement(key);
+      if (!element) return;
+
+      element.classList.toggle('layout-hidden', !enabled.includes(key) || this.isHidden(key));
+
+      // A shared link can collapse the AI section too, so only explicit toggles change it
+      if (key !== 'ai') this.applyCollapsed(key);
+    });
+  },
+
+  /**
+   * Check whether the user hid a section
+   * @param {string} key - Section key
+   * @returns {boolean} Whether the section is hidden
+   */
+  isHidden(key) {
+    return this.layout?.hidden.includes(key) || false;
+  },
+
+  /**
+   * Show or hide a section
+   * @param {string} key - Section key
+   * @param {boolean} hidden - Whether to hide it
+   */
+  setHidden(key, hidden) {
+    this.layout.hidden = this.layout.hidden.filter(item => item !== key);
+    if (hidden) this.layout.hidden.push(key);
+
+    this.save();
+    this.apply();
+  },
+
+  /**
+   * Check whether a section is collapsed to its header
+   * @param {string} key - Section key
+   * @returns {boolean} Whether the section is collapsed
+   */
+  isCollapsed(key) {
+    return this.layout?.collapsed.includes(key) || false;
+  },
+
+  /**
+   * Collapse or expand a section and remember it
+   * @param {string} key - Section key
+   * @param {boolean} collapsed - Whether to collapse it
+   */
+  setCollapsed(key, collapsed) {
+    this.layout.collapsed = this.layout.collapsed.filter(item => item !== key);
+    if (collapsed) this.layout.collapsed.push(key);
+
+    this.save();
+    this.applyCollapsed(key);
+  },
+
+  /**
+   * Reflect the collapsed state of a section in the DOM
+   * @param {string} key - Section key
+   */
+  applyCollapsed(key) {
+    const collapsed = this.isCollapsed(key);
+
+    // The AI section has its own collapse control and styles
+    if (key === 'ai') {
+      window.DevPulseAIUI?.setCollapsed(collapsed);
+      return;
+    }
+
+    const element = this.getElement(key);
+    const button = element?.querySelector('.section-collapse-btn');
+    if (!element || !button) return;
+
+    element.classList.toggle('section-collapsed', collapsed);
+    button.setAttribute('aria-expanded', String(!collapsed));
+    button.title = `${collapsed ? 'Expand' : 'Collapse'} ${this.getTitle(key)}`;
+  },
+
+  /**
+   * Add a collapse button to the header of every collapsible static section
+   */
+  addCollapseButtons() {
+    Object.entries(this.sections).forEach(([key, section]) => {
+      const header = this.getElement(key)?.querySelector('.section-header');
+      if (!section.collapsible || key === 'ai' || !header) return;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'section-collapse-btn';
+      button.setAttribute('aria-controls', section.id);
+      button.innerHTML = `
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" aria-hidden="true">
+          <polyline points="18 15 12 9 6 15"/>
+        </svg>
+      `;
+      button.addEventListener('click', () => this.setCollapsed(key, !this.isCollapsed(key)));
+      header.appendChild(button);
+    });
+  },
+
+  /**
+   * Move a section to a new position
+   * @param {string} key - Section key
+   * @param {number} index - Target index in the order
+   */
+  moveSection(key, index) {
+    const order = this.layout.order.filter(item => item !== key);
+    order.splice(Math.max(0, Math.min(index, order.length)), 0, key);
+    this.layout.order = order;
+
+    this.save();
+    this.renderMenu();
+    this.apply();
+  },
+
+  /**
+   * Check whether the analytics charts grid was left expanded
+   * @returns {boolean} Whether the grid is expanded
+   */
+  isChartsExpanded() {
+    return this.layout?.chartsExpanded || false;
+  },
+
+  /**
+   * Remember the analytics "Show More" state
+   * @param {boolean} expanded - Whether the charts grid is expanded
+   */
+  setChartsExpanded(expanded) {
+    if (!this.layout) return;
+
+    this.layout.chartsExpanded = expanded;
+    this.save();
+  },
+
+  // ================================
+  // LAYOUT MENU
+  // ================================
+
+  /**
+   * Bind the header layout button and the drag-and-drop section list
+   */
+  bindMenu() {
+    const container = document.querySelector('.dashboard-layout-container');
+    const button = document.getElementById('dashboard-layout');
+    const list = document.getElementById('layout-list');
+    if (!container || !button || !list) return;
+
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleMenu();
+    });
+
+    document.addEventListener('click', (e) => {
+      // Moving a section re-renders the list, which detaches the clicked button
+      if (e.target.isConnected && !e.target.closest('.dashboard-layout-container')) {
+        this.toggleMenu(false);
+      }
+    });
+
+    document.getElementById('layout-reset')?.addEventListener('click', () => this.reset());
+
+    list.addEventListener('change', (e) => {
+      const checkbox = e.target.closest('input[data-section]');
+      if (checkbox) {
+        this.setHidden(checkbox.dataset.section, !checkbox.checked);
+      }
+    });
+
+    // Up/down buttons keep reordering usable without a mouse
+    list.addEventListener('click', (e) => {
+      const move = e.target.closest('[data-move]');
+      if (!move) return;
+
+      const key = move.closest('.layout-item').dataset.section;
+      const index = this.layout.order.indexOf(key) + (move.dataset.move === 'up' ? -1 : 1);
+      this.moveSection(key, index);
+      list.querySelector(`.layout-item[data-section="${key}"] [data-move="${move.dataset.move}"]`)?.focus();
+    });
+
+    list.addEventListener('dragstart', (e) => {
+      const item = e.target.closest('.layout-item');
+      if (!item) return;
+
+      this.draggedKey = item.dataset.section;
+      item.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', this.draggedKey);
+    });
+
+    list.addEventListener('dragover', (e) => {
+      const item = e.target.closest('.layout-item');
+      if (!this.draggedKey || !item) return;
+
+      e.preventDefault();
+      list.querySelectorAll('.drop-before, .drop-after').forEach(el => el.classList.remove('drop-before', 'drop-after'));
+      item.classList.add(this.isAfterMidpoint(e, item) ? 'drop-after' : 'drop-before');
+    });
+
+    list.addEventListener('drop', (e) => {
+      const item = e.target.closest('.layout-item');
+      if (!this.draggedKey || !item) return;
+
+      e.preventDefault();
+      const order = this.layout.order.filter(key => key !== this.draggedKey);
+      const index = order.indexOf(item.dataset.section) + (this.isAfterMidpoint(e, item) ? 1 : 0);
+      this.moveSection(this.draggedKey, index);
+    });
+
+    list.addEventListener('dragend', () => {
+      this.draggedKey = null;
+      list.querySelectorAll('.dragging, .drop-before, .drop-after').forEach(el => el.classList.remove('dragging', 'drop-before', 'drop-after'));
+    });
+  },
+
+  /**
+   * Check whether the pointer is in the lower half of a list item
+   * @param {DragEvent} e - Drag event
+   * @param {HTMLElement} item - Hovered list item
+   * @returns {boolean} Whether to drop after the item
+   */
+  isAfterMidpoint(e, item) {
+    const rect = item.getBoundingClientRect();
+    return e.clientY > rect.top + rect.height / 2;
+  },
+
+  /**
+   * Show or hide the layout menu
+   * @param {boolean} open - Whether to open the menu (toggles when omitted)
+   */
+  toggleMenu(open) {
+    const menu = document.querySelector('.dashboard-layout-menu');
+    const button = document.getElementById('dashboard-layout');
+    if (!menu || !button) return;
+
+    const shouldOpen = open ?? menu.hidden;
+    menu.hidden = !shouldOpen;
+    button.setAttribute('aria-expanded', String(shouldOpen));
+  },
+
+  /**
+   * Render the section list of the layout menu
+   */
+  renderMenu() {
+    const list = document.getElementById('layout-list');
+    if (!list) return;
+
+    const last = this.layout.order.length - 1;
+    list.innerHTML = this.layout.order.map((key, index) => {
+      const title = window.Utils.escapeHtml(this.getTitle(key));
+
+      return `
+        <li class="layout-item" draggable="true" data-section="${key}">
+          <span class="layout-handle" aria-hidden="true">⋮⋮</span>
+          <label class="layout-label">
+            <input type="checkbox" data-section="${key}" ${this.isHidden(key) ? '' : 'checked'}>
+            ${title}
+          </label>
+          <button type="button" class="layout-move" data-move="up" aria-label="Move ${title} up" ${index === 0 ? 'disabled' : ''}>↑</button>
+          <button type="button" class="layout-move" data-move="down" aria-label="Move ${title} down" ${index === last ? 'disabled' : ''}>↓</button>
+        </li>
+      `;
+    }).join('');
+  }
+};
+
+// Make layout globally available
+window.Layout = window.DevPulseLayout;
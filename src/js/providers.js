@@ -0,0 +1,709 @@
+/**
+ * DevPulse v3.0 - Data Providers
+ * Maps forge-specific REST APIs (GitHub.com, GitHub Enterprise Server, Gitea/Forgejo)
+ * onto the normalized profile, repository and event shapes the dashboard works with.
+ *
+ * Normalizers are pure functions of a raw API payload plus the provider settings,
+ * so each provider can be checked against recorded API responses without a network.
+ */
+
+window.DevPulseProviders = {
+
+  // ================================
+  // REGISTRY
+  // ================================
+
+  providers: {},
+
+  /**
+   * Register a provider definition
+   * @param {Object} provider - Provider definition (see the GitHub provider for the full interface)
+   */
+  register(provider) {
+    provider.types.forEach(type => {
+      this.providers[type] = provider;
+    });
+  },
+
+  /**
+   * Get a provider by type
+   * @param {string} type - 'github', 'ghes', 'gitea' or 'forgejo'
+   * @returns {Object} Provider definition
+   */
+  get(type) {
+    const provider = this.providers[type];
+    if (!provider) {
+      throw new Error(`Unknown data provider: ${type}`);
+    }
+    return provider;
+  },
+
+  /**
+   * Get the provider selected in config
+   * @returns {Object} Provider definition
+   */
+  getActive() {
+    return this.get(window.DevPulseConfig.get('github.provider', 'github'));
+  },
+
+  /**
+   * Resolve URLs for a provider from config
+   * @param {Object} config - DevPulseConfig (or any object with get(path, default))
+   * @returns {Object} { type, apiUrl, webUrl, graphqlUrl }
+   */
+  resolveSettings(config = window.DevPulseConfig) {
+    const type = config.get('github.provider', 'github');
+    const provider = this.get(type);
+    const apiUrl = config.get('github.apiUrl', provider.defaultApiUrl).replace(/\/+$/, '');
+    const webUrl = (config.get('github.webUrl', null) || provider.deriveWebUrl(apiUrl)).replace(/\/+$/, '');
+
+    return {
+      type,
+      apiUrl,
+      webUrl,
+      graphqlUrl: provider.supportsGraphQL
+        ? config.get('github.graphql.url', null) || provider.deriveGraphQLUrl(apiUrl)
+        : null
+    };
+  },
+
+  /**
+   * Profile URL on the active provider's web UI
+   * @param {string} username - Username
+   * @returns {string} Profile URL
+   */
+  profileUrl(username) {
+    return `${this.resolveSettings().webUrl}/${username}`;
+  },
+
+  /**
+   * Repository URL on the active provider's web UI
+   * @param {string} fullName - 'owner/repo'
+   * @returns {string} Repository URL
+   */
+  repoUrl(fullName) {
+    return `${this.resolveSettings().webUrl}/${fullName}`;
+  }
+};
+
+// ================================
+// GITHUB.COM & GITHUB ENTERPRISE SERVER
+// ================================
+
+window.DevPulseProviders.register({
+  id: 'github',
+  name: 'GitHub',
+  types: ['github', 'ghes'],
+  defaultApiUrl: 'https://api.github.com',
+  supportsGraphQL: true,
+  reportsRateLimit: true,
+  maxPerPage: 100,
+
+  /**
+   * Web UI base URL for an API URL (https://ghe.example.com/api/v3 -> https://ghe.example.com)
+   * @param {string} apiUrl - API base URL
+   * @returns {string} Web base URL
+   */
+  deriveWebUrl(apiUrl) {
+    if (apiUrl === 'https://api.github.com') return 'https://github.com';
+    return apiUrl.replace(/\/api\/v3$/, '');
+  },
+
+  /**
+   * GraphQL endpoint for an API URL (GHES serves it at /api/graphql)
+   * @param {string} apiUrl - API base URL
+   * @returns {string} GraphQL URL
+   */
+  deriveGraphQLUrl(apiUrl) {
+    if (apiUrl === 'https://api.github.com') return 'https://api.github.com/graphql';
+    return apiUrl.replace(/\/api\/v3$/, '/api/graphql');
+  },
+
+  /**
+   * Headers sent with every request
+   * @returns {Object} Headers
+   */
+  defaultHeaders() {
+    return {
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'DevPulse-Analytics/3.0'
+    };
+  },
+
+  /**
+   * Authorization header for a token
+   * @param {string} token - Personal access token
+   * @returns {Object} Headers
+   */
+  authHeaders(token) {
+    return { 'Authorization': `Bearer ${token}` };
+  },
+
+  /**
+   * Basic sanity check for GitHub token formats (classic and fine-grained)
+   * @param {string} token - Token to check
+   * @returns {boolean} Whether the token looks valid
+   */
+  isValidToken(token) {
+    return /^(ghp_|gho_|ghu_|ghs_|github_pat_)[A-Za-z0-9_]{20,}$/.test(token) ||
+      /^[a-f0-9]{40}$/i.test(token);
+  },
+
+  endpoints: {
+    profile: (username) => `/users/${username}`,
+    repositories: (username, { sort, direction, perPage, type }) =>
+      `/users/${username}/repos?sort=${sort}&direction=${direction}&per_page=${perPage}&type=${type}`,
+    events: (username, { perPage }) => `/users/${username}/events/public?per_page=${perPage}`,
+    languages: (fullName) => `/repos/${fullName}/languages`,
+    organization: (org) => `/orgs/${org}`,
+    orgRepositories: (org, { sort, direction, perPage }) =>
+      `/orgs/${org}/repos?type=public&sort=${sort}&direction=${direction}&per_page=${perPage}`,
+    orgMembers: (org, { perPage }) => `/orgs/${org}/public_members?per_page=${perPage}`,
+    orgEvents: (org, { perPage }) => `/orgs/${org}/events?per_page=${perPage}`,
+    contributors: (fullName, { perPage }) => `/repos/${fullName}/contributors?per_page=${perPage}`,
+    commitActivity: (fullName) => `/repos/${fullName}/stats/commit_activity`,
+    // Calls to /rate_limit do not count against the budget
+    verifyToken: () => '/rate_limit'
+  },
+
+  /**
+   * Normalize a user payload
+   * @param {Object} user - Raw /users/:username response
+   * @returns {Object} Normalized profile
+   */
+  normalizeProfile(user) {
+    return {
+      login: user.login,
+      name: user.name || user.login,
+      bio: user.bio,
+      company: user.company,
+      location: user.location,
+      email: user.email,
+      blog: user.blog,
+      twitter: user.twitter_username,
+      avatar_url: user.avatar_url,
+      followers: user.followers,
+      following: user.following,
+      public_repos: user.public_repos,
+      public_gists: user.public_gists,
+      created_at: user.created_at,
+      updated_at: user.updated_at,
+      profile_url: user.html_url
+    };
+  },
+
+  /**
+   * Normalize an organization payload into the profile shape
+   * @param {Object} org - Raw /orgs/:org response
+   * @returns {Object} Normalized organization profile
+   */
+  normalizeOrganization(org) {
+    return {
+      type: 'Organization',
+      login: org.login,
+      name: org.name || org.login,
+      bio: org.description,
+      company: null,
+      location: org.location,
+      email: org.email,
+      blog: org.blog,
+      twitter: org.twitter_username,
+      avatar_url: org.avatar_url,
+      followers: org.followers || 0,
+      following: 0,
+      public_repos: org.public_repos,
+      public_gists: org.public_gists || 0,
+      created_at: org.created_at,
+      updated_at: org.updated_at,
+      profile_url: org.html_url
+    };
+  },
+
+  /**
+   * Normalize an organization member or repository contributor
+   * @param {Object} user - Raw user object (contributors also carry a contribution count)
+   * @returns {Object} Normalized member
+   */
+  normalizeMember(user) {
+    return {
+      login: user.login,
+      avatar_url: user.avatar_url,
+      profile_url: user.html_url,
+      contributions: user.contributions || 0
+    };
+  },
+
+  /**
+   * Normalize a repository payload
+   * @param {Object} repo - Raw repository object
+   * @returns {Object} Normalized repository
+   */
+  normalizeRepository(repo) {
+    return {
+      id: repo.id,
+      name: repo.name,
+      full_name: repo.full_name,
+      description: repo.description,
+      html_url: repo.html_url, // Keep original property name
+      url: repo.html_url, // Keep both for compatibility
+      homepage: repo.homepage,
+      language: repo.language,
+      stargazers_count: repo.stargazers_count,
+      watchers_count: repo.watchers_count,
+      forks_count: repo.forks_count,
+      open_issues_count: repo.open_issues_count,
+      size: repo.size,
+      default_branch: repo.default_branch,
+      topics: repo.topics || [],
+      visibility: repo.visibility,
+      private: repo.private,
+      fork: repo.fork,
+      parent: repo.parent?.full_name || null, // Only single-repository responses include the parent
+      archived: repo.archived,
+      disabled: repo.disabled,
+      has_pages: Boolean(repo.has_pages),
+      pushed_at: repo.pushed_at,
+      created_at: repo.created_at,
+      updated_at: repo.updated_at,
+      license: repo.license ? {
+        key: repo.license.key,
+        name: repo.license.name,
+        spdx_id: repo.license.spdx_id
+      } : null
+    };
+  },
+
+  /**
+   * Normalize a repository language breakdown
+   * @param {Object} languages - Raw /repos/:owner/:repo/languages response
+   * @returns {Object} Bytes by language ({ JavaScript: 12345, ... })
+   */
+  normalizeLanguages(languages) {
+    return Object.fromEntries(
+      Object.entries(languages || {}).map(([language, bytes]) => [language, Number(bytes) || 0])
+    );
+  },
+
+  /**
+   * Normalize an event payload
+   * @param {Object} event - Raw event object
+   * @param {Object} settings - Provider settings ({ webUrl })
+   * @returns {Object} Normalized event
+   */
+  normalizeEvent(event, settings) {
+    return {
+      id: event.id,
+      type: event.type,
+      actor: {
+        login: event.actor.login,
+        avatar_url: event.actor.avatar_url
+      },
+      repo: {
+        name: event.repo.name,
+        url: `${settings.webUrl}/${event.repo.name}`
+      },
+      payload: this.parseEventPayload(event),
+      created_at: event.created_at
+    };
+  },
+
+  /**
+   * Parse event payload based on event type
+   * @param {Object} event - GitHub event
+   * @returns {Object} Parsed payload
+   */
+  parseEventPayload(event) {
+    const { type, payload } = event;
+
+    switch (type) {
+      case 'PushEvent':
+        // The events API lists at most 20 commits per push; size is the full count
+        return {
+          commits: (payload.commits || []).map(commit => ({
+            sha: commit.sha,
+            message: commit.message
+          })),
+          size: payload.size ?? payload.commits?.length ?? 0,
+          ref: payload.ref,
+          head: payload.head
+        };
+
+      case 'PullRequestEvent':
+        return {
+          action: payload.action,
+          number: payload.number,
+          title: payload.pull_request?.title,
+          merged: payload.pull_request?.merged
+        };
+
+      case 'IssuesEvent':
+        return {
+          action: payload.action,
+          number: payload.issue?.number,
+          title: payload.issue?.title
+        };
+
+      case 'CreateEvent':
+        return {
+          ref_type: payload.ref_type,
+          ref: payload.ref,
+          master_branch: payload.master_branch
+        };
+
+      case 'WatchEvent':
+        return {
+          action: payload.action
+        };
+
+      case 'ForkEvent':
+        return {
+          forkee: payload.forkee?.full_name
+        };
+
+      case 'ReleaseEvent':
+        return {
+          action: payload.action,
+          tag_name: payload.release?.tag_name,
+          name: payload.release?.name,
+          url: payload.release?.html_url
+        };
+
+      default:
+        return payload || {};
+    }
+  }
+});
+
+// ================================
+// GITEA & FORGEJO
+// ================================
+
+window.DevPulseProviders.register({
+  id: 'gitea',
+  name: 'Gitea',
+  types: ['gitea', 'forgejo'],
+  defaultApiUrl: 'https://gitea.com/api/v1',
+  supportsGraphQL: false,
+  reportsRateLimit: false,
+  maxPerPage: 50, // Gitea's default MAX_RESPONSE_ITEMS
+
+  /**
+   * Map Gitea activity operations onto GitHub event types
+   */
+  eventTypes: {
+    commit_repo: 'PushEvent',
+    mirror_sync_push: 'PushEvent',
+    create_repo: 'CreateEvent',
+    push_tag: 'CreateEvent',
+    delete_tag: 'DeleteEvent',
+    delete_branch: 'DeleteEvent',
+    create_pull_request: 'PullRequestEvent',
+    merge_pull_request: 'PullRequestEvent',
+    auto_merge_pull_request: 'PullRequestEvent',
+    close_pull_request: 'PullRequestEvent',
+    reopen_pull_request: 'PullRequestEvent',
+    approve_pull_request: 'PullRequestReviewEvent',
+    reject_pull_request: 'PullRequestReviewEvent',
+    comment_pull: 'PullRequestReviewCommentEvent',
+    create_issue: 'IssuesEvent',
+    close_issue: 'IssuesEvent',
+    reopen_issue: 'IssuesEvent',
+    comment_issue: 'IssueCommentEvent',
+    star_repo: 'WatchEvent',
+    fork_repo: 'ForkEvent',
+    publish_release: 'ReleaseEvent'
+  },
+
+  /**
+   * Web UI base URL for an API URL (https://gitea.example.com/api/v1 -> https://gitea.example.com)
+   * @param {string} apiUrl - API base URL
+   * @returns {string} Web base URL
+   */
+  deriveWebUrl(apiUrl) {
+    return apiUrl.replace(/\/api\/v1$/, '');
+  },
+
+  /**
+   * Headers sent with every request
+   * @returns {Object} Headers
+   */
+  defaultHeaders() {
+    return { 'Accept': 'application/json' };
+  },
+
+  /**
+   * Authorization header for a token
+   * @param {string} token - Access token
+   * @returns {Object} Headers
+   */
+  authHeaders(token) {
+    return { 'Authorization': `token ${token}` };
+  },
+
+  /**
+   * Gitea access tokens are 40 hex characters
+   * @param {string} token - Token to check
+   * @returns {boolean} Whether the token looks valid
+   */
+  isValidToken(token) {
+    return /^[a-f0-9]{40}$/i.test(token);
+  },
+
+  endpoints: {
+    profile: (username) => `/users/${username}`,
+    // The user repos endpoint has no sort parameters; normalizeRepositories sorts client-side
+    repositories: (username, { perPage }) => `/users/${username}/repos?limit=${perPage}`,
+    events: (username, { perPage }) =>
+      `/users/${username}/activities/feeds?only-performed-by=true&limit=${perPage}`,
+    languages: (fullName) => `/repos/${fullName}/languages`,
+    organization: (org) => `/orgs/${org}`,
+    orgRepositories: (org, { perPage }) => `/orgs/${org}/repos?limit=${perPage}`,
+    orgMembers: (org, { perPage }) => `/orgs/${org}/public_members?limit=${perPage}`,
+    orgEvents: (org, { perPage }) => `/orgs/${org}/activities/feeds?limit=${perPage}`,
+    // Gitea has no contributors or statistics endpoints, so those panels are skipped
+    contributors: null,
+    commitActivity: null,
+    verifyToken: () => '/user'
+  },
+
+  /**
+   * Normalize a user payload
+   * @param {Object} user - Raw /users/:username response
+   * @param {Object} settings - Provider settings ({ webUrl })
+   * @returns {Object} Normalized profile
+   */
+  normalizeProfile(user, settings) {
+    return {
+      login: user.login,
+      name: user.full_name || user.login,
+      bio: user.description || null,
+      company: null,
+      location: user.location || null,
+      email: user.email || null,
+      blog: user.website || '',
+      twitter: null,
+      avatar_url: user.avatar_url,
+      followers: user.followers_count || 0,
+      following: user.following_count || 0,
+      public_repos: null, // Not part of the Gitea user payload - filled in from the repository list
+      public_gists: 0,
+      created_at: user.created,
+      // last_login is Go's zero time for users who never logged in (and to non-admins on some servers)
+      updated_at: user.last_login && !user.last_login.startsWith('0001-') ? user.last_login : user.created,
+      profile_url: user.html_url || `${settings.webUrl}/${user.login}`
+    };
+  },
+
+  /**
+   * Normalize an organization payload into the profile shape
+   * @param {Object} org - Raw /orgs/:org response
+   * @param {Object} settings - Provider settings ({ webUrl })
+   * @returns {Object} Normalized organization profile
+   */
+  normalizeOrganization(org, settings) {
+    const login = org.username || org.name;
+
+    return {
+      type: 'Organization',
+      login,
+      name: org.full_name || login,
+      bio: org.description || null,
+      company: null,
+      location: org.location || null,
+      email: org.email || null,
+      blog: org.website || '',
+      twitter: null,
+      avatar_url: org.avatar_url,
+      followers: 0,
+      following: 0,
+      public_repos: null, // Filled in from the repository list
+      public_gists: 0,
+      created_at: org.created || null,
+      updated_at: org.created || null,
+      profile_url: `${settings.webUrl}/${login}`
+    };
+  },
+
+  /**
+   * Normalize an organization member
+   * @param {Object} user - Raw user object
+   * @param {Object} settings - Provider settings ({ webUrl })
+   * @returns {Object} Normalized member
+   */
+  normalizeMember(user, settings) {
+    return {
+      login: user.login,
+      avatar_url: user.avatar_url,
+      profile_url: user.html_url || `${settings.webUrl}/${user.login}`,
+      contributions: 0
+    };
+  },
+
+  /**
+   * Normalize a repository payload
+   * @param {Object} repo - Raw repository object
+   * @returns {Object} Normalized repository
+   */
+  normalizeRepository(repo) {
+    const licenseName = repo.licenses?.[0] || null;
+
+    return {
+      id: repo.id,
+      name: repo.name,
+      full_name: repo.full_name,
+      description: repo.description,
+      html_url: repo.html_url,
+      url: repo.html_url,
+      homepage: repo.website,
+      language: repo.language || null,
+      stargazers_count: repo.stars_count || 0,
+      watchers_count: repo.watchers_count || 0,
+      forks_count: repo.forks_count || 0,
+      open_issues_count: repo.open_issues_count || 0,
+      size: repo.size,
+      default_branch: repo.default_branch,
+      topics: repo.topics || [],
+      visibility: repo.private ? 'private' : (repo.internal ? 'internal' : 'public'),
+      private: repo.private,
+      fork: repo.fork,
+      parent: repo.parent?.full_name || null,
+      archived: repo.archived,
+      disabled: false,
+      has_pages: false, // Gitea has no Pages hosting
+      // Gitea has no separate push timestamp; updated_at moves on every push
+      pushed_at: repo.updated_at,
+      created_at: repo.created_at,
+      updated_at: repo.updated_at,
+      license: licenseName ? {
+        key: licenseName.toLowerCase(),
+        name: licenseName,
+        spdx_id: licenseName
+      } : null
+    };
+  },
+
+  /**
+   * Normalize a repository language breakdown (same shape as GitHub's; empty repositories return null)
+   * @param {Object|null} languages - Raw /repos/:owner/:repo/languages response
+   * @returns {Object} Bytes by language ({ Go: 12345, ... })
+   */
+  normalizeLanguages(languages) {
+    return Object.fromEntries(
+      Object.entries(languages || {}).map(([language, bytes]) => [language, Number(bytes) || 0])
+    );
+  },
+
+  /**
+   * Sort normalized repositories the way GitHub's sort/direction parameters would
+   * @param {Array} repos - Normalized repositories
+   * @param {Object} options - { sort, direction }
+   * @returns {Array} Sorted repositories
+   */
+  sortRepositories(repos, { sort = 'updated', direction = 'desc' } = {}) {
+    const field = { updated: 'updated_at', created: 'created_at', pushed: 'pushed_at', full_name: 'full_name' }[sort] || 'updated_at';
+    const factor = direction === 'asc' ? 1 : -1;
+
+    return [...repos].sort((a, b) => String(a[field]).localeCompare(String(b[field])) * factor);
+  },
+
+  /**
+   * Normalize an activity feed entry into a GitHub-style event
+   * @param {Object} activity - Raw activity object
+   * @param {Object} settings - Provider settings ({ webUrl })
+   * @returns {Object} Normalized event
+   */
+  normalizeEvent(activity, settings) {
+    const repoName = activity.repo?.full_name || '';
+
+    return {
+      id: String(activity.id),
+      type: this.eventTypes[activity.op_type] || activity.op_type,
+      actor: {
+        login: activity.act_user?.login,
+        avatar_url: activity.act_user?.avatar_url
+      },
+      repo: {
+        name: repoName,
+        url: activity.repo?.html_url || `${settings.webUrl}/${repoName}`
+      },
+      payload: this.parseActivityContent(activity),
+      created_at: activity.created
+    };
+  },
+
+  /**
+   * Build a GitHub-style payload from an activity's op_type and content
+   * @param {Object} activity - Raw activity object
+   * @returns {Object} Parsed payload
+   */
+  parseActivityContent(activity) {
+    const op = activity.op_type;
+    const ref = (activity.ref_name || '').replace(/^refs\/(heads|tags)\//, '');
+
+    // Issue and PR activities store "index|title" in content
+    const [number, ...titleParts] = (activity.content || '').split('|');
+    const issueRef = { number: parseInt(number, 10) || null, title: titleParts.join('|') || null };
+
+    switch (op) {
+      case 'commit_repo':
+      case 'mirror_sync_push': {
+        let content = {};
+        try {
+          content = JSON.parse(activity.content || '{}');
+        } catch (error) {
+          // Older servers store an empty string for pushes without commits
+        }
+        return {
+          commits: (content.Commits || []).map(commit => ({
+            sha: commit.Sha1,
+            message: commit.Message
+          })),
+          size: content.Len ?? content.Commits?.length ?? 0,
+          ref: activity.ref_name,
+          head: content.HeadCommit?.Sha1 || null
+        };
+      }
+
+      case 'create_repo':
+        return { ref_type: 'repository', ref: null, master_branch: null };
+
+      case 'push_tag':
+        return { ref_type: 'tag', ref, master_branch: null };
+
+      case 'create_pull_request':
+        return { action: 'opened', ...issueRef, merged: false };
+
+      case 'merge_pull_request':
+      case 'auto_merge_pull_request':
+        return { action: 'closed', ...issueRef, merged: true };
+
+      case 'close_pull_request':
+        return { action: 'closed', ...issueRef, merged: false };
+
+      case 'reopen_pull_request':
+        return { action: 'reopened', ...issueRef, merged: false };
+
+      case 'create_issue':
+        return { action: 'opened', ...issueRef };
+
+      case 'close_issue':
+        return { action: 'closed', ...issueRef };
+
+      case 'reopen_issue':
+        return { action: 'reopened', ...issueRef };
+
+      case 'star_repo':
+        return { action: 'started' };
+
+      case 'publish_release':
+        // content holds the release title
+        return { action: 'published', tag_name: ref, name: activity.content || ref, url: null };
+
+      default:
+        return { ...issueRef, ref };
+    }
+  }
+});
+
+// Make providers globally available
+window.Providers = window.DevPulseProviders;
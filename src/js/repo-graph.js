@@ -0,0 +1,273 @@
+/**
+ * DevPulse v3.0 - Repository Graph
+ * Relates a developer's repositories through shared topics, languages, fork parentage and
+ * co-activity, and lays them out with a deterministic force-directed simulation (3D or 2D)
+ */
+
+window.DevPulseRepoGraph = {
+
+  // ================================
+  // CONFIGURATION
+  // ================================
+
+  // Edge weight contributed by each kind of relationship
+  weights: {
+    topic: 1,        // Per shared topic
+    language: 0.5,   // Same primary language
+    fork: 3,         // One repository is a fork of the other
+    coActivity: 0.4  // Per day both repositories had events, up to maxCoActivityDays
+  },
+  maxCoActivityDays: 5,
+
+  simulation: {
+    iterations: 300,
+    idealLength: 12,  // Rest length of a full-strength link
+    gravity: 0.02,    // Pull towards the centre, so unrelated repositories do not drift away
+    radius: 30        // Finished layouts are scaled to fit this radius
+  },
+
+  // ================================
+  // GRAPH
+  // ================================
+
+  /**
+   * Build the repository graph
+   * @param {Array} repositories - Handoff repositories ({ name, fullName, language, topics, fork, parent })
+   * @param {Object} activity - Handoff activity ({ days: { fullName: ['YYYY-MM-DD'] }, forks: [{ parent, fork }] })
+   * @param {Object} options - { dimensions: 3|2 }
+   * @returns {Object} { nodes, edges, positions }
+   */
+  build(repositories, activity = {}, { dimensions = 3 } = {}) {
+    const edges = this.buildEdges(repositories, activity);
+    const positions = this.layout(repositories.length, edges, { dimensions });
+    return { nodes: repositories, edges, positions };
+  },
+
+  /**
+   * Relate every pair of repositories; pairs with nothing in common get no edge
+   * @param {Array} repositories - Handoff repositories
+   * @param {Object} activity - Handoff activity
+   * @returns {Array} Edges { source, target, weight, strength, reasons: [{ type, label }] }, strongest first
+   */
+  buildEdges(repositories, activity = {}) {
+    const keys = repositories.map(repo => (repo.fullName || repo.name).toLowerCase());
+    const activeDays = keys.map(key => new Set(this.lookup(activity.days, key) || []));
+    const forkPairs = this.collectForkPairs(repositories, activity.forks);
+    const edges = [];
+
+    for (let source = 0; source < repositories.length; source++) {
+      for (let target = source + 1; target < repositories.length; target++) {
+        const a = repositories[source];
+        const b = repositories[target];
+        const reasons = [];
+        let weight = 0;
+
+        const sharedTopics = (a.topics || []).filter(topic => (b.topics || []).includes(topic));
+        if (sharedTopics.length) {
+          weight += sharedTopics.length * this.weights.topic;
+          reasons.push({ type: 'topic', label: `Topics: ${sharedTopics.join(', ')}` });
+        }
+
+        if (a.language && a.language !== 'Other' && a.language === b.language) {
+          weight += this.weights.language;
+          reasons.push({ type: 'language', label: `Both ${a.language}` });
+        }
+
+        if (forkPairs.has(`${keys[source]}|${keys[target]}`) || forkPairs.has(`${keys[target]}|${keys[source]}`)) {
+          weight += this.weights.fork;
+          reasons.push({ type: 'fork', label: 'Fork parentage' });
+        }
+
+        const sharedDays = [...activeDays[source]].filter(day => activeDays[target].has(day)).length;
+        if (sharedDays) {
+          weight += Math.min(sharedDays, this.maxCoActivityDays) * this.weights.coActivity;
+          reasons.push({ type: 'activity', label: `Active together on ${sharedDays} ${sharedDays === 1 ? 'day' : 'days'}` });
+        }
+
+        if (weight > 0) {
+          edges.push({ source, target, weight, reasons });
+        }
+      }
+    }
+
+    // Link strength is the weight relative to the strongest edge
+    const maxWeight = Math.max(...edges.map(edge => edge.weight), 1);
+    edges.forEach(edge => {
+      edge.strength = edge.weight / maxWeight;
+    });
+
+    return edges.sort((a, b) => b.weight - a.weight || a.source - b.source || a.target - b.target);
+  },
+
+  /**
+   * Fork relationships as 'fork|parent' keys, from repository parents and ForkEvents
+   * @param {Array} repositories - Handoff repositories
+   * @param {Array} forkEvents - [{ parent, fork }] full names
+   * @returns {Set<string>} Lower-cased pair keys
+   */
+  collectForkPairs(repositories, forkEvents = []) {
+    const pairs = new Set();
+
+    repositories.forEach(repo => {
+      if (repo.parent) {
+        pairs.add(`${(repo.fullName || repo.name).toLowerCase()}|${repo.parent.toLowerCase()}`);
+      }
+    });
+    (forkEvents || []).forEach(({ parent, fork }) => {
+      if (parent && fork) {
+        pairs.add(`${fork.toLowerCase()}|${parent.toLowerCase()}`);
+      }
+    });
+
+    return pairs;
+  },
+
+  // Case-insensitive lookup by repository full name
+  lookup(map, key) {
+    if (!map) return null;
+    const match = Object.keys(map).find(name => name.toLowerCase() === key);
+    return match ? map[match] : null;
+  },
+
+  /**
+   * Indexes and edges of the repositories linked to one node, strongest first
+   * @param {Object} graph - Graph from build
+   * @param {number} index - Node index
+   * @returns {Array} [{ index, edge }]
+   */
+  neighbors(graph, index) {
+    return graph.edges
+      .filter(edge => edge.source === index || edge.target === index)
+      .map(edge => ({ index: edge.source === index ? edge.target : edge.source, edge }));
+  },
+
+  // ================================
+  // LAYOUT
+  // ================================
+
+  /**
+   * Force-directed layout (Fruchterman-Reingold with weighted springs); the same graph always gets the same layout
+   * @param {number} count - Number of nodes
+   * @param {Array} edges - Edges from buildEdges
+   * @param {Object} options - { dimensions: 3|2, iterations }
+   * @returns {Array} Positions { x, y, z } (z is 0 in 2D)
+   */
+  layout(count, edges, { dimensions = 3, iterations = this.simulation.iterations } = {}) {
+    const { idealLength, gravity, radius } = this.simulation;
+    const positions = this.seedPositions(count, dimensions, radius);
+    if (count < 2) return positions.map(() => ({ x: 0, y: 0, z: 0 }));
+
+    const axes = dimensions === 3 ? ['x', 'y', 'z'] : ['x', 'y'];
+    const repulsion = idealLength * idealLength;
+
+    for (let step = 0; step < iterations; step++) {
+      // Cool down so the layout settles instead of oscillating
+      const temperature = radius * 0.2 * (1 - step / iterations) + 0.01;
+      const forces = positions.map(() => ({ x: 0, y: 0, z: 0 }));
+
+      // Every pair repels
+      for (let i = 0; i < count; i++) {
+        for (let j = i + 1; j < count; j++) {
+          const delta = this.difference(positions[i], positions[j], axes, i, j);
+          const push = repulsion / delta.distance;
+          axes.forEach(axis => {
+            forces[i][axis] += (delta[axis] / delta.distance) * push;
+            forces[j][axis] -= (delta[axis] / delta.distance) * push;
+          });
+        }
+      }
+
+      // Linked repositories attract in proportion to link strength
+      edges.forEach(({ source, target, strength }) => {
+        const delta = this.difference(positions[source], positions[target], axes, source, target);
+        const pull = (delta.distance * delta.distance / idealLength) * strength;
+        axes.forEach(axis => {
+          forces[source][axis] -= (delta[axis] / delta.distance) * pull;
+          forces[target][axis] += (delta[axis] / delta.distance) * pull;
+        });
+      });
+
+      positions.forEach((position, index) => {
+        const force = forces[index];
+        axes.forEach(axis => {
+          force[axis] -= position[axis] * gravity * idealLength;
+        });
+
+        const magnitude = Math.sqrt(axes.reduce((sum, axis) => sum + force[axis] * force[axis], 0));
+        if (magnitude === 0) return;
+
+        const move = Math.min(magnitude, temperature);
+        axes.forEach(axis => {
+          position[axis] += (force[axis] / magnitude) * move;
+        });
+      });
+    }
+
+    return this.fitToRadius(positions, axes, radius);
+  },
+
+  /**
+   * Starting positions spread evenly over a sphere (3D) or a disc (2D)
+   * @param {number} count - Number of nodes
+   * @param {number} dimensions - 3 or 2
+   * @param {number} radius - Radius
+   * @returns {Array} Positions
+   */
+  seedPositions(count, dimensions, radius) {
+    const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+
+    return Array.from({ length: count }, (_, index) => {
+      const theta = index * goldenAngle;
+
+      if (dimensions === 2) {
+        const distance = radius * Math.sqrt((index + 0.5) / count);
+        return { x: Math.cos(theta) * distance, y: Math.sin(theta) * distance, z: 0 };
+      }
+
+      const y = count === 1 ? 0 : 1 - (2 * index) / (count - 1);
+      const ring = Math.sqrt(1 - y * y);
+      return { x: Math.cos(theta) * ring * radius, y: y * radius, z: Math.sin(theta) * ring * radius };
+    });
+  },
+
+  // Vector from b to a; nodes on the same spot are nudged apart along a fixed per-pair direction
+  difference(a, b, axes, i, j) {
+    const delta = { x: 0, y: 0, z: 0 };
+    axes.forEach(axis => {
+      delta[axis] = a[axis] - b[axis];
+    });
+
+    let distance = Math.sqrt(axes.reduce((sum, axis) => sum + delta[axis] * delta[axis], 0));
+    if (distance < 0.01) {
+      const angle = (i * 7 + j * 13) % 360 * (Math.PI / 180);
+      delta.x = Math.cos(angle) * 0.01;
+      delta.y = Math.sin(angle) * 0.01;
+      distance = 0.01;
+    }
+
+    delta.distance = distance;
+    return delta;
+  },
+
+  // Centre the layout and scale it so its furthest node sits on the radius
+  fitToRadius(positions, axes, radius) {
+    const centre = { x: 0, y: 0, z: 0 };
+    axes.forEach(axis => {
+      centre[axis] = positions.reduce((sum, position) => sum + position[axis], 0) / positions.length;
+    });
+
+    const extent = Math.max(...positions.map(position =>
+      Math.sqrt(axes.reduce((sum, axis) => sum + (position[axis] - centre[axis]) ** 2, 0))
+    ));
+    const scale = extent > 0 ? radius / extent : 1;
+
+    return positions.map(position => ({
+      x: (position.x - centre.x) * scale,
+      y: (position.y - centre.y) * scale,
+      z: axes.includes('z') ? (position.z - centre.z) * scale : 0
+    }));
+  }
+};
+
+// Make the repository graph globally available
+window.RepoGraph = window.DevPulseRepoGraph;
@@ -0,0 +1,127 @@
+/**
+ * DevPulse v3.0 - Router Module
+ * Hash routes for shareable dashboard links and browser back/forward navigation
+ *
+ *   #/u/torvalds?tab=activity&filter=prs&period=30&sort=stars&ai=collapsed
+ *   #/org/vercel?sort=updated&lang=TypeScript&stars=100&page=2
+ *   #/compare/torvalds,gaearon
+ */
+
+window.DevPulseRouter = {
+
+  // ================================
+  // ROUTE DEFINITIONS
+  // ================================
+
+  /**
+   * Hash prefix => view mode, with the query parameters each view keeps
+   */
+  routes: {
+    u: { view: 'user', params: ['tab', 'filter', 'period', 'sort', 'q', 'lang', 'topic', 'license', 'type', 'archived', 'pages', 'stars', 'page', 'ai'] },
+    org: { view: 'organization', params: ['sort', 'q', 'lang', 'topic', 'license', 'type', 'archived', 'pages', 'stars', 'page'] },
+    compare: { view: 'compare', params: [] }
+  },
+
+  listening: false,
+
+  /**
+   * Find the hash prefix for a view mode
+   * @param {string} view - 'user', 'organization' or 'compare'
+   * @returns {string|null} Hash prefix
+   */
+  getPrefix(view) {
+    return Object.keys(this.routes).find(prefix => this.routes[prefix].view === view) || null;
+  },
+
+  // ================================
+  // PARSING & BUILDING
+  // ================================
+
+  /**
+   * Parse a location hash into a route
+   * @param {string} hash - Location hash (defaults to the current one)
+   * @returns {Object|null} { view, target, params } or null when the hash is not a route
+   */
+  parse(hash = window.location.hash) {
+    const match = (hash || '').match(/^#\/([a-z]+)\/([^?]+)(?:\?(.*))?$/);
+    if (!match || !this.routes[match[1]]) return null;
+
+    const [, prefix, target, query] = match;
+    const definition = this.routes[prefix];
+    const search = new URLSearchParams(query || '');
+
+    // Unknown parameters are dropped so a route always round-trips to the same hash
+    const params = {};
+    definition.params.forEach(key => {
+      const value = search.get(key);
+      if (value) params[key] = value;
+    });
+
+    try {
+      return { view: definition.view, target: decodeURIComponent(target), params };
+    } catch (error) {
+      // Malformed percent-encoding
+      return null;
+    }
+  },
+
+  /**
+   * Build the hash for a route
+   * @param {Object} route - { view, target, params }
+   * @returns {string} Location hash, e.g. '#/u/torvalds?sort=stars'
+   */
+  build({ view, target, params = {} }) {
+    const prefix = this.getPrefix(view);
+    if (!prefix || !target) return '';
+
+    const search = new URLSearchParams();
+    this.routes[prefix].params.forEach(key => {
+      const value = params[key];
+      if (value !== undefined && value !== null && value !== '') {
+        search.set(key, value);
+      }
+    });
+
+    const query = search.toString();
+    // Keep commas readable in compare lists
+    const path = encodeURIComponent(target).replace(/%2C/gi, ',');
+    return `#/${prefix}/${path}${query ? `?${query}` : ''}`;
+  },
+
+  // ================================
+  // NAVIGATION
+  // ================================
+
+  /**
+   * Point the address bar at a route without triggering a route change
+   * @param {Object} route - { view, target, params }
+   * @param {Object} options - Navigation options
+   * @param {boolean} options.replace - Replace the current history entry instead of adding one
+   */
+  navigate(route, { replace = false } = {}) {
+    const hash = this.build(route);
+    if (!hash || hash === window.location.hash) return;
+
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    if (replace) {
+      window.history.replaceState(window.history.state, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  },
+
+  /**
+   * Listen for back/forward navigation and hand-edited hashes
+   * @param {Function} onChange - Called with the parsed route (or null)
+   */
+  listen(onChange) {
+    if (this.listening) return;
+    this.listening = true;
+
+    // popstate covers both history traversal and edits to the hash
+    window.addEventListener('popstate', () => onChange(this.parse()));
+  }
+};
+
+// Make router globally available
+window.Router = window.DevPulseRouter;
@@ -0,0 +1,165 @@
+/**
+ * DevPulse v3.0 - Snapshots Module
+ * Dated per-developer snapshots (IndexedDB) for trend tracking and "since last visit" deltas
+ */
+
+window.DevPulseSnapshots = {
+
+  // ================================
+  // METRIC DEFINITIONS
+  // ================================
+
+  /**
+   * Tracked metrics: key => label
+   */
+  metrics: {
+    stars: 'Total Stars',
+    forks: 'Total Forks',
+    publicRepos: 'Public Repos',
+    followers: 'Followers',
+    following: 'Following'
+  },
+
+  /**
+   * Check whether snapshots can be recorded
+   * @returns {boolean} Whether history is enabled and IndexedDB is available
+   */
+  isEnabled() {
+    return window.DevPulseConfig.get('display.sections.history.enabled', true) &&
+      window.DevPulseDB.isSupported();
+  },
+
+  /**
+   * Measure the tracked metrics of a loaded developer
+   * @param {Object} userData - Data from DevPulse.fetchUserData
+   * @returns {Object} { stars, forks, publicRepos, followers, following }
+   */
+  getMetrics({ profile, repositories = [] }) {
+    // Same definitions as the stat cards in DevPulse.renderStatistics
+    return {
+      stars: repositories.reduce((sum, repo) => sum + repo.stargazers_count, 0),
+      forks: repositories.reduce((sum, repo) => sum + repo.forks_count, 0),
+      publicRepos: repositories.filter(repo => !repo.fork).length,
+      followers: profile.followers || 0,
+      following: profile.following || 0
+    };
+  },
+
+  // ================================
+  // STORAGE
+  // ================================
+
+  /**
+   * Get every snapshot of a developer, oldest first
+   * @param {string} username - GitHub username
+   * @returns {Promise<Array>} Snapshots ({ id, username, login, takenAt, metrics, scores })
+   */
+  async getSnapshots(username) {
+    if (!this.isEnabled()) return [];
+
+    const snapshots = await window.DevPulseDB.getAllByIndex('snapshots', 'username', username.toLowerCase());
+    return snapshots.sort((a, b) => a.takenAt - b.takenAt);
+  },
+
+  /**
+   * Store a snapshot of a developer. A load within `minInterval` of the latest snapshot
+   * replaces it, so refreshing the page does not flood the history.
+   * @param {string} username - GitHub username
+   * @param {Object} userData - Data from DevPulse.fetchUserData
+   * @param {Object|null} insights - DevPulseAI.generateInsights output, for the personality scores
+   * @returns {Promise<Array>} Updated snapshots, oldest first
+   */
+  async recordSnapshot(username, userData, insights = null) {
+    if (!this.isEnabled()) return [];
+
+    const config = window.DevPulseConfig;
+    const minInterval = config.get('display.sections.history.minInterval', 3600000);
+    const maxSnapshots = config.get('display.sections.history.maxSnapshots', 100);
+
+    const snapshots = await this.getSnapshots(username);
+    const latest = snapshots[snapshots.length - 1];
+    const now = Date.now();
+    const replaceLatest = latest && now - latest.takenAt < minInterval;
+
+    const snapshot = {
+      id: replaceLatest ? latest.id : `${username.toLowerCase()}:${now}`,
+      username: username.toLowerCase(),
+      login: userData.profile.login || username,
+      takenAt: replaceLatest ? latest.takenAt : now,
+      metrics: this.getMetrics(userData),
+      // Keep earlier scores when the AI analysis has not run yet for this load
+      scores: insights?.personalityProfile?.scores || (replaceLatest ? latest.scores : null)
+    };
+
+    await window.DevPulseDB.put('snapshots', snapshot);
+
+    const updated = replaceLatest ? [...snapshots.slice(0, -1), snapshot] : [...snapshots, snapshot];
+    const excess = updated.length - maxSnapshots;
+    if (excess > 0) {
+      await window.DevPulseDB.deleteMany('snapshots', updated.slice(0, excess).map(entry => entry.id));
+      return updated.slice(excess);
+    }
+
+    return updated;
+  },
+
+  /**
+   * Delete every snapshot of a developer
+   * @param {string} username - GitHub username
+   * @returns {Promise<void>}
+   */
+  async clearSnapshots(username) {
+    const snapshots = await this.getSnapshots(username);
+    await window.DevPulseDB.deleteMany('snapshots', snapshots.map(snapshot => snapshot.id));
+  },
+
+  // ================================
+  // DELTAS
+  // ================================
+
+  /**
+   * Find the snapshot of the previous visit (older than `minInterval`)
+   * @param {Array} snapshots - Snapshots, oldest first
+   * @param {number} now - Timestamp of the current visit
+   * @returns {Object|null} Snapshot or null on a first visit
+   */
+  getLastVisit(snapshots, now = Date.now()) {
+    const minInterval = window.DevPulseConfig.get('display.sections.history.minInterval', 3600000);
+    const previous = snapshots.filter(snapshot => now - snapshot.takenAt >= minInterval);
+    return previous[previous.length - 1] || null;
+  },
+
+  /**
+   * Change of every metric between two measurements
+   * @param {Object} current - Current metrics
+   * @param {Object} previous - Earlier metrics
+   * @returns {Object} Metric key => difference
+   */
+  getDeltas(current, previous) {
+    return Object.fromEntries(Object.keys(current).map(key => [key, (current[key] || 0) - (previous?.[key] || 0)]));
+  },
+
+  /**
+   * Series of one metric over the snapshots, with the change from the snapshot before
+   * @param {Array} snapshots - Snapshots, oldest first
+   * @param {string} metric - Metric key, or 'score:<trait>' for a personality score
+   * @returns {Array} [{ takenAt, value, delta }], skipping snapshots without the value
+   */
+  getSeries(snapshots, metric) {
+    const [kind, trait] = metric.split(':');
+    const points = snapshots
+      .map(snapshot => ({
+        takenAt: snapshot.takenAt,
+        value: kind === 'score' ? snapshot.scores?.[trait] : snapshot.metrics[metric]
+      }))
+      .filter(point => typeof point.value === 'number');
+
+    return points.map((point, index) => ({
+      ...point,
+      delta: index === 0 ? 0 : point.value - points[index - 1].value
+    }));
+  }
+};
+
+// Make snapshots globally available
+window.Snapshots = window.DevPulseSnapshots;
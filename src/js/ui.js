@@ -13,6 +13,7 @@ window.DevPulseUI = {
   currentTheme: 'auto',
   isFullscreen: false,
   activeToasts: [],
+  rateLimitCountdownTimer: null,
 
   /**
    * Initialize the UI module
@@ -27,6 +28,11 @@ window.DevPulseUI = {
     this.setupEventListeners();
     this.setupKeyboardShortcuts();
     this.setupScrollAnimations();
+    
+    if (window.DevPulseAPI?.getRateLimitStatus) {
+      this.updateApiModeIndicator(window.DevPulseAPI.getRateLimitStatus());
+    }
+    
     console.log('🎨 DevPulse UI initialized');
   },
 
@@ -213,6 +219,17 @@ window.DevPulseUI = {
       chip.addEventListener('click', (e) => this.handleSuggestionClick(e));
     });
 
+    // Search scope (user or organization)
+    document.querySelectorAll('input[name="search-scope"]').forEach(radio => {
+      radio.addEventListener('change', () => this.setSearchScope(this.getSearchScope()));
+    });
+
+    // Compare mode share link
+    const compareCopyLink = document.getElementById('compare-copy-link');
+    if (compareCopyLink) {
+      compareCopyLink.addEventListener('click', () => window.DevPulse.copyCompareLink());
+    }
+
     // Repository sort
     const repoSort = document.getElementById('repo-sort');
     if (repoSort) {
@@ -231,6 +248,32 @@ window.DevPulseUI = {
       backButton.addEventListener('click', () => this.showSearchSection());
     }
 
+    // API token panel
+    const tokenForm = document.getElementById('api-token-form');
+    const tokenClear = document.getElementById('api-token-clear');
+    
+    if (tokenForm) {
+      tokenForm.addEventListener('submit', (e) => this.handleTokenSave(e));
+    }
+    
+    if (tokenClear) {
+      tokenClear.addEventListener('click', () => this.handleTokenClear());
+    }
+    
+    // Cached data controls
+    const tokenPanel = document.getElementById('api-token-panel');
+    const clearCacheButton = document.getElementById('clear-cache-button');
+    
+    if (tokenPanel) {
+      tokenPanel.addEventListener('toggle', () => {
+        if (tokenPanel.open) this.updateCacheStats();
+      });
+    }
+    
+    if (clearCacheButton) {
+      clearCacheButton.addEventListener('click', () => this.handleClearCache());
+    }
+
     // Fullscreen change detection
     document.addEventListener('fullscreenchange', () => this.handleFullscreenChange());
     
@@ -310,15 +353,19 @@ window.DevPulseUI = {
     
     const usernameInput = document.getElementById('username-input');
     const username = usernameInput.value.trim();
+    const scope = this.getSearchScope();
+    const isOrganization = scope === 'org';
+    const subject = { org: 'organization name', compare: 'list of usernames' }[scope] || 'GitHub username';
     
     if (!username) {
-      this.showToast('Please enter a GitHub username', 'warning');
+      this.showToast(`Please enter a ${subject}`, 'warning');
       usernameInput.focus();
       return;
     }
     
-    if (!window.Utils.validateGitHubUsername(username)) {
-      this.showToast('Please enter a valid GitHub username', 'error');
+    // Compare mode validates each username itself
+    if (scope !== 'compare' && !window.Utils.validateGitHubUsername(username)) {
+      this.showToast(`Please enter a valid ${subject}`, 'error');
       usernameInput.focus();
       return;
     }
@@ -327,7 +374,13 @@ window.DevPulseUI = {
     this.showLoadingState();
     
     try {
-      await window.DevPulse.loadUserData(username);
+      if (scope === 'compare') {
+        await window.DevPulse.loadComparison(username);
+      } else if (isOrganization) {
+        await window.DevPulse.loadOrganizationData(username);
+      } else {
+        await window.DevPulse.loadUserData(username);
+      }
     } catch (error) {
       this.showErrorState(error.message);
     }
@@ -384,12 +437,40 @@ window.DevPulseUI = {
     if (username) {
       const usernameInput = document.getElementById('username-input');
       usernameInput.value = username;
+      this.setSearchScope('user');
       
       // Trigger search
       document.querySelector('.search-form').dispatchEvent(new Event('submit'));
     }
   },
 
+  /**
+   * Get the selected search scope
+   * @returns {string} 'user', 'org' or 'compare'
+   */
+  getSearchScope() {
+    return document.querySelector('input[name="search-scope"]:checked')?.value || 'user';
+  },
+
+  /**
+   * Select a search scope and update the input hints to match
+   * @param {string} scope - 'user', 'org' or 'compare'
+   */
+  setSearchScope(scope) {
+    const radio = document.querySelector(`input[name="search-scope"][value="${scope}"]`);
+    if (radio) radio.checked = true;
+    
+    const usernameInput = document.getElementById('username-input');
+    if (usernameInput) {
+      const label = {
+        org: 'GitHub organization',
+        compare: 'GitHub usernames to compare'
+      }[scope] || 'GitHub username';
+      usernameInput.placeholder = scope === 'compare' ? 'torvalds, gaearon, tj' : `Enter ${label}...`;
+      usernameInput.setAttribute('aria-label', label);
+    }
+  },
+
   // ================================
   // FULLSCREEN FUNCTIONALITY
   // ================================
@@ -432,6 +513,196 @@ window.DevPulseUI = {
     }
   },
 
+  // ================================
+  // API TOKEN
+  // ================================
+  
+  /**
+   * Handle API token form submission
+   * @param {Event} e - Submit event
+   */
+  async handleTokenSave(e) {
+    e.preventDefault();
+    
+    const input = document.getElementById('api-token-input');
+    const remember = document.getElementById('api-token-remember');
+    const api = window.DevPulseAPI;
+    if (!input || !api) return;
+    
+    const accepted = api.setAuthToken(input.value, { remember: !!remember?.checked });
+    
+    // Never leave the token sitting in the DOM
+    input.value = '';
+    
+    if (!accepted) {
+      this.showToast('That does not look like a GitHub personal access token', 'error');
+      return;
+    }
+    
+    try {
+      const status = await api.verifyAuthToken();
+      this.showToast(`Token saved. ${window.Utils.formatNumber(status.remaining)} API requests available.`, 'success');
+      document.getElementById('api-token-panel')?.removeAttribute('open');
+    } catch (error) {
+      window.Utils.logError(error, 'Token verification');
+      if (api.hasAuthToken()) {
+        this.showToast('Token saved, but it could not be verified right now', 'warning');
+      }
+    }
+  },
+
+  /**
+   * Handle API token removal
+   */
+  handleTokenClear() {
+    const api = window.DevPulseAPI;
+    if (!api) return;
+    
+    const input = document.getElementById('api-token-input');
+    if (input) input.value = '';
+    
+    if (api.hasAuthToken()) {
+      api.clearAuthToken();
+      this.showToast('Token removed. Using anonymous API requests.', 'info');
+    }
+  },
+
+  /**
+   * Clear all cached API responses
+   */
+  async handleClearCache() {
+    const api = window.DevPulseAPI;
+    if (!api) return;
+    
+    await api.clearCache();
+    this.updateCacheStats();
+    this.showToast('Cached data cleared', 'success');
+  },
+
+  /**
+   * Show how much data the response cache is holding
+   */
+  updateCacheStats() {
+    const label = document.getElementById('api-cache-size');
+    const api = window.DevPulseAPI;
+    if (!label || !api) return;
+    
+    const stats = api.getCacheStats();
+    const count = Math.max(stats.memoryEntries, stats.persistentEntries);
+    
+    label.textContent = count === 0
+      ? 'Cached responses: none'
+      : `Cached responses: ${count} (${window.Utils.formatBytes(stats.bytes)} of ${window.Utils.formatBytes(stats.budget)})`;
+  },
+
+  /**
+   * Update the header badge showing the active rate limit mode
+   * @param {Object} status - Rate limit status from DevPulseAPI.getRateLimitStatus()
+   */
+  updateApiModeIndicator(status) {
+    const indicator = document.getElementById('api-mode-indicator');
+    if (!indicator || !status) return;
+    
+    const authenticated = status.mode === 'authenticated';
+    const label = indicator.querySelector('.api-mode-label');
+    const remaining = indicator.querySelector('.api-mode-remaining');
+    
+    indicator.dataset.mode = status.mode;
+    indicator.classList.toggle('low', status.tracked !== false &&
+      status.remaining <= this.config.get('github.rateLimit.warningThreshold', 10));
+    
+    if (label) {
+      label.textContent = authenticated ? 'Token' : 'Anonymous';
+    }
+    
+    if (remaining) {
+      remaining.textContent = status.tracked === false ? '—' : `${status.remaining}/${status.limit}`;
+    }
+    
+    const provider = status.provider || 'GitHub';
+    const resetText = status.reset ? ` Resets at ${status.reset.toLocaleTimeString()}.` : '';
+    indicator.title = status.tracked === false
+      ? `${authenticated ? 'Authenticated' : 'Anonymous'} ${provider} API mode: rate limits are not reported by this server.`
+      : `${authenticated ? 'Authenticated' : 'Anonymous'} ${provider} API mode: ` +
+        `${status.remaining} of ${status.limit} requests remaining.${resetText}`;
+    
+    const clearButton = document.getElementById('api-token-clear');
+    if (clearButton) {
+      clearButton.disabled = !authenticated;
+    }
+  },
+
+  // ================================
+  // RATE LIMIT COUNTDOWN
+  // ================================
+  
+  /**
+   * Show a live countdown until the GitHub rate limit window resets
+   * @param {number} retryAt - Timestamp (ms) when requests may resume
+   * @param {Object} options - Countdown options
+   * @param {string} options.message - Text shown before the countdown
+   * @param {Function} options.onResume - Called when the countdown finishes
+   * @param {Function} options.onCancel - Called when the user cancels the pending resume
+   */
+  showRateLimitCountdown(retryAt, { message = 'GitHub rate limit reached. Resuming', onResume = null, onCancel = null } = {}) {
+    this.hideRateLimitCountdown();
+    
+    let banner = document.getElementById('rate-limit-banner');
+    if (!banner) {
+      banner = document.createElement('div');
+      banner.id = 'rate-limit-banner';
+      banner.className = 'rate-limit-banner';
+      banner.setAttribute('role', 'status');
+      banner.setAttribute('aria-live', 'polite');
+      document.querySelector('.main-content .container')?.prepend(banner);
+    }
+    
+    banner.innerHTML = `
+      <span class="rate-limit-message">${window.Utils.escapeHtml(message)} in <strong class="rate-limit-time"></strong></span>
+      ${onCancel ? '<button type="button" class="rate-limit-cancel">Cancel</button>' : ''}
+    `;
+    banner.style.display = 'flex';
+    
+    banner.querySelector('.rate-limit-cancel')?.addEventListener('click', () => {
+      this.hideRateLimitCountdown();
+      onCancel();
+    });
+    
+    const timeEl = banner.querySelector('.rate-limit-time');
+    const tick = () => {
+      const remaining = Math.max(0, retryAt - Date.now());
+      const minutes = Math.floor(remaining / 60000);
+      const seconds = Math.floor((remaining % 60000) / 1000);
+      timeEl.textContent = `${minutes}:${String(seconds).padStart(2, '0')}`;
+      
+      if (remaining <= 0) {
+        this.hideRateLimitCountdown();
+        if (onResume) onResume();
+      }
+      return remaining > 0;
+    };
+    
+    // Only start the interval if time remains; a countdown that is already over resumes once
+    if (tick()) {
+      this.rateLimitCountdownTimer = setInterval(tick, 1000);
+    }
+  },
+
+  /**
+   * Hide the rate limit countdown banner
+   */
+  hideRateLimitCountdown() {
+    if (this.rateLimitCountdownTimer) {
+      clearInterval(this.rateLimitCountdownTimer);
+      this.rateLimitCountdownTimer = null;
+    }
+    
+    const banner = document.getElementById('rate-limit-banner');
+    if (banner) {
+      banner.style.display = 'none';
+    }
+  },
+
   // ================================
   // STATE MANAGEMENT
   // ================================
@@ -750,6 +1021,17 @@ window.DevPulseUI = {
    */
   generateSkeletonHTML() {
     return `
+      <!-- Data Load Progress -->
+      <div class="data-load-progress" role="progressbar" aria-label="Loading developer data">
+        <div class="data-load-header">
+          <span id="loading-message" class="data-load-message">Loading...</span>
+          <span id="progress-percentage" class="data-load-percentage">0%</span>
+        </div>
+        <div class="data-load-track">
+          <div id="progress-bar" class="data-load-bar"></div>
+        </div>
+      </div>
+
       <!-- Profile Section Skeleton -->
       <section class="dashboard-section profile-section">
         <div class="profile-content">
@@ -822,9 +1104,13 @@ window.DevPulseUI = {
     const sortBy = e.target.value;
     const repositoriesGrid = document.getElementById('repositories-grid');
     
-    if (repositoriesGrid && window.DevPulse.currentUserData) {
-      // Re-render repositories with new sort
-      window.DevPulse.renderRepositories(window.DevPulse.currentUserData.repositories, sortBy);
+    const data = window.DevPulse.currentUserData || window.DevPulse.currentOrgData;
+    
+    if (repositoriesGrid && data) {
+      // Re-render repositories with new sort, back on the first page
+      window.DevPulse.repoPage = 1;
+      window.DevPulse.renderRepositories(data.repositories, sortBy);
+      window.DevPulse.syncRoute('repos');
     }
   },
 
@@ -852,6 +1138,10 @@ window.DevPulseUI = {
    */
   handleEscape() {
     // Close any open modals/dropdowns
+    if (window.DevPulse?.closeRepoComparison()) {
+      return;
+    }
+    
     // Clear search if in error state
     const errorState = document.getElementById('error-state');
     if (errorState && errorState.style.display !== 'none') {
@@ -109,6 +109,34 @@ window.DevPulseUtils = {
     return `${percentage.toFixed(decimals)}%`;
   },
 
+  /**
+   * Format a byte count (e.g., 1536 -> "1.5 KB")
+   * @param {number} bytes - Byte count
+   * @returns {string} Formatted size
+   */
+  formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / Math.pow(1024, exponent);
+    return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+  },
+
+  /**
+   * Parse a size string such as "50MB" into bytes
+   * @param {string|number} size - Size string or byte count
+   * @returns {number} Byte count (0 if unparseable)
+   */
+  parseByteSize(size) {
+    if (typeof size === 'number') return size;
+
+    const match = String(size).trim().match(/^([\d.]+)\s*(B|KB|MB|GB)?$/i);
+    if (!match) return 0;
+
+    const multipliers = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+    return Math.round(parseFloat(match[1]) * multipliers[(match[2] || 'B').toUpperCase()]);
+  },
+
   /**
    * Animate number counter
    * @param {HTMLElement} element - Target element
@@ -196,7 +224,8 @@ window.DevPulseUtils = {
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // innerHTML leaves quotes alone; escape them too so the result is safe in attribute values
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   },
 
   // ================================
@@ -225,6 +254,14 @@ window.DevPulseUtils = {
     return true;
   },
 
+  /**
+   * Get the web UI base URL of the configured data provider
+   * @returns {string} Base URL (https://github.com unless a GHES/Gitea provider is configured)
+   */
+  getProviderWebUrl() {
+    return window.DevPulseProviders?.resolveSettings().webUrl || 'https://github.com';
+  },
+
   /**
    * Get GitHub avatar URL
    * @param {string} username - GitHub username
@@ -232,7 +269,7 @@ window.DevPulseUtils = {
    * @returns {string} Avatar URL
    */
   getGitHubAvatarUrl(username, size = 200) {
-    return `https://github.com/${username}.png?size=${size}`;
+    return `${this.getProviderWebUrl()}/${username}.png?size=${size}`;
   },
 
   /**
@@ -241,7 +278,7 @@ window.DevPulseUtils = {
    * @returns {string} Profile URL
    */
   getGitHubProfileUrl(username) {
-    return `https://github.com/${username}`;
+    return `${this.getProviderWebUrl()}/${username}`;
   },
 
   /**
@@ -251,7 +288,7 @@ window.DevPulseUtils = {
    * @returns {string} Repository URL
    */
   getGitHubRepoUrl(username, repo) {
-    return `https://github.com/${username}/${repo}`;
+    return `${this.getProviderWebUrl()}/${username}/${repo}`;
   },
 
   // ================================
@@ -631,6 +668,137 @@ window.DevPulseUtils = {
     return brightness > 128 ? 'light' : 'dark';
   },
 
+  // ================================
+  // EXPORT UTILITIES
+  // ================================
+  
+  /**
+   * Trigger a browser download of generated content
+   * @param {string|Blob} content - File content
+   * @param {string} filename - Suggested file name
+   * @param {string} mimeType - MIME type (ignored when content is a Blob)
+   */
+  downloadFile(content, filename, mimeType = 'text/plain') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    // Revoke on the next tick so the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  },
+
+  /**
+   * Convert a data URL (e.g. from canvas.toDataURL) to a Blob
+   * @param {string} dataURL - Base64 data URL
+   * @returns {Blob} Decoded binary content
+   */
+  dataURLToBlob(dataURL) {
+    const [header, base64] = dataURL.split(',');
+    const mimeType = header.match(/^data:([^;]+)/)?.[1] || 'application/octet-stream';
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    
+    return new Blob([bytes], { type: mimeType });
+  },
+
+  /**
+   * Serialize rows to CSV (RFC 4180 quoting)
+   * @param {Array<Array>} rows - Rows of cell values; the first row is usually the header
+   * @returns {string} CSV text
+   */
+  toCSV(rows) {
+    const escapeCell = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    return rows.map(row => row.map(escapeCell).join(',')).join('\r\n');
+  },
+
+  /**
+   * Serialize entries to an iCalendar (RFC 5545) document
+   * @param {Array} entries - [{ uid, start, summary, description, url }], start as Date or ISO string
+   * @param {Object} options - Calendar options
+   * @param {string} options.name - Calendar display name
+   * @returns {string} iCalendar text
+   */
+  toICalendar(entries, { name = 'DevPulse' } = {}) {
+    const escapeText = (value) => String(value ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+    const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+    // Content lines are limited to 75 octets of UTF-8, including the space that starts a
+    // continuation line. Walking the line by code point never splits a character or surrogate pair.
+    const utf8Length = (char) => {
+      const code = char.codePointAt(0);
+      return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+    };
+    const fold = (line) => {
+      const parts = [];
+      let part = '';
+      let octets = 0;
+
+      for (const char of line) {
+        const size = utf8Length(char);
+        if (octets + size > (parts.length ? 74 : 75)) {
+          parts.push(part);
+          part = '';
+          octets = 0;
+        }
+        part += char;
+        octets += size;
+      }
+      parts.push(part);
+
+      return parts.join('\r\n ');
+    };
+
+    const stamp = formatDate(new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//DevPulse//Activity Export//EN',
+      'CALSCALE:GREGORIAN',
+      `X-WR-CALNAME:${escapeText(name)}`,
+      ...entries.flatMap(entry => [
+        'BEGIN:VEVENT',
+        `UID:${entry.uid}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatDate(entry.start)}`,
+        `SUMMARY:${escapeText(entry.summary)}`,
+        ...(entry.description ? [`DESCRIPTION:${escapeText(entry.description)}`] : []),
+        ...(entry.url ? [`URL:${entry.url}`] : []),
+        'END:VEVENT'
+      ]),
+      'END:VCALENDAR'
+    ];
+
+    return lines.map(fold).join('\r\n');
+  },
+
+  /**
+   * Build a dated export file name
+   * @param {string} prefix - File name prefix
+   * @param {string} extension - File extension without the dot
+   * @returns {string} File name, e.g. devpulse-torvalds-2024-01-31.csv
+   */
+  getExportFilename(prefix, extension) {
+    return `${prefix}-${new Date().toISOString().split('T')[0]}.${extension}`;
+  },
+
   // ================================
   // ERROR HANDLING
   // ================================
@@ -0,0 +1,497 @@
+/**
+ * DevPulse v3.0 - Watchlist Module
+ * Watched developers checked in the background for new releases, pull requests, repositories and star milestones
+ */
+
+window.DevPulseWatchlist = {
+
+  // ================================
+  // STATE
+  // ================================
+
+  storageKey: 'devpulse-watchlist',
+  entries: [], // { username, addedAt, lastEventId, lastCheckedAt, stars, error }
+  refreshTimer: null,
+  refreshing: false,
+  isInitialized: false,
+
+  // ================================
+  // INITIALIZATION
+  // ================================
+
+  /**
+   * Load the watchlist, wire up its panel and start background checks
+   */
+  init() {
+    if (this.isInitialized) return;
+
+    const panel = document.getElementById('watchlist-panel');
+    if (!this.getSetting('enabled', true)) {
+      panel?.remove();
+      return;
+    }
+
+    this.entries = window.Utils.getStorage(this.storageKey, []);
+    this.bindPanel();
+    this.render();
+
+    // Demo data changes on every request, so it would notify on every check
+    if (!window.DevPulseAPI.isMockMode()) {
+      this.scheduleRefresh(this.getNextRefreshDelay());
+    }
+
+    window.addEventListener('online', () => this.scheduleRefresh(0));
+
+    this.isInitialized = true;
+    console.log(`👀 Watchlist initialized (${this.entries.length} developers)`);
+  },
+
+  /**
+   * Read a watchlist setting
+   * @param {string} key - Setting under display.sections.watchlist
+   * @param {*} defaultValue - Fallback value
+   * @returns {*} Setting value
+   */
+  getSetting(key, defaultValue) {
+    return window.DevPulseConfig.get(`display.sections.watchlist.${key}`, defaultValue);
+  },
+
+  /**
+   * Bind the watchlist panel controls
+   */
+  bindPanel() {
+    const form = document.getElementById('watchlist-form');
+    const input = document.getElementById('watchlist-input');
+    const list = document.getElementById('watchlist-list');
+
+    form?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (await this.add(input.value)) {
+        input.value = '';
+      }
+    });
+
+    list?.addEventListener('click', (e) => {
+      const remove = e.target.closest('.watchlist-remove');
+      const open = e.target.closest('.watchlist-open');
+
+      if (remove) {
+        this.remove(remove.dataset.username);
+      } else if (open) {
+        this.openDashboard(open.dataset.username);
+      }
+    });
+
+    document.getElementById('watchlist-refresh')?.addEventListener('click', () => this.refreshAll({ manual: true }));
+    document.getElementById('watchlist-notifications')?.addEventListener('click', () => this.requestNotificationPermission());
+  },
+
+  // ================================
+  // ENTRIES
+  // ================================
+
+  /**
+   * Persist the watchlist
+   */
+  save() {
+    window.Utils.setStorage(this.storageKey, this.entries);
+  },
+
+  /**
+   * Find a watched developer
+   * @param {string} username - GitHub username
+   * @returns {Object|undefined} Entry
+   */
+  find(username) {
+    return this.entries.find(entry => entry.username.toLowerCase() === username.toLowerCase());
+  },
+
+  /**
+   * Start watching a developer. Their current activity becomes the baseline, so only later changes notify.
+   * @param {string} value - Username as typed
+   * @returns {Promise<boolean>} Whether the developer was added
+   */
+  async add(value) {
+    const username = (value || '').trim().replace(/^@/, '');
+
+    if (!window.Utils.validateGitHubUsername(username)) {
+      window.DevPulseUI.showToast(`"${username}" is not a valid username`, 'error');
+      return false;
+    }
+
+    if (this.find(username)) {
+      window.DevPulseUI.showToast(`${username} is already on your watchlist`, 'info');
+      return false;
+    }
+
+    const maxUsers = this.getSetting('maxUsers', 20);
+    if (this.entries.length >= maxUsers) {
+      window.DevPulseUI.showToast(`The watchlist holds up to ${maxUsers} developers`, 'warning');
+      return false;
+    }
+
+    const entry = { username, addedAt: Date.now(), lastEventId: null, lastCheckedAt: null, stars: null, error: null };
+    this.entries.push(entry);
+    this.save();
+    this.render();
+
+    try {
+      await this.checkUser(entry);
+      window.DevPulseUI.showToast(`Watching ${entry.username}`, 'success');
+    } catch (error) {
+      // Keep the entry; the next scheduled check retries
+      window.DevPulseUI.showToast(`Watching ${username}, but the first check failed: ${error.message}`, 'warning');
+    }
+
+    this.save();
+    this.render();
+    return true;
+  },
+
+  /**
+   * Stop watching a developer
+   * @param {string} username - GitHub username
+   */
+  remove(username) {
+    this.entries = this.entries.filter(entry => entry.username.toLowerCase() !== username.toLowerCase());
+    this.save();
+    this.render();
+  },
+
+  /**
+   * Open the dashboard of a watched developer
+   * @param {string} username - GitHub username
+   */
+  openDashboard(username) {
+    window.DevPulse.handleRouteChange({ view: 'user', target: username, params: {} });
+  },
+
+  // ================================
+  // CHECKING
+  // ================================
+
+  /**
+   * Plan the next background check
+   * @param {number} delay - Milliseconds until the check
+   */
+  scheduleRefresh(delay) {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => this.refreshAll(), Math.max(0, delay));
+  },
+
+  /**
+   * Time left until a check is due, based on the oldest check
+   * @returns {number} Milliseconds
+   */
+  getNextRefreshDelay() {
+    const interval = this.getSetting('refreshInterval', 900000);
+    const checked = this.entries.map(entry => entry.lastCheckedAt || 0);
+    if (checked.length === 0) return interval;
+
+    return Math.min(...checked) + interval - Date.now();
+  },
+
+  /**
+   * Requests one check costs: a page of events plus the repository pages for star milestones
+   * @returns {number} Request count
+   */
+  getRequestsPerCheck() {
+    return 1 + this.getSetting('repoPages', 1);
+  },
+
+  /**
+   * Check whether a check fits in the remaining rate limit budget
+   * @returns {boolean} Whether enough requests are left
+   */
+  hasRequestBudget() {
+    const status = window.DevPulseAPI.getRateLimitStatus();
+    if (!status.tracked) return true;
+
+    return status.remaining - this.getRequestsPerCheck() >= this.getSetting('minRemainingRequests', 20);
+  },
+
+  /**
+   * Check every watched developer, one at a time, while the rate limit allows
+   * @param {Object} options - Refresh options
+   * @param {boolean} options.manual - Started by the user (reports why nothing happened)
+   */
+  async refreshAll({ manual = false } = {}) {
+    if (this.refreshing || this.entries.length === 0) {
+      if (!window.DevPulseAPI.isMockMode()) this.scheduleRefresh(this.getSetting('refreshInterval', 900000));
+      return;
+    }
+
+    if (window.DevPulseAPI.isOffline()) {
+      if (manual) window.DevPulseUI.showToast("You're offline. The watchlist is checked once you reconnect.", 'warning');
+      return;
+    }
+
+    this.refreshing = true;
+    this.setStatus('Checking…');
+
+    let deferred = 0;
+    // Oldest checks first, so a tight budget still rotates through everyone
+    const queue = [...this.entries].sort((a, b) => (a.lastCheckedAt || 0) - (b.lastCheckedAt || 0));
+
+    try {
+      for (const entry of queue) {
+        if (!this.hasRequestBudget()) {
+          deferred = queue.length - queue.indexOf(entry);
+          break;
+        }
+
+        try {
+          await this.checkUser(entry);
+        } catch (error) {
+          window.Utils.logError(error, 'watchlistCheck', { username: entry.username });
+        }
+
+        this.save();
+        this.render();
+      }
+    } finally {
+      this.refreshing = false;
+    }
+
+    if (deferred > 0) {
+      const reset = window.DevPulseAPI.getRateLimitStatus().reset;
+      const message = `${deferred} watched developer${deferred === 1 ? '' : 's'} skipped to save API requests` +
+        (reset ? ` until ${reset.toLocaleTimeString()}` : '');
+      this.setStatus(message);
+      if (manual) window.DevPulseUI.showToast(message, 'warning');
+
+      // Pick up where we left off once the window resets
+      this.scheduleRefresh(reset ? reset.getTime() - Date.now() + 1000 : this.getSetting('refreshInterval', 900000));
+      return;
+    }
+
+    this.setStatus(`Checked ${new Date().toLocaleTimeString()}`);
+    this.scheduleRefresh(this.getSetting('refreshInterval', 900000));
+  },
+
+  /**
+   * Fetch a developer's latest events and stars, and notify about what changed since the last check
+   * @param {Object} entry - Watchlist entry (updated in place)
+   * @returns {Promise<void>}
+   */
+  async checkUser(entry) {
+    const api = window.DevPulseAPI;
+
+    try {
+      const events = await api.getUserEvents(entry.username, { per_page: 30, maxPages: 1, priority: 'low' });
+      const repositories = await api.getUserRepositories(entry.username, {
+        per_page: 100,
+        maxPages: this.getSetting('repoPages', 1),
+        priority: 'low'
+      });
+      const stars = repositories.reduce((sum, repo) => sum + repo.stargazers_count, 0);
+
+      // The first check only records a baseline
+      if (entry.lastCheckedAt) {
+        this.notifyChanges(entry, this.getNewEvents(events, entry), stars);
+      }
+
+      entry.lastEventId = events[0]?.id ?? entry.lastEventId;
+      entry.stars = stars;
+      entry.error = null;
+    } catch (error) {
+      entry.error = error.message;
+      throw error;
+    } finally {
+      entry.lastCheckedAt = Date.now();
+    }
+  },
+
+  /**
+   * Events newer than the last one seen (newest first)
+   * @param {Array} events - Latest events, newest first
+   * @param {Object} entry - Watchlist entry
+   * @returns {Array} New events
+   */
+  getNewEvents(events, entry) {
+    const seenIndex = events.findIndex(event => String(event.id) === String(entry.lastEventId));
+    if (seenIndex >= 0) return events.slice(0, seenIndex);
+
+    // The last seen event scrolled out of the page: fall back to timestamps
+    return events.filter(event => new Date(event.created_at).getTime() > entry.lastCheckedAt);
+  },
+
+  /**
+   * Describe an event worth a notification
+   * @param {Object} event - Normalized event
+   * @param {string} username - Watched developer
+   * @returns {Object|null} { title, body } or null for routine activity
+   */
+  describeEvent(event, username) {
+    const repo = event.repo.name;
+    const payload = event.payload || {};
+
+    switch (event.type) {
+      case 'ReleaseEvent':
+        if (payload.action !== 'published') return null;
+        return {
+          title: `🚀 ${username} published a release`,
+          body: `${repo} ${payload.name || payload.tag_name || ''}`.trim()
+        };
+
+      case 'PullRequestEvent':
+        if (payload.action !== 'opened') return null;
+        return {
+          title: `🔀 ${username} opened a pull request`,
+          body: `${repo}${payload.number ? `#${payload.number}` : ''}${payload.title ? `: ${payload.title}` : ''}`
+        };
+
+      case 'CreateEvent':
+        if (payload.ref_type !== 'repository') return null;
+        return { title: `📦 ${username} created a repository`, body: repo };
+
+      case 'PublicEvent':
+        return { title: `📦 ${username} open-sourced a repository`, body: repo };
+
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Raise notifications for new notable events and crossed star milestones
+   * @param {Object} entry - Watchlist entry (still holding the previous star count)
+   * @param {Array} events - New events, newest first
+   * @param {number} stars - Current total stars
+   */
+  notifyChanges(entry, events, stars) {
+    const notices = events
+      .map(event => this.describeEvent(event, entry.username))
+      .filter(Boolean);
+
+    const milestones = this.getSetting('starMilestones', []);
+    const crossed = milestones.filter(milestone => entry.stars !== null && entry.stars < milestone && stars >= milestone);
+    if (crossed.length > 0) {
+      notices.push({
+        title: `⭐ ${entry.username} reached ${window.Utils.formatNumber(crossed[crossed.length - 1])} stars`,
+        body: `${window.Utils.formatNumber(stars)} stars across their repositories`
+      });
+    }
+
+    // A busy day should not bury the screen in toasts
+    const shown = notices.slice(0, 3);
+    shown.forEach(notice => this.notify(notice, entry.username));
+
+    if (notices.length > shown.length) {
+      this.notify({ title: `👀 ${entry.username}`, body: `${notices.length - shown.length} more updates` }, entry.username);
+    }
+  },
+
+  // ================================
+  // NOTIFICATIONS
+  // ================================
+
+  /**
+   * Show a notification as a toast, and as a system notification when allowed
+   * @param {Object} notice - { title, body }
+   * @param {string} username - Watched developer, opened when the notification is clicked
+   */
+  notify(notice, username) {
+    window.DevPulseUI.showToast(`${notice.title}: ${notice.body}`, 'info');
+
+    if (!this.canUseBrowserNotifications() || Notification.permission !== 'granted') return;
+
+    try {
+      const notification = new Notification(notice.title, {
+        body: notice.body,
+        icon: 'assets/icons/icon.svg',
+        tag: `devpulse-${username}-${notice.title}`
+      });
+
+      notification.onclick = () => {
+        window.focus();
+        this.openDashboard(username);
+        notification.close();
+      };
+    } catch (error) {
+      // Some mobile browsers only allow notifications from a service worker
+      window.Utils.logError(error, 'watchlistNotification');
+    }
+  },
+
+  /**
+   * Check whether system notifications are supported and enabled in config
+   * @returns {boolean} Whether browser notifications can be used
+   */
+  canUseBrowserNotifications() {
+    return this.getSetting('browserNotifications', true) && 'Notification' in window;
+  },
+
+  /**
+   * Ask for permission to show system notifications
+   * @returns {Promise<void>}
+   */
+  async requestNotificationPermission() {
+    if (!this.canUseBrowserNotifications()) {
+      window.DevPulseUI.showToast('System notifications are not available in this browser', 'warning');
+      return;
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission === 'granted') {
+      window.DevPulseUI.showToast('Notifications enabled for your watchlist', 'success');
+    } else if (permission === 'denied') {
+      window.DevPulseUI.showToast('Notifications are blocked. Allow them in your browser settings.', 'warning');
+    }
+
+    this.render();
+  },
+
+  // ================================
+  // RENDERING
+  // ================================
+
+  /**
+   * Show the watchlist status line
+   * @param {string} message - Status message
+   */
+  setStatus(message) {
+    const status = document.getElementById('watchlist-status');
+    if (status) status.textContent = message;
+  },
+
+  /**
+   * Render the watched developers in the panel
+   */
+  render() {
+    const list = document.getElementById('watchlist-list');
+    const count = document.getElementById('watchlist-count');
+    const notificationsButton = document.getElementById('watchlist-notifications');
+    if (!list) return;
+
+    if (count) count.textContent = this.entries.length;
+
+    if (notificationsButton) {
+      notificationsButton.hidden = !this.canUseBrowserNotifications() || Notification.permission === 'granted';
+    }
+
+    if (this.entries.length === 0) {
+      list.innerHTML = '<li class="watchlist-empty">Add developers to hear about their new releases, pull requests, repositories and star milestones.</li>';
+      return;
+    }
+
+    const escape = window.Utils.escapeHtml;
+    list.innerHTML = this.entries.map(entry => {
+      const name = escape(entry.username);
+      const meta = entry.error
+        ? `<span class="watchlist-meta error" title="${escape(entry.error)}">Check failed</span>`
+        : `<span class="watchlist-meta">${entry.lastCheckedAt ? `Checked ${window.Utils.formatRelativeTime(entry.lastCheckedAt)}` : 'Not checked yet'}${entry.stars !== null ? ` · ⭐ ${window.Utils.formatNumber(entry.stars)}` : ''}</span>`;
+
+      return `
+        <li class="watchlist-item">
+          <button type="button" class="watchlist-open" data-username="${name}" title="Open ${name}'s dashboard">${name}</button>
+          ${meta}
+          <button type="button" class="watchlist-remove" data-username="${name}" aria-label="Stop watching ${name}" title="Stop watching">×</button>
+        </li>
+      `;
+    }).join('');
+  }
+};
+
+// Make watchlist globally available
+window.Watchlist = window.DevPulseWatchlist;
@@ -0,0 +1,169 @@
+/**
+ * DevPulse v3.0 - Service Worker
+ * Precaches the app shell and CDN bundles so DevPulse opens offline.
+ * API responses are not handled here: the app keeps them in IndexedDB (see DevPulseAPI)
+ * and serves them when the network is unreachable.
+ */
+
+// Bump to drop every cached file on the next activation
+const CACHE_VERSION = 'v3.0.0-1';
+const CACHE_PREFIX = 'devpulse-';
+const APP_CACHE = `${CACHE_PREFIX}app-${CACHE_VERSION}`;
+const CDN_CACHE = `${CACHE_PREFIX}cdn-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  '3d-visualizations.html',
+  'config.js',
+  'manifest.webmanifest',
+  'src/js/utils.js',
+  'src/js/database.js',
+  'src/js/providers.js',
+  'src/js/router.js',
+  'src/js/snapshots.js',
+  'src/js/api.js',
+  'src/js/ui.js',
+  'src/js/charts.js',
+  'src/js/ai-insights.js',
+  'src/js/ai-insights-ui.js',
+  'src/js/layout.js',
+  'src/js/export.js',
+  'src/js/watchlist.js',
+  'src/js/handoff.js',
+  'src/js/repo-graph.js',
+  'src/js/app.js',
+  'src/js/3d-visualizations.js',
+  'src/styles/main.css',
+  'src/styles/components.css',
+  'src/styles/animations.css',
+  'src/styles/themes.css',
+  'src/styles/ui-enhancements.css',
+  'src/styles/loading-clean.css',
+  'src/styles/loading-enhanced.css',
+  'src/styles/3d-visualizations.css',
+  'assets/icons/icon.svg'
+];
+
+// Versioned URLs, so a cached copy never goes stale
+const CDN_ASSETS = [
+  'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.js',
+  'https://cdn.jsdelivr.net/npm/chartjs-adapter-date-fns@3.0.0/dist/chartjs-adapter-date-fns.bundle.min.js',
+  'https://cdn.jsdelivr.net/npm/three@0.160.0/build/three.module.js',
+  'https://cdn.jsdelivr.net/npm/three@0.160.0/examples/jsm/controls/OrbitControls.js',
+  'https://cdn.jsdelivr.net/npm/three@0.160.0/examples/jsm/loaders/FontLoader.js',
+  'https://cdn.jsdelivr.net/npm/three@0.160.0/examples/jsm/geometries/TextGeometry.js'
+];
+
+const CDN_ORIGIN = 'https://cdn.jsdelivr.net';
+
+// ================================
+// LIFECYCLE
+// ================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const appCache = await caches.open(APP_CACHE);
+    await appCache.addAll(APP_SHELL);
+
+    // A CDN hiccup should not stop the app shell from installing
+    const cdnCache = await caches.open(CDN_CACHE);
+    const results = await Promise.allSettled(CDN_ASSETS.map(url => cdnCache.add(url)));
+    const failed = results.filter(result => result.status === 'rejected').length;
+    if (failed > 0) {
+      console.warn(`⚠️ ${failed} CDN bundle(s) could not be precached; they will be cached on first use`);
+    }
+
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && name !== APP_CACHE && name !== CDN_CACHE)
+      .map(name => caches.delete(name)));
+
+    await self.clients.claim();
+  })());
+});
+
+// ================================
+// FETCH STRATEGIES
+// ================================
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(request));
+  } else if (url.origin === CDN_ORIGIN) {
+    event.respondWith(cacheFirst(request));
+  }
+  // Anything else (API calls, avatars, fonts) goes straight to the network
+});
+
+/**
+ * Pages: the network when it answers, otherwise the cached page (or the app shell)
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(APP_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await cache.match(request, { ignoreSearch: true })) ||
+      (await cache.match('index.html')) ||
+      Response.error();
+  }
+}
+
+/**
+ * App files: answer from the cache at once and refresh it in the background
+ * @param {Request} request - Same-origin request
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(APP_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached || Response.error());
+
+  return cached || network;
+}
+
+/**
+ * CDN bundles: versioned URLs never change, so the cache always wins
+ * @param {Request} request - CDN request
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CDN_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
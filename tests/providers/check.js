@@ -0,0 +1,129 @@
+/**
+ * DevPulse v3.0 - Provider Normalizer Check
+ * Runs every provider's normalizers over recorded API responses (tests/providers/fixtures)
+ * and compares the results with the expected GitHub-shaped objects the dashboard works with
+ *
+ * Usage: node tests/providers/check.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+// providers.js is a browser script that registers itself on window
+global.window = global;
+require('../../src/js/providers.js');
+
+const fixturesDir = path.join(__dirname, 'fixtures');
+const github = window.DevPulseProviders.get('github');
+
+// ================================
+// NORMALIZE
+// ================================
+
+/**
+ * Run a provider's normalizers over a fixture's recorded responses
+ * @param {Object} fixture - { provider, settings, responses }
+ * @returns {Object} { profile, repository, events, languages }
+ */
+function normalize(fixture) {
+  const provider = window.DevPulseProviders.get(fixture.provider);
+  const { responses, settings } = fixture;
+
+  return {
+    profile: provider.normalizeProfile(responses.user, settings),
+    repository: provider.normalizeRepository(responses.repository),
+    events: responses.events.map(event => provider.normalizeEvent(event, settings)),
+    languages: provider.normalizeLanguages(responses.languages)
+  };
+}
+
+/**
+ * Keys of a normalized GitHub event payload, for comparing other providers' payloads
+ * @param {string} type - GitHub event type
+ * @returns {Array<string>} Sorted keys, or null for types GitHub passes through unparsed
+ */
+function githubPayloadKeys(type) {
+  const keys = Object.keys(github.parseEventPayload({ type, payload: {} })).sort();
+  return keys.length ? keys : null;
+}
+
+// ================================
+// CHECKS
+// ================================
+
+/**
+ * Check that a normalized object has exactly the keys of GitHub's version
+ * @param {Object} actual - Normalized object
+ * @param {Object} reference - GitHub-normalized object of the same kind
+ * @param {string} label - What is being compared, for the failure message
+ */
+function assertSameKeys(actual, reference, label) {
+  assert.deepStrictEqual(Object.keys(actual).sort(), Object.keys(reference).sort(), `${label}: keys differ from GitHub's`);
+}
+
+/**
+ * Check one fixture against its expected output and the GitHub shape
+ * @param {Object} fixture - Fixture file contents
+ * @param {Object} reference - Normalized GitHub fixture output
+ */
+function checkFixture(fixture, reference) {
+  const actual = normalize(fixture);
+
+  assert.deepStrictEqual(actual.profile, fixture.expected.profile, 'profile');
+  assert.deepStrictEqual(actual.repository, fixture.expected.repository, 'repository');
+  assert.deepStrictEqual(actual.events, fixture.expected.events, 'events');
+  assert.deepStrictEqual(actual.languages, fixture.expected.languages, 'languages');
+
+  assertSameKeys(actual.profile, reference.profile, 'profile');
+  assertSameKeys(actual.repository, reference.repository, 'repository');
+  if (actual.repository.license) {
+    const licenseKeys = Object.keys(github.normalizeRepository({ license: {} }).license).sort();
+    assert.deepStrictEqual(Object.keys(actual.repository.license).sort(), licenseKeys, 'repository.license: keys differ from GitHub\'s');
+  }
+
+  actual.events.forEach(event => {
+    const label = `${event.type} event ${event.id}`;
+    assertSameKeys(event, reference.events[0], label);
+    assertSameKeys(event.actor, reference.events[0].actor, `${label} actor`);
+    assertSameKeys(event.repo, reference.events[0].repo, `${label} repo`);
+
+    const payloadKeys = githubPayloadKeys(event.type);
+    if (payloadKeys) {
+      assert.deepStrictEqual(Object.keys(event.payload).sort(), payloadKeys, `${label} payload: keys differ from GitHub's`);
+    }
+  });
+
+  Object.values(actual.languages).forEach(bytes => {
+    assert.strictEqual(typeof bytes, 'number', 'languages: byte counts must be numbers');
+  });
+}
+
+// ================================
+// RUN
+// ================================
+
+const fixtures = fs.readdirSync(fixturesDir)
+  .filter(file => file.endsWith('.json'))
+  .sort()
+  .map(file => ({ file, fixture: JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8')) }));
+
+const reference = normalize(fixtures.find(({ fixture }) => fixture.provider === 'github').fixture);
+let failures = 0;
+
+fixtures.forEach(({ file, fixture }) => {
+  try {
+    checkFixture(fixture, reference);
+    console.log(`✅ ${file}`);
+  } catch (error) {
+    failures++;
+    console.error(`❌ ${file}: ${error.message}`);
+  }
+});
+
+if (failures) {
+  console.error(`\n${failures} of ${fixtures.length} provider fixtures failed`);
+  process.exit(1);
+}
+
+console.log(`\nAll ${fixtures.length} provider fixtures match`);